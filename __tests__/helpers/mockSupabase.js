@@ -0,0 +1,65 @@
+/**
+ * Chainable Supabase client stand-in for tests that exercise services and routes.
+ *
+ * Every query is recorded as { table, action, payload, filters, single } and
+ * answered by the handler given to createSupabaseMock, which returns
+ * { data, error } (or nothing for { data: null, error: null }).
+ */
+
+const FILTER_METHODS = ['eq', 'neq', 'in', 'gt', 'gte', 'lt', 'lte', 'is', 'not', 'or', 'match', 'order', 'limit', 'range']
+const ACTIONS = ['insert', 'update', 'upsert', 'delete']
+
+function createSupabaseMock(handler = () => {}) {
+  const queries = []
+
+  function from(table) {
+    const query = { table, action: 'select', payload: null, filters: [], single: false }
+    queries.push(query)
+
+    const run = () => Promise.resolve(handler(query) || { data: null, error: null })
+
+    const builder = {
+      select() {
+        return builder
+      },
+      single() {
+        query.single = true
+        return run()
+      },
+      maybeSingle() {
+        query.single = true
+        return run()
+      },
+      then(resolve, reject) {
+        return run().then(resolve, reject)
+      }
+    }
+
+    for (const action of ACTIONS) {
+      builder[action] = payload => {
+        query.action = action
+        query.payload = payload
+        return builder
+      }
+    }
+
+    for (const method of FILTER_METHODS) {
+      builder[method] = (...args) => {
+        query.filters.push([method, ...args])
+        return builder
+      }
+    }
+
+    return builder
+  }
+
+  return { supabase: { from: jest.fn(from) }, queries }
+}
+
+// Value of the first filter of a kind on a column, e.g. filterValue(query, 'eq', 'id')
+function filterValue(query, method, column) {
+  const filter = query.filters.find(([m, c]) => m === method && c === column)
+  return filter ? filter[2] : undefined
+}
+
+module.exports = { createSupabaseMock, filterValue }
@@ -4,11 +4,27 @@
  */
 
 const request = require('supertest')
+const { createSupabaseMock } = require('../helpers/mockSupabase')
+
+const mockDb = createSupabaseMock(() => ({ data: [], error: null }))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+jest.mock('../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'user-1' }
+    req.profile = { id: 'user-1', role: 'coordinator' }
+    next()
+  },
+  requireRole: roles => (req, res, next) => roles.includes(req.profile.role)
+    ? next()
+    : res.status(403).json({ error: 'Access denied' })
+}))
 
 // Create a test Express app
 const express = require('express')
 const app = express()
 app.use(express.json())
+app.use('/api/assignments', require('../../src/routes/assignments'))
 
 // Mock API endpoint for testing
 app.post('/api/test/assignments', (req, res) => {
@@ -37,6 +53,21 @@ app.get('/api/test/assignments/:id', (req, res) => {
 })
 
 describe('Assignment API Integration Tests', () => {
+
+  describe('POST /api/assignments/optimize-day', () => {
+
+    test('rejects a malformed date before planning', async () => {
+      mockDb.queries.length = 0
+      const response = await request(app)
+        .post('/api/assignments/optimize-day')
+        .send({ date: '4.3.2025' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toContain('YYYY-MM-DD')
+      expect(mockDb.queries).toHaveLength(0)
+    })
+
+  })
   
   describe('POST /api/test/assignments', () => {
     
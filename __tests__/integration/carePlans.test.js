@@ -0,0 +1,74 @@
+/**
+ * Integration Tests for the Care Plan API
+ * Runs the care plans router with a stubbed database
+ */
+
+const request = require('supertest')
+const express = require('express')
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+// A plan whose wound care was given by an unqualified professional under a supervisor's override
+const plan = {
+  id: 7,
+  patient_id: 1,
+  professional_id: 10,
+  care_needed: 'Wound Care',
+  rrule: 'FREQ=DAILY;COUNT=1',
+  start_date: '2025-03-04',
+  status: 'active',
+  skill_override_justification: 'No nurse free',
+  skill_override_by_id: 'user-2'
+}
+
+const mockDb = createSupabaseMock(query => {
+  if (query.table === 'care_plans' && query.action === 'update') return { data: { ...plan, ...query.payload }, error: null }
+  if (query.table === 'care_plans' && query.single) return { data: plan, error: null }
+  if (query.table === 'professional_specializations' && filterValue(query, 'eq', 'professional_id') === 11) {
+    return { data: [{ specialization: 'Wound Care' }], error: null }
+  }
+  if (query.table === 'patients' && query.single) return { data: { id: 1, area: 'Raksila' }, error: null }
+  return { data: [], error: null }
+})
+
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+jest.mock('../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'user-1' }
+    req.profile = { id: 'user-1', role: 'coordinator' }
+    next()
+  },
+  requireRole: roles => (req, res, next) => roles.includes(req.profile.role)
+    ? next()
+    : res.status(403).json({ error: 'Access denied' })
+}))
+
+const app = express()
+app.use(express.json())
+app.use('/api/care-plans', require('../../src/routes/carePlans'))
+
+describe('Care Plan API Integration Tests', () => {
+
+  beforeEach(() => {
+    mockDb.queries.length = 0
+  })
+
+  describe('PUT /api/care-plans/:id', () => {
+
+    test('clears the skill override once the plan goes to a qualified professional', async () => {
+      const response = await request(app)
+        .put('/api/care-plans/7')
+        .send({ professional_id: 11 })
+
+      expect(response.status).toBe(200)
+      const update = mockDb.queries.find(q => q.table === 'care_plans' && q.action === 'update')
+      expect(update.payload).toMatchObject({
+        professional_id: 11,
+        skill_override_justification: null,
+        skill_override_by_id: null
+      })
+    })
+
+  })
+
+})
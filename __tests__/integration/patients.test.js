@@ -0,0 +1,150 @@
+/**
+ * Integration Tests for the Patient API
+ * Runs the patients router with a stubbed database and signed-in coordinator
+ */
+
+const request = require('supertest')
+const express = require('express')
+const { createSupabaseMock } = require('../helpers/mockSupabase')
+
+const patients = [
+  { id: 1, name: 'Aino', area: 'Raksila', latitude: 65.0081, longitude: 25.4950 },
+  { id: 2, name: 'Eero', area: 'Keskusta (City Center)', latitude: 65.0121, longitude: 25.4651 }
+]
+
+const mockDb = createSupabaseMock(query => {
+  if (query.table === 'patients' && query.action === 'update') {
+    return { data: { id: 1, ...query.payload }, error: null }
+  }
+  if (query.table === 'patients' && query.single) {
+    const { hashAddress } = require('../../src/services/geocoder')
+    return { data: { address_hash: hashAddress('Isokatu 12') }, error: null }
+  }
+  if (query.table === 'patients' && query.filters.some(([method]) => method === 'range')) {
+    return { data: patients, count: 120, error: null }
+  }
+  if (query.table === 'patient_assignments' && query.filters.some(([method, column]) => method === 'in' && column === 'status')) {
+    return { data: [], error: null }
+  }
+  if (query.table === 'patient_assignments') {
+    return { data: [{ patient_id: 1 }], error: null }
+  }
+  if (query.table === 'patients' && query.filters.some(([method]) => method === 'not')) {
+    return { data: patients.slice(1), error: null }
+  }
+  if (query.table === 'patients') {
+    const ids = query.filters.find(([method]) => method === 'in')[2].map(String)
+    return { data: patients.filter(p => ids.includes(String(p.id))), error: null }
+  }
+})
+
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+jest.mock('../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'user-1' }
+    req.profile = { id: 'user-1', role: 'coordinator' }
+    next()
+  },
+  requireRole: roles => (req, res, next) => roles.includes(req.profile.role)
+    ? next()
+    : res.status(403).json({ error: 'Access denied' })
+}))
+
+const app = express()
+app.use(express.json())
+app.use('/api/patients', require('../../src/routes/patients'))
+
+describe('Patient API Integration Tests', () => {
+
+  describe('GET /api/patients/unassigned', () => {
+
+    test('only counts assignments on the requested date', async () => {
+      const response = await request(app).get('/api/patients/unassigned?date=2025-03-04')
+
+      expect(response.status).toBe(200)
+      expect(response.body.map(p => p.id)).toEqual([2])
+
+      const assignmentQuery = mockDb.queries.filter(q => q.table === 'patient_assignments').pop()
+      expect(assignmentQuery.filters).toContainEqual(['or', 'scheduled_visit_date.eq.2025-03-04,scheduled_visit_date.is.null'])
+    })
+
+    test('rejects malformed dates', async () => {
+      const response = await request(app).get('/api/patients/unassigned?date=tomorrow')
+      expect(response.status).toBe(400)
+    })
+
+  })
+
+  describe('GET /api/patients/continuity-report', () => {
+
+    test('reads one page of patients at a time', async () => {
+      const response = await request(app).get('/api/patients/continuity-report?page=2&page_size=500')
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ page: 2, pageSize: 200, total: 120 })
+      expect(response.body.patients).toHaveLength(2)
+
+      const patientQuery = mockDb.queries.filter(q => q.table === 'patients').pop()
+      expect(patientQuery.filters).toContainEqual(['range', 200, 399])
+      const historyQuery = mockDb.queries.filter(q => q.table === 'patient_assignments').pop()
+      expect(historyQuery.filters).toContainEqual(['in', 'patient_id', [1, 2]])
+    })
+
+  })
+
+  describe('POST /api/patients/travel-matrix', () => {
+
+    test('returns travel minutes between every pair of patients', async () => {
+      const response = await request(app)
+        .post('/api/patients/travel-matrix')
+        .send({ patient_ids: [2, 1] })
+
+      expect(response.status).toBe(200)
+      expect(response.body.provider).toBe('haversine')
+      expect(response.body.patients.map(p => p.id)).toEqual([2, 1])
+      expect(response.body.minutes).toHaveLength(2)
+      expect(response.body.minutes[0][0]).toBe(0)
+      expect(response.body.minutes[0][1]).toBeGreaterThan(0)
+    })
+
+    test('returns 404 for unknown patients', async () => {
+      const response = await request(app)
+        .post('/api/patients/travel-matrix')
+        .send({ patient_ids: [1, 99] })
+
+      expect(response.status).toBe(404)
+      expect(response.body.patient_ids).toEqual([99])
+    })
+
+    test('returns 400 without patient ids', async () => {
+      const response = await request(app)
+        .post('/api/patients/travel-matrix')
+        .send({ patient_ids: [] })
+
+      expect(response.status).toBe(400)
+    })
+
+  })
+
+  describe('PUT /api/patients/:id', () => {
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('does not geocode an unchanged address again', async () => {
+      const fetch = jest.spyOn(global, 'fetch')
+
+      const response = await request(app)
+        .put('/api/patients/1')
+        .send({ address: 'Isokatu 12, Oulu', phone: '040 123' })
+
+      expect(response.status).toBe(200)
+      expect(fetch).not.toHaveBeenCalled()
+      expect(response.body).not.toHaveProperty('latitude')
+    })
+
+  })
+
+})
@@ -0,0 +1,137 @@
+/**
+ * Integration Tests for the Schedule API
+ * Runs the schedules router with a stubbed database and a configurable signed-in user
+ */
+
+const request = require('supertest')
+const express = require('express')
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+const current = {
+  id: 1,
+  patient_id: 5,
+  professional_id: 10,
+  date: '2025-03-04',
+  start_time: '09:00',
+  end_time: '09:45',
+  status: 'scheduled'
+}
+
+const mockDb = createSupabaseMock(query => {
+  if (query.table === 'schedules' && query.action === 'update') {
+    return { data: { ...current, ...query.payload }, error: null }
+  }
+  if (query.table === 'schedules' && query.single) return { data: current, error: null }
+  if (query.table === 'patients' && query.single) {
+    return { data: filterValue(query, 'eq', 'id') === '404' ? null : { id: 5, care_needed: 'IV Therapy' }, error: null }
+  }
+  return { data: [], error: null }
+})
+
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+let mockRole = 'professional'
+jest.mock('../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'user-1' }
+    req.profile = { id: 'user-1', role: mockRole }
+    next()
+  },
+  requireRole: roles => (req, res, next) => roles.includes(req.profile.role)
+    ? next()
+    : res.status(403).json({ error: 'Access denied' })
+}))
+
+const app = express()
+app.use(express.json())
+app.use('/api/schedules', require('../../src/routes/schedules'))
+
+const updates = () => mockDb.queries.filter(q => q.table === 'schedules' && q.action === 'update')
+
+describe('Schedule API Integration Tests', () => {
+
+  beforeEach(() => {
+    mockDb.queries.length = 0
+  })
+
+  describe('GET /api/schedules/conflicts', () => {
+
+    test('rejects malformed dates and overlong ranges before loading anything', async () => {
+      mockRole = 'supervisor'
+      const malformed = await request(app).get('/api/schedules/conflicts?start_date=2025-03-01&end_date=soon')
+      const overlong = await request(app).get('/api/schedules/conflicts?start_date=2025-01-01&end_date=2025-12-31')
+
+      expect(malformed.status).toBe(400)
+      expect(overlong.status).toBe(400)
+      expect(mockDb.queries).toHaveLength(0)
+    })
+
+  })
+
+  describe('GET /api/schedules/available-slots', () => {
+
+    test('returns 404 for an unknown patient', async () => {
+      mockRole = 'coordinator'
+      const response = await request(app).get('/api/schedules/available-slots?professional_id=10&date=2025-03-04&patient_id=404')
+
+      expect(response.status).toBe(404)
+      expect(response.body.error).toBe('Patient not found')
+    })
+
+  })
+
+  describe('POST /api/schedules', () => {
+
+    test('rejects a malformed time before checking anything', async () => {
+      mockRole = 'coordinator'
+      const response = await request(app)
+        .post('/api/schedules')
+        .send({ patient_id: 5, professional_id: 10, date: '2025-03-04', start_time: '9am', end_time: '09:45' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.error).toContain('start_time')
+      expect(mockDb.queries).toHaveLength(0)
+    })
+
+  })
+
+  describe('PUT /api/schedules/:id', () => {
+
+    test('rejects moving the entry to a professional without the skills', async () => {
+      mockRole = 'professional'
+      const response = await request(app)
+        .put('/api/schedules/1')
+        .send({ professional_id: 11 })
+
+      expect(response.status).toBe(422)
+      expect(response.body.code).toBe('SKILL_MISMATCH')
+      expect(updates()).toHaveLength(0)
+    })
+
+    test('lets a supervisor override the mismatch and records why', async () => {
+      mockRole = 'supervisor'
+      const response = await request(app)
+        .put('/api/schedules/1')
+        .send({ professional_id: 11, skill_override_justification: 'Only nurse on the island', override_conflicts: true })
+
+      expect(response.status).toBe(200)
+      expect(updates()[0].payload).toMatchObject({
+        professional_id: 11,
+        skill_override_justification: 'Only nurse on the island',
+        skill_override_by_id: 'user-1'
+      })
+    })
+
+    test('does not check skills when the people stay the same', async () => {
+      mockRole = 'professional'
+      const response = await request(app)
+        .put('/api/schedules/1')
+        .send({ notes: 'Door code 1234' })
+
+      expect(response.status).toBe(200)
+      expect(mockDb.queries.some(q => q.table === 'professional_specializations')).toBe(false)
+    })
+
+  })
+
+})
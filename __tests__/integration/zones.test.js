@@ -0,0 +1,99 @@
+/**
+ * Integration Tests for the Zone API
+ * Runs the zones router with a stubbed database and signed-in supervisor
+ */
+
+const request = require('supertest')
+const express = require('express')
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+let mockRespond = () => {}
+const mockDb = createSupabaseMock(query => mockRespond(query))
+
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+jest.mock('../../src/middleware/auth', () => ({
+  verifyToken: (req, res, next) => {
+    req.user = { id: 'user-1' }
+    req.profile = { id: 'user-1', role: 'supervisor' }
+    next()
+  },
+  requireRole: roles => (req, res, next) => roles.includes(req.profile.role)
+    ? next()
+    : res.status(403).json({ error: 'Access denied' })
+}))
+
+const app = express()
+app.use(express.json())
+app.use('/api/zones', require('../../src/routes/zones'))
+
+const writes = table => mockDb.queries.filter(q => q.table === table && q.action !== 'select')
+
+describe('Zone API Integration Tests', () => {
+
+  beforeEach(() => {
+    mockDb.queries.length = 0
+  })
+
+  describe('DELETE /api/zones/:id', () => {
+
+    test('deletes travel times by exact name, whatever characters it has', async () => {
+      const name = 'Pikisaari "West", Hietasaari'
+      mockRespond = query => {
+        if (query.table === 'zones' && query.single) return { data: { id: 7, name }, error: null }
+        return { data: null, error: null }
+      }
+
+      const response = await request(app).delete('/api/zones/7')
+
+      expect(response.status).toBe(200)
+      const deletes = writes('zone_travel_times')
+      expect(deletes.map(q => [filterValue(q, 'eq', 'from_zone'), filterValue(q, 'eq', 'to_zone')])).toEqual([
+        [name, undefined],
+        [undefined, name]
+      ])
+    })
+
+  })
+
+  describe('POST /api/zones/seed', () => {
+
+    test('removes the seeded zones again when their travel times cannot be saved', async () => {
+      mockRespond = query => {
+        if (query.table === 'zones' && query.action === 'insert') return { data: [{ id: 1 }, { id: 2 }], error: null }
+        if (query.table === 'zone_travel_times') return { data: null, error: { message: 'unknown zone' } }
+        return { data: [], error: null }
+      }
+
+      const response = await request(app).post('/api/zones/seed')
+
+      expect(response.status).toBe(500)
+      expect(response.body.error).toBe('unknown zone')
+      const zoneDelete = writes('zones').find(q => q.action === 'delete')
+      expect(filterValue(zoneDelete, 'in', 'id')).toEqual([1, 2])
+    })
+
+  })
+
+  describe('POST /api/zones', () => {
+
+    test('removes the new zone again when its travel times cannot be saved', async () => {
+      mockRespond = query => {
+        if (query.table === 'zones' && query.action === 'insert') return { data: { id: 8, name: 'Ritaharju' }, error: null }
+        if (query.table === 'zone_travel_times') return { data: null, error: { message: 'unknown zone' } }
+        return { data: null, error: null }
+      }
+
+      const response = await request(app)
+        .post('/api/zones')
+        .send({ name: 'Ritaharju', travel_times: { Raksila: 12 } })
+
+      expect(response.status).toBe(500)
+      expect(response.body.error).toBe('unknown zone')
+      const zoneDelete = writes('zones').find(q => q.action === 'delete')
+      expect(filterValue(zoneDelete, 'eq', 'id')).toBe(8)
+    })
+
+  })
+
+})
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for absenceRedistribution.js
+ * Tests how affected visits are collected and replacements ranked, and proposing
+ * and applying a redistribution against a stubbed database
+ */
+
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+let mockRespond = () => {}
+const mockDb = createSupabaseMock(query => mockRespond(query))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const {
+  pairAffectedVisits,
+  rankReplacements,
+  proposeRedistribution,
+  applyRedistribution
+} = require('../../src/services/absenceRedistribution')
+
+const patient = { id: 1, name: 'Aino', area: 'Raksila', care_needed: 'Wound Care' }
+
+// Professional 10 is off on Tuesday 2025-03-04 with a wound care visit at 09:10
+// (off the 15-minute slot grid) and an IV therapy visit nobody present can take
+const absence = { id: 3, professional_id: 10, start_date: '2025-03-04', end_date: '2025-03-04', reason: 'Flu', status: 'recorded' }
+const ivPatient = { id: 2, name: 'Eero', area: 'Raksila', care_needed: 'IV Therapy' }
+const woundVisit = { id: 20, patient_id: 1, professional_id: 10, date: '2025-03-04', start_time: '09:10:00', end_time: '09:55:00', status: 'scheduled', patients: patient }
+const ivVisit = { id: 22, patient_id: 2, professional_id: 10, date: '2025-03-04', start_time: '13:00:00', end_time: '13:45:00', status: 'scheduled', patients: ivPatient }
+const woundAssignment = { id: 8, patient_id: 1, professional_id: 10, status: 'active', scheduled_visit_date: '2025-03-04', scheduled_visit_time: '09:10', patients: patient }
+
+const colleague = (id, area) => ({
+  id,
+  profiles: { full_name: `Nurse ${id}` },
+  professional_specializations: [{ specialization: 'Wound Care', years_experience: 5, certification_level: 'certified' }],
+  professional_service_areas: [{ service_area: area, is_primary: true }]
+})
+
+// visits: professional 10's schedule entries; moved ones show up on their new professional's day.
+// fail(query) makes a query fail
+function respondWith({ visits = [woundVisit, ivVisit], fail = () => false } = {}) {
+  const moved = new Map()
+
+  return query => {
+    if (fail(query)) return { data: null, error: { message: `${query.table} ${query.action} failed` } }
+
+    const professionalId = filterValue(query, 'eq', 'professional_id')
+    const visit = visits.find(v => v.id === filterValue(query, 'eq', 'id'))
+    switch (query.table) {
+      case 'schedules':
+        if (query.action === 'update') {
+          const row = { ...visit, ...query.payload }
+          if (query.payload.professional_id) moved.set(row.id, row)
+          return { data: row, error: null }
+        }
+        if (query.single) return { data: visit, error: null }
+        if (professionalId === 10) return { data: visits.filter(v => !moved.has(v.id)), error: null }
+        return { data: [...moved.values()].filter(v => v.professional_id === professionalId), error: null }
+      case 'patient_assignments':
+        if (query.action === 'insert') return { data: { id: 9, ...query.payload[0] }, error: null }
+        if (query.single) return { data: woundAssignment, error: null }
+        return { data: professionalId === 10 && query.action === 'select' ? [woundAssignment] : [], error: null }
+      case 'professionals':
+        if (query.single) return { data: { id: professionalId }, error: null }
+        return { data: [{ id: 10, professional_specializations: [] }, colleague(11, 'Raksila'), colleague(12, 'Kaukovainio')], error: null }
+      case 'working_hours':
+        return { data: [11, 12].map(id => ({ professional_id: id, weekday: 2, start_time: '08:00', end_time: '16:00' })), error: null }
+      case 'assignment_reassignments':
+        return { data: { id: 30, ...query.payload[0] }, error: null }
+      case 'absences':
+        if (query.action === 'update') return { data: { ...absence, ...query.payload }, error: null }
+        return { data: [], error: null }
+      default:
+        return { data: [], error: null }
+    }
+  }
+}
+
+const absenceUpdate = () => mockDb.queries.find(q => q.table === 'absences' && q.action === 'update')
+
+describe('Absence Redistribution', () => {
+
+  describe('pairAffectedVisits', () => {
+
+    test('joins an assignment with the schedule entry of the same visit', () => {
+      const visits = pairAffectedVisits(
+        [{ id: 5, patient_id: 1, date: '2025-03-04', start_time: '09:00:00', end_time: '09:45:00', status: 'scheduled', patients: patient }],
+        [{ id: 8, patient_id: 1, scheduled_visit_date: '2025-03-04', scheduled_visit_time: '09:00', status: 'active', patients: patient }]
+      )
+      expect(visits).toHaveLength(1)
+      expect(visits[0]).toMatchObject({ key: 'schedule:5', schedule_id: 5, assignment_id: 8, start_time: '09:00', end_time: '09:45' })
+    })
+
+    test('leaves out the assignment of a completed visit too', () => {
+      const visits = pairAffectedVisits(
+        [{ id: 5, patient_id: 1, date: '2025-03-04', start_time: '09:00', end_time: '09:45', status: 'completed', patients: patient }],
+        [{ id: 8, patient_id: 1, scheduled_visit_date: '2025-03-04', scheduled_visit_time: '09:00', status: 'active', patients: patient }]
+      )
+      expect(visits).toEqual([])
+    })
+
+    test('keeps assignments without a schedule entry and skips settled visits', () => {
+      const visits = pairAffectedVisits(
+        [
+          { id: 5, patient_id: 1, date: '2025-03-05', start_time: '10:00', end_time: '10:45', status: 'scheduled', patients: patient },
+          { id: 6, patient_id: 1, date: '2025-03-04', start_time: '10:00', end_time: '10:45', status: 'completed', patients: patient }
+        ],
+        [{ id: 9, patient_id: 2, scheduled_visit_date: '2025-03-04', scheduled_visit_time: '13:00', status: 'active', patients: { ...patient, id: 2 } }]
+      )
+      expect(visits.map(v => v.key)).toEqual(['assignment:9', 'schedule:5'])
+      expect(visits[0].end_time).toBe('13:45') // Wound Care default length
+    })
+
+  })
+
+  describe('rankReplacements', () => {
+    const visit = { date: '2025-03-04', start_time: '09:00', end_time: '09:45' }
+    const free = (slots, suggestedTime = slots[0]) => ({ available: true, slots, suggestedTime, duration: 45 })
+
+    test('prefers keeping the original time over a higher score', () => {
+      const ranked = rankReplacements(visit, [
+        { professional_id: 2, slots: free(['11:00']), score: 90 },
+        { professional_id: 3, slots: free(['08:30', '09:00'], '08:30'), score: 60 },
+        { professional_id: 4, slots: { available: false, reason: 'Professional has 4/4 patients' }, score: 95 }
+      ])
+      expect(ranked.map(r => r.professional_id)).toEqual([3, 2])
+      expect(ranked[0]).toMatchObject({ start_time: '09:00', end_time: '09:45', keeps_time: true })
+      expect(ranked[1]).toMatchObject({ start_time: '11:00', end_time: '11:45', keeps_time: false })
+    })
+
+    test('only offers the original time for joint visits', () => {
+      const ranked = rankReplacements({ ...visit, partner_professional_id: 7 }, [
+        { professional_id: 2, slots: free(['11:00']), score: 90 }
+      ])
+      expect(ranked).toEqual([])
+    })
+
+  })
+
+
+  describe('proposeRedistribution', () => {
+
+    beforeEach(() => {
+      mockDb.queries.length = 0
+    })
+
+    test('keeps the original time, lists alternatives and leaves unqualified visits unplaceable', async () => {
+      mockRespond = respondWith()
+      const proposal = await proposeRedistribution(absence)
+
+      expect(proposal.affected).toBe(2)
+      expect(proposal.proposals).toHaveLength(1)
+      expect(proposal.proposals[0]).toMatchObject({ key: 'schedule:20', assignment_id: 8 })
+      expect(proposal.proposals[0].replacement).toMatchObject({ start_time: '09:10', end_time: '09:55', keeps_time: true })
+      expect(proposal.proposals[0].alternatives).toHaveLength(1)
+      expect(proposal.unplaceable).toEqual([
+        expect.objectContaining({ key: 'schedule:22', reason: 'No present professional has the required skills' })
+      ])
+    })
+
+  })
+
+  describe('applyRedistribution', () => {
+
+    beforeEach(() => {
+      mockDb.queries.length = 0
+    })
+
+    test('moves visits to the chosen alternative and flags the rest', async () => {
+      mockRespond = respondWith()
+      const { proposals } = await proposeRedistribution(absence)
+      const alternative = proposals[0].alternatives[0].professional_id
+      mockDb.queries.length = 0
+
+      const result = await applyRedistribution(absence, { choices: { 'schedule:20': alternative }, acceptedById: 'user-1' })
+
+      expect(result.moved).toHaveLength(1)
+      expect(result.moved[0].replacement.professional_id).toBe(alternative)
+      expect(result.flagged.map(v => v.key)).toEqual(['schedule:22'])
+      expect(result.failed).toEqual([])
+
+      const flag = mockDb.queries.find(q => q.table === 'schedules' && q.action === 'update' && filterValue(q, 'eq', 'id') === 22)
+      expect(flag.payload).toEqual({ needs_cover: true, absence_id: 3 })
+      expect(absenceUpdate().payload.status).toBe('redistributed')
+    })
+
+    test('checks a chosen alternative against the visits moved before it', async () => {
+      // A second wound care visit at the same time, with no assignment
+      const sameTime = { ...woundVisit, id: 23, patient_id: 3, patients: { ...patient, id: 3, name: 'Liisa' } }
+      mockRespond = respondWith({ visits: [woundVisit, sameTime] })
+      const { proposals } = await proposeRedistribution(absence)
+      const [first, second] = proposals
+
+      // Send the first visit to the professional the second one is proposed for, at the same time
+      mockRespond = respondWith({ visits: [woundVisit, sameTime] })
+      const result = await applyRedistribution(absence, { choices: { [first.key]: second.replacement.professional_id } })
+
+      expect(result.moved.map(v => v.key)).toEqual([first.key])
+      expect(result.failed).toEqual([
+        expect.objectContaining({ key: second.key, reason: `Professional ${second.replacement.professional_id} is no longer free at 09:10` })
+      ])
+      expect(absenceUpdate().payload.status).toBe('partially_redistributed')
+    })
+
+    test('rejects a choice that is not a listed replacement', async () => {
+      mockRespond = respondWith()
+      const result = await applyRedistribution(absence, { choices: { 'schedule:20': 99 } })
+
+      expect(result.moved).toEqual([])
+      expect(result.failed[0]).toMatchObject({ key: 'schedule:20', reason: 'Professional 99 is not a listed replacement for this visit' })
+      expect(absenceUpdate().payload.status).toBe('partially_redistributed')
+    })
+
+    test('reports a failed handover and leaves the absence partially redistributed', async () => {
+      mockRespond = respondWith({ fail: q => q.table === 'assignment_reassignments' })
+      const result = await applyRedistribution(absence)
+
+      expect(result.moved).toEqual([])
+      expect(result.failed[0]).toMatchObject({ key: 'schedule:20', reason: 'assignment_reassignments insert failed' })
+      expect(result.flagged).toHaveLength(1)
+      expect(absenceUpdate().payload.status).toBe('partially_redistributed')
+    })
+
+  })
+
+})
@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for absences.js
+ * Tests absence validation and date coverage
+ */
+
+const { validateAbsence, coversDate, describeAbsence } = require('../../src/services/absences')
+
+describe('Absences', () => {
+
+  describe('validateAbsence', () => {
+
+    test('accepts a professional and date range', () => {
+      expect(validateAbsence({ professional_id: 1, start_date: '2025-03-03', end_date: '2025-03-05', reason: 'Sick leave' })).toBeNull()
+      expect(validateAbsence({ professional_id: 1, start_date: '2025-03-03', end_date: '2025-03-03' })).toBeNull()
+    })
+
+    test('rejects missing fields and reversed ranges', () => {
+      expect(validateAbsence({ start_date: '2025-03-03', end_date: '2025-03-05' })).toContain('professional_id')
+      expect(validateAbsence({ professional_id: 1, start_date: '3.3.2025', end_date: '2025-03-05' })).toContain('start_date')
+      expect(validateAbsence({ professional_id: 1, start_date: '2025-03-05', end_date: '2025-03-03' })).toContain('before')
+      expect(validateAbsence({ professional_id: 1, start_date: '2025-03-03', end_date: '2025-03-05', reason: 5 })).toContain('reason')
+    })
+
+  })
+
+  describe('coversDate', () => {
+    const absence = { start_date: '2025-03-03', end_date: '2025-03-05', status: 'recorded' }
+
+    test('covers the whole range including both ends', () => {
+      expect(coversDate(absence, '2025-03-03')).toBe(true)
+      expect(coversDate(absence, '2025-03-05')).toBe(true)
+      expect(coversDate(absence, '2025-03-06')).toBe(false)
+    })
+
+    test('cancelled absences cover nothing', () => {
+      expect(coversDate({ ...absence, status: 'cancelled' }, '2025-03-04')).toBe(false)
+    })
+  })
+
+  test('describeAbsence includes the reason when given', () => {
+    expect(describeAbsence({ reason: 'Sick leave' })).toBe('Professional is absent (Sick leave)')
+    expect(describeAbsence({})).toBe('Professional is absent')
+  })
+
+})
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for availability.js
+ * Tests availability exception validation and how a day's hours are resolved
+ */
+
+const {
+  validateAvailabilityException,
+  resolveDayAvailability,
+  resolveCalendarRange
+} = require('../../src/services/availability')
+
+describe('Availability', () => {
+
+  describe('validateAvailabilityException', () => {
+
+    test('accepts whole days off without times', () => {
+      expect(validateAvailabilityException({ type: 'unavailable', start_date: '2025-07-07', end_date: '2025-07-25' })).toBeNull()
+    })
+
+    test('requires times for custom hours and extra shifts', () => {
+      expect(validateAvailabilityException({ type: 'custom_hours', start_date: '2025-03-06', end_date: '2025-03-06', start_time: '08:00', end_time: '12:00' })).toBeNull()
+      expect(validateAvailabilityException({ type: 'extra_shift', start_date: '2025-03-08', end_date: '2025-03-08' })).toContain('start_time')
+      expect(validateAvailabilityException({ type: 'custom_hours', start_date: '2025-03-06', end_date: '2025-03-06', start_time: '12:00', end_time: '08:00' })).toContain('after')
+    })
+
+    test('rejects unknown types and bad dates', () => {
+      expect(validateAvailabilityException({ type: 'vacation', start_date: '2025-03-06', end_date: '2025-03-06' })).toContain('type')
+      expect(validateAvailabilityException({ type: 'unavailable', start_date: '6.3.2025', end_date: '2025-03-06' })).toContain('start_date')
+      expect(validateAvailabilityException({ type: 'unavailable', start_date: '2025-03-06', end_date: '2025-03-05' })).toContain('before')
+    })
+
+  })
+
+  describe('resolveDayAvailability', () => {
+    const template = { start_time: '08:00:00', end_time: '16:00:00', max_patients: 6, max_care_minutes: null }
+    const holiday = { date: '2025-12-06', name: 'Independence Day', local_name: 'Itsenäisyyspäivä' }
+
+    test('uses the weekly template on ordinary days', () => {
+      const day = resolveDayAvailability('2025-03-04', { template, holiday: null })
+      expect(day.source).toBe('template')
+      expect(day.hours).toEqual({ start_time: '08:00', end_time: '16:00', max_patients: 6, max_care_minutes: null })
+    })
+
+    test('is off without a template', () => {
+      const day = resolveDayAvailability('2025-03-08', { holiday: null })
+      expect(day.source).toBe('off')
+      expect(day.hours).toBeNull()
+    })
+
+    test('custom hours replace the template but keep its limits', () => {
+      const exceptions = [{ type: 'custom_hours', start_date: '2025-03-06', end_date: '2025-03-06', start_time: '08:00', end_time: '12:00' }]
+      const day = resolveDayAvailability('2025-03-06', { template, exceptions, holiday: null })
+      expect(day.source).toBe('custom_hours')
+      expect(day.hours).toEqual({ start_time: '08:00', end_time: '12:00', max_patients: 6, max_care_minutes: null })
+    })
+
+    test('ignores exceptions on other dates', () => {
+      const exceptions = [{ type: 'unavailable', start_date: '2025-03-10', end_date: '2025-03-14' }]
+      expect(resolveDayAvailability('2025-03-06', { template, exceptions, holiday: null }).source).toBe('template')
+    })
+
+    test('an extra shift opens a day off or widens a working day', () => {
+      const exceptions = [{ type: 'extra_shift', start_date: '2025-03-06', end_date: '2025-03-08', start_time: '14:00', end_time: '20:00' }]
+
+      const dayOff = resolveDayAvailability('2025-03-08', { exceptions, holiday: null })
+      expect(dayOff.hours).toMatchObject({ start_time: '14:00', end_time: '20:00' })
+
+      const workingDay = resolveDayAvailability('2025-03-06', { template, exceptions, holiday: null })
+      expect(workingDay.source).toBe('extra_shift')
+      expect(workingDay.hours).toMatchObject({ start_time: '08:00', end_time: '20:00' })
+    })
+
+    test('public holidays are off unless an exception says otherwise', () => {
+      const day = resolveDayAvailability('2025-12-06', { template, holiday })
+      expect(day.source).toBe('holiday')
+      expect(day.hours).toBeNull()
+      expect(day.reason).toBe('Public holiday: Independence Day')
+
+      const exceptions = [{ type: 'extra_shift', start_date: '2025-12-06', end_date: '2025-12-06', start_time: '10:00', end_time: '14:00' }]
+      const shift = resolveDayAvailability('2025-12-06', { template, exceptions, holiday })
+      expect(shift.hours).toMatchObject({ start_time: '10:00', end_time: '14:00' })
+      expect(shift.holiday).toEqual(holiday)
+    })
+
+    test('absence and unavailability win over everything else', () => {
+      const exceptions = [
+        { type: 'unavailable', start_date: '2025-07-07', end_date: '2025-07-25', reason: 'Vacation' },
+        { type: 'extra_shift', start_date: '2025-07-08', end_date: '2025-07-08', start_time: '08:00', end_time: '12:00' }
+      ]
+
+      const vacation = resolveDayAvailability('2025-07-08', { template, exceptions, holiday: null })
+      expect(vacation.source).toBe('unavailable')
+      expect(vacation.reason).toBe('Professional is unavailable (Vacation)')
+
+      const sick = resolveDayAvailability('2025-07-08', { template, exceptions, absence: { reason: 'Sick leave' }, holiday: null })
+      expect(sick.source).toBe('absence')
+      expect(sick.reason).toBe('Professional is absent (Sick leave)')
+    })
+
+  })
+
+  describe('resolveCalendarRange', () => {
+
+    test('defaults to two weeks from today', () => {
+      expect(resolveCalendarRange(undefined, undefined, '2025-03-03')).toEqual({ startDate: '2025-03-03', endDate: '2025-03-16' })
+      expect(resolveCalendarRange('2025-04-01', undefined, '2025-03-03')).toEqual({ startDate: '2025-04-01', endDate: '2025-04-14' })
+    })
+
+    test('rejects invalid, reversed and overlong ranges', () => {
+      expect(resolveCalendarRange('2025-03-10', '2025-03-01').error).toContain('before')
+      expect(resolveCalendarRange('March', '2025-03-01').error).toContain('YYYY-MM-DD')
+      expect(resolveCalendarRange('2025-01-01', '2025-12-31').error).toContain('92')
+    })
+
+  })
+
+})
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for careNeeds.js
+ * Tests multiple care needs per patient, their frequencies and combined visit length
+ */
+
+const {
+  getCareNeeds,
+  getNeededCareTypes,
+  getVisitDuration,
+  coversCareNeeds,
+  splitCareNeeds,
+  getPairVisitDuration,
+  validateCareNeeds
+} = require('../../src/services/careNeeds')
+
+const patient = {
+  care_needed: 'Wound Care',
+  care_needs: [
+    { care_type: 'Wound Care' },
+    { care_type: 'Medication Administration', duration_minutes: 20 },
+    // Physical therapy on Mondays and Thursdays only
+    { care_type: 'Physical Therapy', frequency: 'FREQ=WEEKLY;BYDAY=MO,TH', start_date: '2025-03-03' }
+  ]
+}
+
+const nurse = [{ specialization: 'Nursing Care' }]
+const physio = [{ specialization: 'Physical Therapy' }]
+
+describe('Care Needs', () => {
+
+  describe('getCareNeeds', () => {
+
+    test('lists every need with its duration', () => {
+      const needs = getCareNeeds(patient)
+      expect(needs.map(n => n.care_type)).toEqual(['Wound Care', 'Medication Administration', 'Physical Therapy'])
+      expect(needs.map(n => n.duration_minutes)).toEqual([45, 20, 60])
+    })
+
+    test('only includes needs due on the date', () => {
+      expect(getNeededCareTypes(patient, '2025-03-03')).toContain('Physical Therapy') // Monday
+      expect(getNeededCareTypes(patient, '2025-03-04')).toEqual(['Wound Care', 'Medication Administration'])
+      expect(getNeededCareTypes(patient, '2025-02-27')).not.toContain('Physical Therapy') // before start
+    })
+
+    test('stops a need once its count of visits is used up', () => {
+      const course = { care_needs: [{ care_type: 'Physical Therapy', frequency: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=4', start_date: '2025-03-03' }] }
+      expect(getNeededCareTypes(course, '2025-03-13')).toEqual(['Physical Therapy']) // fourth visit
+      expect(getNeededCareTypes(course, '2025-03-17')).toEqual([])
+    })
+
+    test('falls back to care_needed', () => {
+      expect(getNeededCareTypes({ care_needed: 'Cardiac Care' })).toEqual(['Cardiac Care'])
+      expect(getNeededCareTypes({ care_needed: null })).toEqual([])
+    })
+
+  })
+
+  describe('getVisitDuration', () => {
+
+    test('sums the needs due that day', () => {
+      expect(getVisitDuration(patient, '2025-03-03')).toBe(125)
+      expect(getVisitDuration(patient, '2025-03-04')).toBe(65)
+    })
+
+    test('uses the estimated duration when set', () => {
+      expect(getVisitDuration({ ...patient, estimated_care_duration: 90 }, '2025-03-03')).toBe(90)
+    })
+
+    test('uses the default for patients without needs', () => {
+      expect(getVisitDuration({})).toBe(45)
+    })
+
+  })
+
+  describe('coversCareNeeds', () => {
+
+    test('needs every care type covered', () => {
+      expect(coversCareNeeds(['Wound Care', 'Medication Administration'], nurse)).toBe(true)
+      expect(coversCareNeeds(['Wound Care', 'Physical Therapy'], nurse)).toBe(false)
+      expect(coversCareNeeds([], nurse)).toBe(false)
+    })
+
+  })
+
+  describe('splitCareNeeds', () => {
+
+    test('gives each need to the first professional who qualifies', () => {
+      const split = splitCareNeeds(getCareNeeds(patient, '2025-03-03'), nurse, physio)
+      expect(split.primary.map(n => n.care_type)).toEqual(['Wound Care', 'Medication Administration'])
+      expect(split.partner.map(n => n.care_type)).toEqual(['Physical Therapy'])
+      expect(split.uncovered).toEqual([])
+      expect(getPairVisitDuration(patient, split)).toBe(65)
+    })
+
+    test('reports needs neither professional covers', () => {
+      const split = splitCareNeeds(getCareNeeds({ care_needed: 'Cardiac Care' }), nurse, physio)
+      expect(split.uncovered.map(n => n.care_type)).toEqual(['Cardiac Care'])
+    })
+
+  })
+
+  describe('validateCareNeeds', () => {
+
+    test('accepts a valid list or none', () => {
+      expect(validateCareNeeds(patient.care_needs)).toBeNull()
+      expect(validateCareNeeds(undefined)).toBeNull()
+    })
+
+    test('rejects malformed entries', () => {
+      expect(validateCareNeeds('Wound Care')).toContain('array')
+      expect(validateCareNeeds([{ duration_minutes: 30 }])).toContain('care_type')
+      expect(validateCareNeeds([{ care_type: 'Wound Care', duration_minutes: -5 }])).toContain('duration_minutes')
+    })
+
+    test('rejects duplicate care types', () => {
+      expect(validateCareNeeds([{ care_type: 'Wound Care' }, { care_type: 'wound care' }])).toContain('more than once')
+    })
+
+    test('requires a start date and valid rule with a frequency', () => {
+      expect(validateCareNeeds([{ care_type: 'Physical Therapy', frequency: 'FREQ=WEEKLY' }])).toContain('start_date')
+      expect(validateCareNeeds([{ care_type: 'Physical Therapy', frequency: 'FREQ=HOURLY', start_date: '2025-03-03' }]))
+        .toContain('Invalid frequency')
+    })
+
+  })
+
+})
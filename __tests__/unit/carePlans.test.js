@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for carePlans.js
+ * Tests plan validation, picking occurrence times from available slots, and
+ * generating visits against a stubbed database
+ */
+
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+let mockRespond = () => {}
+const mockDb = createSupabaseMock(query => mockRespond(query))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const { validateCarePlan, pickOccurrenceTime, generateCarePlanVisits } = require('../../src/services/carePlans')
+
+const plan = {
+  patient_id: 1,
+  professional_id: 2,
+  start_date: '2026-05-11',
+  rrule: 'FREQ=DAILY;COUNT=14'
+}
+
+describe('Care Plans', () => {
+
+  describe('validateCarePlan', () => {
+
+    test('accepts a complete plan', () => {
+      expect(validateCarePlan(plan)).toBeNull()
+      expect(validateCarePlan({ ...plan, times_per_day: 3, duration_minutes: 45 })).toBeNull()
+    })
+
+    test('rejects missing fields and bad values', () => {
+      expect(validateCarePlan({ ...plan, professional_id: null })).toMatch('required')
+      expect(validateCarePlan({ ...plan, start_date: '11.5.2026' })).toMatch('start_date')
+      expect(validateCarePlan({ ...plan, times_per_day: 0 })).toMatch('times_per_day')
+      expect(validateCarePlan({ ...plan, duration_minutes: -5 })).toMatch('duration_minutes')
+      expect(validateCarePlan({ ...plan, rrule: 'FREQ=YEARLY' })).toMatch('FREQ')
+    })
+
+    test('rejects fixed times combined with times_per_day', () => {
+      expect(validateCarePlan({ ...plan, rrule: 'FREQ=DAILY;BYHOUR=8,20', times_per_day: 2 }))
+        .toMatch('either BYHOUR or times_per_day')
+    })
+
+  })
+
+  describe('pickOccurrenceTime', () => {
+
+    const available = { slots: ['08:00', '08:15', '10:00', '12:00', '14:00', '15:00'], suggestedTime: '08:15' }
+
+    test('uses the suggested time for a single daily visit', () => {
+      expect(pickOccurrenceTime(available, { index: 0, time: null })).toEqual({ time: '08:15', shiftedFrom: null })
+    })
+
+    test('takes the nearest slot to a fixed time and reports the shift', () => {
+      expect(pickOccurrenceTime(available, { index: 0, time: '14:00' })).toEqual({ time: '14:00', shiftedFrom: null })
+      expect(pickOccurrenceTime(available, { index: 1, time: '11:40' })).toEqual({ time: '12:00', shiftedFrom: '11:40' })
+    })
+
+    test('spreads several visits over the day', () => {
+      const daySpan = { first: 8 * 60, last: 15 * 60 }
+      const times = [0, 1, 2].map(index => pickOccurrenceTime(available, { index, time: null }, { perDay: 3, daySpan }).time)
+      expect(times).toEqual(['08:00', '12:00', '15:00'])
+    })
+
+    test('returns null without slots', () => {
+      expect(pickOccurrenceTime({ slots: [] }, { index: 0, time: null })).toBeNull()
+    })
+
+  })
+
+
+  describe('generateCarePlanVisits', () => {
+
+    // A Tuesday without a public holiday
+    const today = '2026-05-12'
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(`${today}T06:00:00Z`), doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'queueMicrotask'] })
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    // A database that keeps the rows generation writes, so later slot searches see them
+    function respondWithStore(store) {
+      return query => {
+        const onDay = rows => rows.filter(row =>
+          row.professional_id === filterValue(query, 'eq', 'professional_id') &&
+          (row.date || row.scheduled_visit_date) === (filterValue(query, 'eq', 'date') || filterValue(query, 'eq', 'scheduled_visit_date')))
+
+        switch (query.table) {
+          case 'patients':
+            return { data: { id: 1, area: 'Raksila', care_needed: 'IV Therapy' }, error: null }
+          case 'professionals':
+            return { data: { id: 2, max_patients_per_day: 3 }, error: null }
+          case 'working_hours':
+            return { data: [1, 2, 3, 4, 5, 6, 7].map(weekday => ({ professional_id: 2, weekday, start_time: '08:00', end_time: '16:00' })), error: null }
+          case 'patient_assignments':
+          case 'schedules': {
+            const rows = store[query.table]
+            if (query.action === 'insert') {
+              const row = { id: rows.length + 1, ...query.payload[0] }
+              rows.push(row)
+              return { data: row, error: null }
+            }
+            if (filterValue(query, 'eq', 'care_plan_id')) return { data: [], error: null }
+            return { data: onDay(rows), error: null }
+          }
+          default:
+            return { data: [], error: null }
+        }
+      }
+    }
+
+    test('books every visit of a day once, counting the ones just created', async () => {
+      const store = { patient_assignments: [], schedules: [] }
+      mockRespond = respondWithStore(store)
+
+      const result = await generateCarePlanVisits({
+        ...plan,
+        id: 7,
+        start_date: today,
+        rrule: 'FREQ=DAILY;COUNT=3',
+        times_per_day: 3,
+        duration_minutes: 30
+      }, { from: today })
+
+      expect(result.failed).toEqual([])
+      expect(result.created.map(visit => visit.index)).toEqual([0, 1, 2])
+      expect(new Set(result.created.map(visit => visit.start_time)).size).toBe(3)
+      expect(store.schedules).toHaveLength(3)
+    })
+
+  })
+
+})
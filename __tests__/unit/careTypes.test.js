@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for careTypes.js
+ * Tests the care type catalogue, exact lookups, qualification rules and validation
+ */
+
+const {
+  buildCareTypeCatalog,
+  loadCareTypesFromFile,
+  getCareTypeCatalog,
+  setCareTypeCatalog,
+  findCareType,
+  getCareTypeDuration,
+  qualifiesForCare,
+  describeSkillRequirement,
+  validateCareType
+} = require('../../src/services/careTypes')
+
+describe('Care Types', () => {
+
+  const defaultCatalog = loadCareTypesFromFile()
+
+  afterEach(() => {
+    setCareTypeCatalog(defaultCatalog)
+  })
+
+  test('loads the catalogue from the config file', () => {
+    const catalog = getCareTypeCatalog()
+    expect(catalog.source).toBe('config')
+    expect(catalog.defaultDurationMinutes).toBe(45)
+    expect(catalog.careTypes.every(t => t.default_duration_minutes > 0)).toBe(true)
+  })
+
+  describe('findCareType', () => {
+
+    test('matches names and aliases ignoring case and whitespace', () => {
+      expect(findCareType('  wound   care ').name).toBe('Wound Care')
+      expect(findCareType('Home Visit - General Checkup').name).toBe('General Checkup')
+    })
+
+    test('does not guess from substrings', () => {
+      expect(findCareType('Advanced wound care')).toBeNull()
+      expect(findCareType(null)).toBeNull()
+    })
+
+  })
+
+  describe('getCareTypeDuration', () => {
+
+    test('uses the care type default', () => {
+      expect(getCareTypeDuration('medication administration')).toBe(30)
+    })
+
+    test('falls back to the catalogue default', () => {
+      expect(getCareTypeDuration('Dialysis')).toBe(45)
+    })
+
+  })
+
+  describe('qualifiesForCare', () => {
+
+    const catalog = buildCareTypeCatalog({
+      defaultDurationMinutes: 40,
+      careTypes: [
+        {
+          name: 'Ventilator Care',
+          default_duration_minutes: 60,
+          required_specializations: ['Respiratory Care', 'Acute Care'],
+          alternative_specializations: ['Intensive Care'],
+          required_certification_level: 2
+        }
+      ]
+    })
+
+    beforeEach(() => {
+      setCareTypeCatalog(catalog)
+    })
+
+    test('needs every required specialization at the certification level', () => {
+      const both = [
+        { specialization: 'Respiratory Care', certification_level: 2 },
+        { specialization: 'Acute Care', certification_level: 3 }
+      ]
+      expect(qualifiesForCare('Ventilator Care', both)).toBe(true)
+      expect(qualifiesForCare('Ventilator Care', both.slice(0, 1))).toBe(false)
+    })
+
+    test('accepts any alternative instead', () => {
+      expect(qualifiesForCare('Ventilator Care', [{ specialization: 'Intensive Care', certification_level: 2 }])).toBe(true)
+    })
+
+    test('rejects specializations below the certification level', () => {
+      expect(qualifiesForCare('Ventilator Care', [{ specialization: 'Intensive Care', certification_level: 1 }])).toBe(false)
+      expect(qualifiesForCare('Ventilator Care', [{ specialization: 'Intensive Care' }])).toBe(false)
+    })
+
+    test('unknown care types need a specialization of the same name', () => {
+      expect(qualifiesForCare('Dialysis', [{ specialization: 'dialysis' }])).toBe(true)
+      expect(qualifiesForCare('Dialysis', [{ specialization: 'Nursing Care' }])).toBe(false)
+    })
+
+    test('describes the requirement', () => {
+      expect(describeSkillRequirement('Ventilator Care'))
+        .toBe('Respiratory Care + Acute Care, or one of: Intensive Care (certification level 2+)')
+    })
+
+  })
+
+  describe('validateCareType', () => {
+
+    const valid = {
+      name: 'Dialysis',
+      default_duration_minutes: 90,
+      required_specializations: ['Nephrology Nursing'],
+      alternative_specializations: []
+    }
+
+    test('accepts a complete care type', () => {
+      expect(validateCareType(valid)).toBeNull()
+    })
+
+    test('requires a positive duration', () => {
+      expect(validateCareType({ ...valid, default_duration_minutes: 0 })).toContain('default_duration_minutes')
+    })
+
+    test('requires at least one specialization', () => {
+      expect(validateCareType({ ...valid, required_specializations: [] })).toContain('At least one')
+    })
+
+    test('rejects invalid certification levels', () => {
+      expect(validateCareType({ ...valid, required_certification_level: 0 })).toContain('certification')
+    })
+
+    test('rejects names or aliases used by another care type', () => {
+      expect(validateCareType({ ...valid, aliases: ['wound care'] })).toContain('Wound Care')
+    })
+
+    test('allows a care type to keep its own name', () => {
+      const stored = buildCareTypeCatalog({ careTypes: [{ id: 5, ...valid }] })
+      setCareTypeCatalog(stored)
+      expect(validateCareType({ id: 5, ...valid })).toBeNull()
+    })
+
+  })
+
+})
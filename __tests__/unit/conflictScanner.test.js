@@ -0,0 +1,184 @@
+/**
+ * Unit Tests for conflictScanner.js
+ * Tests the categorised conflict report over existing schedules and assignments
+ */
+
+const { scanConflicts, validateScanRange, MAX_SCAN_DAYS } = require('../../src/services/conflictScanner')
+
+const raksila = { area: 'Raksila', care_needed: 'Wound Care' }
+const cityCenter = { area: 'Keskusta (City Center)', care_needed: 'Wound Care' }
+
+const nurse = {
+  id: 10,
+  max_patients_per_day: 2,
+  professional_specializations: [{ specialization: 'Wound Care', certification_level: 3 }]
+}
+const aide = {
+  id: 11,
+  professional_specializations: [{ specialization: 'Home Health Aide', certification_level: 1 }]
+}
+
+// 2025-03-04 is a Tuesday (weekday 2)
+const workingHours = [
+  { professional_id: 10, weekday: 2, start_time: '08:00', end_time: '16:00' },
+  { professional_id: 11, weekday: 2, start_time: '08:00', end_time: '16:00' }
+]
+
+function visit(id, start, end, overrides = {}) {
+  return {
+    id,
+    patient_id: 100 + id,
+    professional_id: 10,
+    date: '2025-03-04',
+    start_time: start,
+    end_time: end,
+    status: 'scheduled',
+    patients: raksila,
+    ...overrides
+  }
+}
+
+function assignment(id, overrides = {}) {
+  return {
+    id,
+    patient_id: 100 + id,
+    professional_id: 10,
+    scheduled_visit_date: '2025-03-04',
+    status: 'active',
+    patients: raksila,
+    ...overrides
+  }
+}
+
+function scan(data) {
+  return scanConflicts({ workingHours, professionals: [nurse, aide], ...data })
+}
+
+describe('Conflict Scanner', () => {
+
+  test('reports nothing for a clean day', () => {
+    const report = scan({
+      schedules: [visit(1, '08:00', '08:45'), visit(2, '09:00', '09:45')],
+      assignments: [assignment(1), assignment(2)]
+    })
+    expect(report.summary.total).toBe(0)
+  })
+
+  test('reports overlapping visits of a professional once per pair', () => {
+    const report = scan({ schedules: [visit(1, '09:00', '10:00'), visit(2, '09:30', '10:30')] })
+    expect(report.overlaps).toHaveLength(1)
+    expect(report.overlaps[0].type).toBe('professional_overlap')
+    expect(report.overlaps[0].schedules.map(s => s.id)).toEqual([1, 2])
+    expect(report.travel_gaps).toEqual([])
+  })
+
+  test('reports patient overlaps but not the halves of a joint visit', () => {
+    const report = scan({
+      schedules: [
+        visit(1, '09:00', '10:00', { patient_id: 1 }),
+        visit(2, '09:30', '10:00', { patient_id: 1, professional_id: 11, patients: { area: 'Raksila', care_needed: 'Personal Care' } }),
+        visit(3, '12:00', '13:00', { patient_id: 2, partner_professional_id: 11 }),
+        visit(4, '12:00', '13:00', { patient_id: 2, professional_id: 11, partner_professional_id: 10 })
+      ]
+    })
+    const patientOverlaps = report.overlaps.filter(o => o.type === 'patient_overlap')
+    expect(patientOverlaps).toHaveLength(1)
+    expect(patientOverlaps[0].patient_id).toBe(1)
+  })
+
+  test('reports visits outside working hours and on days off', () => {
+    const report = scan({
+      schedules: [
+        visit(1, '15:30', '16:30'),
+        visit(2, '10:00', '10:45', { date: '2025-03-08' })
+      ]
+    })
+    expect(report.outside_working_hours.map(c => c.type)).toEqual(['outside_working_hours', 'no_working_hours'])
+  })
+
+  test('applies availability exceptions and absences to working hours', () => {
+    const report = scan({
+      schedules: [
+        visit(1, '13:00', '13:45'),
+        visit(2, '10:00', '10:45', { professional_id: 11 })
+      ],
+      exceptions: [{ professional_id: 10, type: 'custom_hours', start_date: '2025-03-04', end_date: '2025-03-04', start_time: '08:00', end_time: '12:00' }],
+      absences: [{ professional_id: 11, start_date: '2025-03-03', end_date: '2025-03-05', reason: 'Sick leave', status: 'recorded' }]
+    })
+    expect(report.outside_working_hours.map(c => c.message)).toEqual([
+      'Visit 13:00-13:45 is outside working hours 08:00-12:00',
+      'Professional is absent (Sick leave)'
+    ])
+  })
+
+  test('reports gaps too short for the drive', () => {
+    // City Center to Raksila takes 12 minutes including the buffer
+    const report = scan({
+      schedules: [
+        visit(1, '09:00', '09:50', { patients: cityCenter }),
+        visit(2, '09:55', '10:40')
+      ]
+    })
+    expect(report.travel_gaps).toHaveLength(1)
+    expect(report.travel_gaps[0]).toMatchObject({ gap_minutes: 5, travel_minutes: 12 })
+  })
+
+  test('reports days booked beyond capacity, including days without schedule entries', () => {
+    const report = scan({
+      assignments: [assignment(1), assignment(2), assignment(3)]
+    })
+    expect(report.over_capacity).toHaveLength(1)
+    expect(report.over_capacity[0]).toMatchObject({ professional_id: 10, patient_count: 3, max_patients: 2 })
+  })
+
+  test('reports skill mismatches once per visit and skips overridden ones', () => {
+    const report = scan({
+      schedules: [
+        visit(1, '09:00', '09:45', { professional_id: 11 }),
+        visit(2, '10:00', '10:45', { professional_id: 11 }),
+        visit(3, '11:00', '11:45', { professional_id: 11, skill_override_justification: 'No nurse available' })
+      ],
+      assignments: [assignment(1, { professional_id: 11 })]
+    })
+    expect(report.skill_mismatches.map(m => [m.source, m.id])).toEqual([['assignment', 1], ['schedule', 2]])
+    expect(report.skill_mismatches[0].missing_skills).toContain('Wound Care')
+  })
+
+  test('counts a joint visit as covered when the pair holds the skills together', () => {
+    const report = scan({
+      schedules: [visit(1, '09:00', '09:45', { professional_id: 11, partner_professional_id: 10 })]
+    })
+    expect(report.skill_mismatches).toEqual([])
+  })
+
+  test('ignores cancelled visits and sorts by date', () => {
+    const report = scan({
+      schedules: [
+        visit(1, '09:00', '10:00', { date: '2025-03-05' }),
+        visit(2, '09:30', '10:30', { date: '2025-03-05' }),
+        visit(3, '09:00', '10:00'),
+        visit(4, '09:30', '10:30'),
+        visit(5, '09:30', '10:30', { status: 'cancelled' })
+      ]
+    })
+    expect(report.overlaps.map(o => o.date)).toEqual(['2025-03-04', '2025-03-05'])
+    expect(report.summary.overlaps).toBe(2)
+  })
+
+})
+
+describe('validateScanRange', () => {
+
+  test('accepts a range of up to the maximum length', () => {
+    expect(validateScanRange('2025-03-01', '2025-03-31')).toBeNull()
+    expect(validateScanRange('2025-01-01', '2025-04-02')).toBeNull()
+  })
+
+  test('rejects missing, malformed, reversed and overlong ranges', () => {
+    expect(validateScanRange('2025-03-01')).toMatch(/required/)
+    expect(validateScanRange('2025-3-1', '2025-03-31')).toMatch(/YYYY-MM-DD/)
+    expect(validateScanRange('2025-03-31', '2025-03-01')).toMatch(/before/)
+    expect(validateScanRange('2025-01-01', '2025-04-03')).toMatch(`${MAX_SCAN_DAYS} days`)
+  })
+
+})
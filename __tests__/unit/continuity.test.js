@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for continuity.js
+ * Tests the continuity factor, per-patient summaries and the configurable weight
+ */
+
+const {
+  scoreContinuity,
+  summarizeContinuity,
+  getContinuityWeight
+} = require('../../src/services/continuity')
+
+// Newest first, as loadCareHistory returns them
+const visits = [
+  { professional_id: 10, date: '2025-03-05' },
+  { professional_id: 10, date: '2025-03-04' },
+  { professional_id: 11, date: '2025-03-03' },
+  { professional_id: 10, date: '2025-03-02' }
+]
+
+describe('Continuity', () => {
+
+  describe('scoreContinuity', () => {
+
+    test('scores the share of recent visits made by the professional', () => {
+      const result = scoreContinuity(visits, 10)
+      expect(result.score).toBe(0.75)
+      expect(result.explanation).toContain('3 of')
+    })
+
+    test('scores zero for a professional who has not visited', () => {
+      expect(scoreContinuity(visits, 12).score).toBe(0)
+    })
+
+    test('scores zero for a patient without history', () => {
+      const result = scoreContinuity([], 10)
+      expect(result.score).toBe(0)
+      expect(result.explanation).toContain('No previous visits')
+    })
+
+  })
+
+  describe('summarizeContinuity', () => {
+
+    test('counts distinct carers and the main carer share', () => {
+      const summary = summarizeContinuity(visits)
+      expect(summary.visits).toBe(4)
+      expect(summary.distinctCarers).toBe(2)
+      expect(summary.mainCarerShare).toBe(0.75)
+      expect(summary.lastCarer).toBe(10)
+      expect(summary.carers[0]).toEqual({ professional_id: 10, visits: 3 })
+    })
+
+    test('handles patients without visits', () => {
+      const summary = summarizeContinuity(undefined)
+      expect(summary.distinctCarers).toBe(0)
+      expect(summary.mainCarerShare).toBeNull()
+      expect(summary.lastCarer).toBeNull()
+    })
+
+  })
+
+  describe('getContinuityWeight', () => {
+    const original = process.env.CONTINUITY_WEIGHT
+
+    afterEach(() => {
+      if (original === undefined) delete process.env.CONTINUITY_WEIGHT
+      else process.env.CONTINUITY_WEIGHT = original
+    })
+
+    test('defaults to 15', () => {
+      delete process.env.CONTINUITY_WEIGHT
+      expect(getContinuityWeight()).toBe(15)
+    })
+
+    test('reads CONTINUITY_WEIGHT and allows 0 to disable', () => {
+      process.env.CONTINUITY_WEIGHT = '0'
+      expect(getContinuityWeight()).toBe(0)
+      process.env.CONTINUITY_WEIGHT = '30'
+      expect(getContinuityWeight()).toBe(30)
+    })
+
+    test('ignores invalid values', () => {
+      process.env.CONTINUITY_WEIGHT = 'lots'
+      expect(getContinuityWeight()).toBe(15)
+    })
+
+  })
+
+})
@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for dayPlanOptimizer.js
+ * Tests whole-day assignment with skills, capacity, working hours and travel
+ */
+
+const { planDay } = require('../../src/services/dayPlanOptimizer')
+
+function professional(overrides = {}) {
+  return {
+    id: 1,
+    name: 'Nurse',
+    specializations: [{ specialization: 'Nursing Care' }],
+    serviceAreas: ['Raksila'],
+    base: { area: 'Raksila' },
+    dayStart: 8 * 60,
+    dayEnd: 16 * 60,
+    capacity: { maxPatients: 4, maxCareMinutes: null },
+    patientCount: 0,
+    careMinutes: 0,
+    visits: [],
+    ...overrides
+  }
+}
+
+function patient(id, overrides = {}) {
+  return {
+    id,
+    name: `Patient ${id}`,
+    care_needed: 'Nursing Care',
+    area: 'Raksila',
+    latitude: null,
+    longitude: null,
+    ...overrides
+  }
+}
+
+describe('Day Plan Optimizer', () => {
+
+  describe('planDay', () => {
+
+    test('plans every patient when capacity allows', () => {
+      const { routes, unassignable } = planDay([patient(1), patient(2)], [professional()])
+      expect(unassignable).toEqual([])
+      expect(routes).toHaveLength(1)
+      expect(routes[0].visits).toHaveLength(2)
+    })
+
+    test('sequences visits without overlap', () => {
+      const { routes } = planDay([patient(1), patient(2), patient(3)], [professional()])
+      const visits = routes[0].visits
+      for (let i = 1; i < visits.length; i++) {
+        expect(visits[i].start_time >= visits[i - 1].end_time).toBe(true)
+      }
+    })
+
+    test('reports patients nobody is qualified for', () => {
+      const { unassignable } = planDay([patient(1, { care_needed: 'Cardiac Care' })], [professional()])
+      expect(unassignable).toHaveLength(1)
+      expect(unassignable[0].reason).toContain('required skills')
+    })
+
+    test('reports capacity and days off as reasons', () => {
+      const busy = professional({ id: 1, capacity: { maxPatients: 1, maxCareMinutes: null }, patientCount: 1 })
+      const off = professional({ id: 2, dayStart: null, dayEnd: null })
+      const { unassignable } = planDay([patient(1)], [busy, off])
+      expect(unassignable[0].reason).toContain('1 at capacity')
+      expect(unassignable[0].reason).toContain('1 not working this day')
+    })
+
+    test('keeps the only qualified professional free for the specialised patient', () => {
+      // Greedy in input order would give the wound-care nurse the general patient first
+      const generalist = professional({
+        id: 1,
+        capacity: { maxPatients: 1, maxCareMinutes: null }
+      })
+      const woundNurse = professional({
+        id: 2,
+        specializations: [{ specialization: 'Wound Care' }, { specialization: 'Nursing Care' }],
+        serviceAreas: ['Tuira'],
+        base: { area: 'Tuira' },
+        capacity: { maxPatients: 1, maxCareMinutes: null }
+      })
+
+      const { routes, unassignable } = planDay(
+        [patient(1), patient(2, { care_needed: 'Wound Care' })],
+        [generalist, woundNurse]
+      )
+
+      expect(unassignable).toEqual([])
+      const woundRoute = routes.find(r => r.professional_id === 2)
+      expect(woundRoute.visits[0].patient_id).toBe(2)
+    })
+
+    test('respects existing visits in the timeline', () => {
+      const booked = professional({
+        dayStart: 8 * 60,
+        dayEnd: 10 * 60,
+        visits: [{ start: 8 * 60, end: 9 * 60 + 30, location: { area: 'Raksila' } }],
+        patientCount: 1
+      })
+      const { routes, unassignable } = planDay([patient(1)], [booked])
+      expect(routes).toEqual([])
+      expect(unassignable[0].reason).toContain('without a free')
+    })
+
+    test('keeps visits inside hard windows and reports soft violations', () => {
+      const window = { earliest_visit_time: '06:00', latest_visit_time: '07:00' }
+      const hard = planDay([patient(1, window)], [professional()])
+      expect(hard.unassignable[0].reason).toContain("patient's visit window")
+
+      const soft = planDay([patient(1, { ...window, time_window_mode: 'soft' })], [professional()])
+      const visit = soft.routes[0].visits[0]
+      expect(visit.start_time).toBe('08:00')
+      expect(visit.window_violations[0]).toMatchObject({ type: 'too_late', minutes: 60 })
+    })
+
+    test('needs one professional covering every care need, for their combined time', () => {
+      const multiNeed = patient(1, {
+        care_needs: [{ care_type: 'Nursing Care' }, { care_type: 'Physical Therapy', duration_minutes: 30 }]
+      })
+      const nursePhysio = professional({ id: 2, specializations: [{ specialization: 'Physical Therapy' }, { specialization: 'Nursing Care' }] })
+
+      const { routes } = planDay([multiNeed], [professional(), nursePhysio])
+      expect(routes[0].professional_id).toBe(2)
+      const visit = routes[0].visits[0]
+      expect(visit.end_time).toBe('09:20') // 50 + 30 minutes
+
+      const { unassignable } = planDay([multiNeed], [professional()])
+      expect(unassignable[0].reason).toContain('Nursing Care + Physical Therapy')
+    })
+
+    test('prefers the professional who has been visiting the patient', () => {
+      const regular = patient(1, { history: [{ professional_id: 2, date: '2025-03-01' }] })
+      const { routes } = planDay([regular], [professional(), professional({ id: 2 })])
+      expect(routes).toHaveLength(1)
+      expect(routes[0].professional_id).toBe(2)
+    })
+
+  })
+
+})
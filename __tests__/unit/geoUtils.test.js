@@ -8,6 +8,8 @@ const {
   calculateTravelTime,
   getZoneBasedTravelTime,
   getTravelTimeBetweenLocations,
+  isPointInPolygon,
+  detectZone,
   optimizeRouteByDistance
 } = require('../../src/services/geoUtils')
 
@@ -182,4 +184,35 @@ describe('Geo Utilities', () => {
 
   })
 
+  describe('zone detection', () => {
+
+    const square = {
+      type: 'Polygon',
+      coordinates: [[[25.40, 65.00], [25.50, 65.00], [25.50, 65.05], [25.40, 65.05], [25.40, 65.00]]]
+    }
+
+    test('finds points inside a polygon', () => {
+      expect(isPointInPolygon(65.02, 25.45, square)).toBe(true)
+      expect(isPointInPolygon(65.10, 25.45, square)).toBe(false)
+    })
+
+    test('detects the nearest zone centroid', () => {
+      expect(detectZone(65.0121, 25.4651)).toBe('Keskusta (City Center)')
+      expect(detectZone(65.083, 25.41)).toBe('Pateniemi')
+    })
+
+    test('returns null far from every zone', () => {
+      expect(detectZone(60.1699, 24.9384)).toBeNull()
+    })
+
+    test('uses the detected zone when one side has no coordinates', () => {
+      const time = getTravelTimeBetweenLocations(
+        { lat: 65.083, lng: 25.41 },
+        { area: 'Keskusta (City Center)' }
+      )
+      expect(time).toBe(20)
+    })
+
+  })
+
 })
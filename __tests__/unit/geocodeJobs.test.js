@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for geocodeJobs.js
+ * Tests selection of patients to re-geocode and job result reporting
+ */
+
+const { createSupabaseMock } = require('../helpers/mockSupabase')
+
+const mockDb = createSupabaseMock(() => ({ data: [], error: null }))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const { needsGeocoding, runGeocodeJob, startGeocodeMissingJob } = require('../../src/services/geocodeJobs')
+const { hashAddress } = require('../../src/services/geocoder')
+
+function newJob(total) {
+  return { status: 'running', total, processed: 0, succeeded: [], ambiguous: [], failed: [] }
+}
+
+describe('Geocode Jobs', () => {
+
+  describe('needsGeocoding', () => {
+
+    test('selects patients without coordinates', () => {
+      expect(needsGeocoding({ address: 'Isokatu 12', latitude: null, longitude: null })).toBe(true)
+    })
+
+    test('selects patients whose address changed since geocoding', () => {
+      expect(needsGeocoding({
+        address: 'Isokatu 14',
+        latitude: 65.01,
+        longitude: 25.47,
+        address_hash: hashAddress('Isokatu 12')
+      })).toBe(true)
+    })
+
+    test('skips up-to-date patients', () => {
+      expect(needsGeocoding({
+        address: 'Isokatu 12',
+        latitude: 65.01,
+        longitude: 25.47,
+        address_hash: hashAddress('Isokatu 12')
+      })).toBe(false)
+    })
+
+    test('skips patients without an address', () => {
+      expect(needsGeocoding({ address: '', latitude: null })).toBe(false)
+      expect(needsGeocoding({ address: null, latitude: null })).toBe(false)
+    })
+
+  })
+
+  describe('runGeocodeJob', () => {
+
+    test('sorts outcomes into succeeded, ambiguous and failed', async () => {
+      const statuses = { A: 'ok', B: 'ambiguous', C: 'not_found', D: 'failed' }
+      // Like geocodePatientFields, a provider error on an unchanged address returns no coordinates
+      const geocode = jest.fn(async address => statuses[address] === 'failed'
+        ? { geocode_status: 'failed' }
+        : {
+            latitude: statuses[address] === 'ok' || statuses[address] === 'ambiguous' ? 65 : null,
+            longitude: statuses[address] === 'ok' || statuses[address] === 'ambiguous' ? 25.5 : null,
+            geocode_status: statuses[address]
+          })
+      const save = jest.fn(async () => {})
+      const patients = ['A', 'B', 'C', 'D'].map((address, i) => ({ id: i + 1, name: address, address }))
+
+      const job = await runGeocodeJob(newJob(4), patients, { geocode, save })
+
+      expect(job.status).toBe('completed')
+      expect(job.processed).toBe(4)
+      expect(job.succeeded.map(p => p.patient_id)).toEqual([1])
+      expect(job.ambiguous.map(p => p.patient_id)).toEqual([2])
+      expect(job.failed.map(p => p.reason)).toEqual(['No match found', 'Geocoding provider error'])
+      expect(save).toHaveBeenCalledTimes(3)
+    })
+
+    test('does not save provider errors, keeping stored coordinates', async () => {
+      const geocode = jest.fn(async () => ({ geocode_status: 'failed' }))
+      const save = jest.fn(async () => {})
+
+      const job = await runGeocodeJob(newJob(1), [{ id: 1, address: 'A' }], { geocode, save })
+
+      expect(save).not.toHaveBeenCalled()
+      expect(job.failed).toEqual([expect.objectContaining({ patient_id: 1, reason: 'Geocoding provider error' })])
+      expect(job.processed).toBe(1)
+    })
+
+    test('saves cleared coordinates when a provider error hits a changed address', async () => {
+      const geocode = jest.fn(async () => ({ latitude: null, longitude: null, geocode_status: 'failed' }))
+      const save = jest.fn(async () => {})
+
+      const job = await runGeocodeJob(newJob(1), [{ id: 1, address: 'B', address_hash: 'hash-of-A' }], { geocode, save })
+
+      expect(geocode).toHaveBeenCalledWith('B', { previousHash: 'hash-of-A' })
+      expect(save).toHaveBeenCalledWith(1, expect.objectContaining({ latitude: null, longitude: null }))
+      expect(job.failed).toEqual([expect.objectContaining({ patient_id: 1, reason: 'Geocoding provider error' })])
+    })
+
+    test('records save errors as failures and keeps going', async () => {
+      const geocode = jest.fn(async () => ({ latitude: 65, longitude: 25.5, geocode_status: 'ok' }))
+      const save = jest.fn()
+        .mockRejectedValueOnce(new Error('update failed'))
+        .mockResolvedValueOnce()
+      const patients = [{ id: 1, address: 'A' }, { id: 2, address: 'B' }]
+
+      const job = await runGeocodeJob(newJob(2), patients, { geocode, save })
+
+      expect(job.failed).toEqual([expect.objectContaining({ patient_id: 1, reason: 'update failed' })])
+      expect(job.succeeded.map(p => p.patient_id)).toEqual([2])
+    })
+
+  })
+
+  describe('startGeocodeMissingJob', () => {
+
+    test('starts only one job for concurrent requests', async () => {
+      const [first, second] = await Promise.all([startGeocodeMissingJob(), startGeocodeMissingJob()])
+
+      expect(first.started).toBe(true)
+      expect(second.started).toBe(false)
+      expect(second.job.id).toBe(first.job.id)
+    })
+
+  })
+
+})
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for geocoder.js
+ * Tests address normalization, gazetteer providers, caching and throttling
+ */
+
+const path = require('path')
+const { createSupabaseMock } = require('../helpers/mockSupabase')
+
+const mockDb = createSupabaseMock()
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const {
+  geocodePatientFields,
+  createGeocoder,
+  createGazetteerProvider,
+  createThrottle,
+  normalizeAddress,
+  hashAddress,
+  GEOCODE_STATUS
+} = require('../../src/services/geocoder')
+
+const csvPath = path.join(__dirname, '../fixtures/oulu-gazetteer.csv')
+const geoJsonPath = path.join(__dirname, '../fixtures/oulu-gazetteer.geojson')
+
+function memoryCache() {
+  const store = new Map()
+  return {
+    store,
+    get: jest.fn(async key => store.get(key) || null),
+    set: jest.fn(async (key, value) => { store.set(key, value) })
+  }
+}
+
+describe('Geocoder', () => {
+
+  describe('normalizeAddress', () => {
+
+    test('lowercases and collapses whitespace', () => {
+      expect(normalizeAddress('  Kauppurienkatu   1 ')).toBe('kauppurienkatu 1')
+    })
+
+    test('drops a trailing city and country', () => {
+      expect(normalizeAddress('Kauppurienkatu 1, Oulu, Finland')).toBe('kauppurienkatu 1')
+      expect(normalizeAddress('Kauppurienkatu 1, Oulu')).toBe('kauppurienkatu 1')
+    })
+
+    test('hashes equivalent addresses the same way', () => {
+      expect(hashAddress('Kauppurienkatu 1, Oulu')).toBe(hashAddress('kauppurienkatu 1'))
+      expect(hashAddress('Kauppurienkatu 1')).not.toBe(hashAddress('Kauppurienkatu 2'))
+    })
+
+  })
+
+  describe('gazetteer provider', () => {
+
+    test('finds addresses in a CSV file', async () => {
+      const provider = createGazetteerProvider({ filePath: csvPath })
+      const results = await provider.search('Kajaanintie 50, Oulu')
+      expect(results).toHaveLength(1)
+      expect(results[0].lat).toBeCloseTo(65.0085)
+    })
+
+    test('finds addresses in a GeoJSON file', async () => {
+      const provider = createGazetteerProvider({ filePath: geoJsonPath })
+      const results = await provider.search('Kauppurienkatu 1')
+      expect(results[0].lng).toBeCloseTo(25.4698)
+      expect(results[0].displayName).toBe('Kauppurienkatu 1, Oulu')
+    })
+
+  })
+
+  describe('createGeocoder', () => {
+
+    test('returns ok with coordinates for a single match', async () => {
+      const geocoder = createGeocoder({ provider: createGazetteerProvider({ filePath: csvPath }) })
+      const result = await geocoder.geocode('Isokatu 12')
+      expect(result.status).toBe(GEOCODE_STATUS.OK)
+      expect(result.provider).toBe('gazetteer')
+    })
+
+    test('flags far-apart candidates as ambiguous', async () => {
+      const geocoder = createGeocoder({ provider: createGazetteerProvider({ filePath: csvPath }) })
+      const result = await geocoder.geocode('Koulukatu 5')
+      expect(result.status).toBe(GEOCODE_STATUS.AMBIGUOUS)
+      expect(result.candidates).toHaveLength(2)
+    })
+
+    test('reports not found for unknown addresses', async () => {
+      const geocoder = createGeocoder({ provider: createGazetteerProvider({ filePath: csvPath }) })
+      const result = await geocoder.geocode('Nowhere 99')
+      expect(result.status).toBe(GEOCODE_STATUS.NOT_FOUND)
+      expect(result.lat).toBeNull()
+    })
+
+    test('ignores matches outside Oulu', async () => {
+      const geocoder = createGeocoder({ provider: createGazetteerProvider({ filePath: geoJsonPath }) })
+      const result = await geocoder.geocode('Drottninggatan 1')
+      expect(result.status).toBe(GEOCODE_STATUS.NOT_FOUND)
+    })
+
+    test('reports provider errors as failed', async () => {
+      const provider = { name: 'broken', search: jest.fn().mockRejectedValue(new Error('down')) }
+      const geocoder = createGeocoder({ provider })
+      const result = await geocoder.geocode('Isokatu 12')
+      expect(result.status).toBe(GEOCODE_STATUS.FAILED)
+      expect(result.error).toBe('down')
+    })
+
+    test('serves repeated lookups from cache', async () => {
+      const provider = createGazetteerProvider({ filePath: csvPath })
+      const search = jest.spyOn(provider, 'search')
+      const cache = memoryCache()
+      const geocoder = createGeocoder({ provider, cache })
+
+      await geocoder.geocode('Isokatu 12')
+      const second = await geocoder.geocode('Isokatu 12, Oulu')
+
+      expect(search).toHaveBeenCalledTimes(1)
+      expect(second.cached).toBe(true)
+      expect(cache.set).toHaveBeenCalledWith('isokatu 12', expect.objectContaining({ status: 'ok' }))
+    })
+
+    test('reads from the persistent cache before calling the provider', async () => {
+      const provider = { name: 'test', search: jest.fn() }
+      const cache = memoryCache()
+      cache.store.set('isokatu 12', { status: 'ok', lat: 65.01, lng: 25.47, displayName: 'x', provider: 'test' })
+      const geocoder = createGeocoder({ provider, cache })
+
+      const result = await geocoder.geocode('Isokatu 12')
+      expect(result.lat).toBe(65.01)
+      expect(provider.search).not.toHaveBeenCalled()
+    })
+
+  })
+
+  describe('createThrottle', () => {
+
+    test('spaces consecutive calls by the minimum interval', async () => {
+      const throttle = createThrottle(50)
+      const times = []
+      await Promise.all([1, 2, 3].map(() => throttle(async () => times.push(Date.now()))))
+      expect(times[1] - times[0]).toBeGreaterThanOrEqual(45)
+      expect(times[2] - times[1]).toBeGreaterThanOrEqual(45)
+    })
+
+  })
+
+  describe('geocodePatientFields', () => {
+    const originalInterval = process.env.GEOCODER_MIN_INTERVAL_MS
+
+    beforeAll(() => {
+      process.env.GEOCODER_MIN_INTERVAL_MS = '0'
+    })
+
+    afterAll(() => {
+      if (originalInterval === undefined) delete process.env.GEOCODER_MIN_INTERVAL_MS
+      else process.env.GEOCODER_MIN_INTERVAL_MS = originalInterval
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('clears coordinates when the address is not found', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: true, json: async () => [] })
+
+      const fields = await geocodePatientFields('Nowhere Street 1')
+      expect(fields.geocode_status).toBe(GEOCODE_STATUS.NOT_FOUND)
+      expect(fields.latitude).toBeNull()
+      expect(fields.longitude).toBeNull()
+      expect(fields.address_hash).toBe(hashAddress('Nowhere Street 1'))
+    })
+
+    test('leaves coordinates and address hash out on provider errors', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('down'))
+
+      const fields = await geocodePatientFields('Isokatu 12')
+      expect(fields.geocode_status).toBe(GEOCODE_STATUS.FAILED)
+      expect(fields).not.toHaveProperty('latitude')
+      expect(fields).not.toHaveProperty('longitude')
+      expect(fields).not.toHaveProperty('address_hash')
+    })
+
+    test('clears coordinates on provider errors when the address changed', async () => {
+      jest.spyOn(global, 'fetch').mockRejectedValue(new Error('down'))
+
+      const unchanged = await geocodePatientFields('Isokatu 12', { previousHash: hashAddress('Isokatu 12') })
+      const changed = await geocodePatientFields('Isokatu 12', { previousHash: hashAddress('Kirkkokatu 3') })
+
+      expect(unchanged).not.toHaveProperty('latitude')
+      expect(changed).toMatchObject({ latitude: null, longitude: null, geocode_status: GEOCODE_STATUS.FAILED })
+      expect(changed).not.toHaveProperty('address_hash')
+    })
+
+  })
+
+})
@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for holidays.js
+ * Tests the Finnish public holiday calendar
+ */
+
+const {
+  easterSunday,
+  getFinnishHolidays,
+  findHoliday,
+  observesPublicHolidays
+} = require('../../src/services/holidays')
+
+describe('Holidays', () => {
+
+  describe('easterSunday', () => {
+
+    test('computes Easter for known years', () => {
+      expect(easterSunday(2024)).toBe('2024-03-31')
+      expect(easterSunday(2025)).toBe('2025-04-20')
+      expect(easterSunday(2026)).toBe('2026-04-05')
+    })
+
+  })
+
+  describe('getFinnishHolidays', () => {
+
+    test('lists the holidays of a year in date order', () => {
+      const holidays = getFinnishHolidays(2025)
+      const dates = holidays.map(h => h.date)
+
+      expect(holidays).toHaveLength(15)
+      expect(dates).toEqual([...dates].sort())
+      expect(holidays[0]).toEqual({ date: '2025-01-01', name: "New Year's Day", local_name: 'Uudenvuodenpäivä' })
+    })
+
+    test('places moving holidays from Easter and the fixed weekends', () => {
+      const byName = Object.fromEntries(getFinnishHolidays(2025).map(h => [h.name, h.date]))
+
+      expect(byName['Good Friday']).toBe('2025-04-18')
+      expect(byName['Easter Monday']).toBe('2025-04-21')
+      expect(byName['Ascension Day']).toBe('2025-05-29')
+      expect(byName['Midsummer Eve']).toBe('2025-06-20')
+      expect(byName['Midsummer Day']).toBe('2025-06-21')
+      expect(byName["All Saints' Day"]).toBe('2025-11-01')
+    })
+
+  })
+
+  describe('findHoliday', () => {
+
+    test('finds the holiday on a date', () => {
+      expect(findHoliday('2025-12-06').name).toBe('Independence Day')
+      expect(findHoliday('2026-06-19').name).toBe('Midsummer Eve')
+    })
+
+    test('returns null on ordinary days', () => {
+      expect(findHoliday('2025-03-04')).toBeNull()
+    })
+
+  })
+
+  describe('observesPublicHolidays', () => {
+    const original = process.env.OBSERVE_PUBLIC_HOLIDAYS
+
+    afterEach(() => {
+      if (original === undefined) delete process.env.OBSERVE_PUBLIC_HOLIDAYS
+      else process.env.OBSERVE_PUBLIC_HOLIDAYS = original
+    })
+
+    test('defaults to observing holidays', () => {
+      delete process.env.OBSERVE_PUBLIC_HOLIDAYS
+      expect(observesPublicHolidays()).toBe(true)
+    })
+
+    test('OBSERVE_PUBLIC_HOLIDAYS=false turns holidays off', () => {
+      process.env.OBSERVE_PUBLIC_HOLIDAYS = 'false'
+      expect(observesPublicHolidays()).toBe(false)
+      process.env.OBSERVE_PUBLIC_HOLIDAYS = 'true'
+      expect(observesPublicHolidays()).toBe(true)
+    })
+
+  })
+
+})
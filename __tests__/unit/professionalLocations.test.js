@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for professionalLocations.js
+ * Tests resolving home/base start and end points and validating settings
+ */
+
+const {
+  resolveProfessionalLocations,
+  validateLocationSetting,
+  setBases
+} = require('../../src/services/professionalLocations')
+
+const base = { name: 'Oulu University Hospital', lat: 65.0085, lng: 25.519 }
+const home = { home_address: 'Isokatu 12', home_latitude: 65.0128, home_longitude: 25.474 }
+
+describe('Professional Locations', () => {
+
+  beforeEach(() => setBases([base]))
+
+  describe('resolveProfessionalLocations', () => {
+
+    test('returns nothing when no start is configured', () => {
+      expect(resolveProfessionalLocations({ ...home })).toEqual({ start: null, end: null })
+      expect(resolveProfessionalLocations(null)).toEqual({ start: null, end: null })
+    })
+
+    test('resolves home with a detected zone and ends there by default', () => {
+      const { start, end } = resolveProfessionalLocations({ ...home, start_location_type: 'home' })
+      expect(start).toMatchObject({ lat: 65.0128, lng: 25.474, label: 'home' })
+      expect(start.area).toBe('Keskusta (City Center)')
+      expect(end).toBe(start)
+    })
+
+    test('resolves a named base and a different end', () => {
+      const { start, end } = resolveProfessionalLocations({
+        ...home,
+        start_location_type: 'base',
+        start_base: 'Oulu University Hospital',
+        end_location_type: 'home'
+      })
+      expect(start).toMatchObject({ lat: 65.0085, label: 'Oulu University Hospital' })
+      expect(end.label).toBe('home')
+    })
+
+    test('does not resolve home without coordinates', () => {
+      const { start } = resolveProfessionalLocations({ home_address: 'Nowhere 1', start_location_type: 'home' })
+      expect(start).toBeNull()
+    })
+
+  })
+
+  describe('validateLocationSetting', () => {
+
+    test('accepts unset, known bases and home with an address', () => {
+      expect(validateLocationSetting(null)).toBeNull()
+      expect(validateLocationSetting('base', 'Oulu University Hospital')).toBeNull()
+      expect(validateLocationSetting('home', null, home)).toBeNull()
+    })
+
+    test('rejects unknown types and bases, and home without an address', () => {
+      expect(validateLocationSetting('office')).toMatch('home, base')
+      expect(validateLocationSetting('base', 'Nowhere')).toBe('Unknown base: Nowhere')
+      expect(validateLocationSetting('home', null, {})).toMatch('home address')
+    })
+
+  })
+
+})
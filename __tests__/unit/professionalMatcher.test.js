@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for professionalMatcher.js
+ * Tests per-factor scoring and load summaries used by the recommend endpoint
+ */
+
+const {
+  scoreProfessional,
+  findCoveringPairs,
+  summarizeLoad,
+  listDates,
+  isValidDate,
+  recommendProfessionals,
+  getRecommendationWeights,
+  RECOMMENDATION_WEIGHTS
+} = require('../../src/services/professionalMatcher')
+
+const patient = {
+  id: 1,
+  care_needed: 'wound care',
+  area: 'Raksila',
+  latitude: null,
+  longitude: null
+}
+
+const woundNurse = {
+  id: 10,
+  professional_specializations: [
+    { specialization: 'Wound Care', years_experience: 6 },
+    { specialization: 'Cardiology', years_experience: 12 }
+  ],
+  professional_service_areas: [
+    { service_area: 'Raksila', is_primary: true }
+  ]
+}
+
+const openLoad = { workingDays: 2, availableDays: 2, averageUtilization: 0.25, firstAvailable: null }
+
+describe('Professional Matcher', () => {
+
+  describe('listDates', () => {
+
+    test('lists every date in an inclusive range', () => {
+      expect(listDates('2025-01-30', '2025-02-02')).toEqual([
+        '2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02'
+      ])
+    })
+
+    test('returns an empty list when end is before start', () => {
+      expect(listDates('2025-02-02', '2025-02-01')).toEqual([])
+    })
+
+  })
+
+  describe('isValidDate', () => {
+
+    test('accepts real YYYY-MM-DD dates only', () => {
+      expect(isValidDate('2025-02-28')).toBe(true)
+      expect(isValidDate('2025-02-30')).toBe(false)
+      expect(isValidDate('28.2.2025')).toBe(false)
+      expect(isValidDate(undefined)).toBe(false)
+    })
+
+  })
+
+  describe('recommendProfessionals', () => {
+
+    test('rejects unparsable dates before reading any data', async () => {
+      const result = await recommendProfessionals(1, 'tomorrow', '2025-03-01')
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('YYYY-MM-DD')
+    })
+
+  })
+
+  describe('summarizeLoad', () => {
+
+    test('averages utilization over working days only', () => {
+      const load = summarizeLoad([
+        { date: '2025-01-06', slots: { available: true, suggestedTime: '08:00', patientCountOnDay: 1, maxCapacity: 4 } },
+        { date: '2025-01-07', slots: { available: false, patientCountOnDay: 4, maxCapacity: 4 } },
+        { date: '2025-01-08', slots: { available: false, reason: 'No working hours for this day', patientCountOnDay: 0 } }
+      ])
+
+      expect(load.workingDays).toBe(2)
+      expect(load.availableDays).toBe(1)
+      expect(load.averageUtilization).toBeCloseTo(0.625)
+      expect(load.firstAvailable).toEqual({ date: '2025-01-06', time: '08:00' })
+    })
+
+    test('reports no working days', () => {
+      const load = summarizeLoad([])
+      expect(load.workingDays).toBe(0)
+      expect(load.averageUtilization).toBeNull()
+    })
+
+  })
+
+  describe('findCoveringPairs', () => {
+
+    const needs = [
+      { care_type: 'Wound Care', duration_minutes: 45 },
+      { care_type: 'Physical Therapy', duration_minutes: 60 }
+    ]
+    const candidates = [
+      { professional_id: 1, specializations: [{ specialization: 'Wound Care' }], score: 70 },
+      { professional_id: 2, specializations: [{ specialization: 'Physical Therapy' }], score: 60 },
+      { professional_id: 3, specializations: [{ specialization: 'Rehabilitation' }], score: 80 },
+      { professional_id: 4, specializations: [{ specialization: 'Wound Care' }, { specialization: 'Physical Therapy' }], score: 90 }
+    ]
+
+    test('pairs professionals who cover every need together, best first', () => {
+      const pairs = findCoveringPairs(needs, candidates)
+      expect(pairs.map(p => p.professional_ids)).toEqual([[1, 3], [1, 2]])
+      expect(pairs[0].care_split).toEqual({ 1: ['Wound Care'], 3: ['Physical Therapy'] })
+      expect(pairs[0].score).toBe(75)
+    })
+
+    test('leaves out professionals who cover everything alone and pairs that miss a need', () => {
+      const pairs = findCoveringPairs(needs, candidates)
+      expect(pairs.some(p => p.professional_ids.includes(4))).toBe(false)
+      expect(pairs.some(p => p.professional_ids.join() === '2,3')).toBe(false)
+    })
+
+  })
+
+  describe('scoreProfessional', () => {
+
+    test('gives full marks for skill and primary area', () => {
+      const result = scoreProfessional(patient, woundNurse, { travelMinutes: 5, load: openLoad })
+      expect(result.eligible).toBe(true)
+      expect(result.factors.skill.score).toBe(1)
+      expect(result.factors.serviceArea.score).toBe(1)
+    })
+
+    test('uses experience from the matching specialization', () => {
+      const result = scoreProfessional(patient, woundNurse, { travelMinutes: 5, load: openLoad })
+      expect(result.factors.experience.score).toBeCloseTo(0.6)
+      expect(result.factors.experience.explanation).toContain('6 year')
+    })
+
+    test('marks skill mismatches as ineligible', () => {
+      const cardiologist = {
+        ...woundNurse,
+        professional_specializations: [{ specialization: 'Cardiology', years_experience: 12 }]
+      }
+      const result = scoreProfessional(patient, cardiologist, { travelMinutes: 5 })
+      expect(result.eligible).toBe(false)
+      expect(result.factors.skill.explanation).toContain('No specialization')
+    })
+
+    test('marks fully booked professionals as ineligible', () => {
+      const fullLoad = { workingDays: 1, availableDays: 0, averageUtilization: 1, firstAvailable: null }
+      const result = scoreProfessional(patient, woundNurse, { travelMinutes: 5, load: fullLoad })
+      expect(result.eligible).toBe(false)
+      expect(result.factors.load.score).toBe(0)
+    })
+
+    test('scores secondary service areas lower than primary', () => {
+      const secondary = {
+        ...woundNurse,
+        professional_service_areas: [{ service_area: 'Raksila', is_primary: false }]
+      }
+      const result = scoreProfessional(patient, secondary, { travelMinutes: 5, load: openLoad })
+      expect(result.factors.serviceArea.score).toBe(0.7)
+    })
+
+    test('travel factor drops to zero for long trips', () => {
+      const result = scoreProfessional(patient, woundNurse, { travelMinutes: 60, load: openLoad })
+      expect(result.factors.travel.score).toBe(0)
+    })
+
+    test('total score never exceeds the sum of weights', () => {
+      const maxScore = Object.values(RECOMMENDATION_WEIGHTS).reduce((a, b) => a + b, 0)
+      const result = scoreProfessional(patient, woundNurse, { travelMinutes: 0, load: openLoad })
+      expect(result.score).toBeLessThanOrEqual(maxScore)
+      expect(result.score).toBeGreaterThan(0)
+    })
+
+    test('scores partial coverage of several care needs as ineligible', () => {
+      const multiNeed = { ...patient, care_needs: [{ care_type: 'Wound Care' }, { care_type: 'Physical Therapy' }] }
+      const result = scoreProfessional(multiNeed, woundNurse, { travelMinutes: 5, load: openLoad })
+      expect(result.eligible).toBe(false)
+      expect(result.factors.skill.score).toBe(0.5)
+      expect(result.factors.skill.explanation).toBe('Covers Wound Care but not Physical Therapy')
+    })
+
+    test('prefers the professional who has been visiting the patient', () => {
+      const colleague = { ...woundNurse, id: 11 }
+      const history = [
+        { professional_id: 10, date: '2025-03-02' },
+        { professional_id: 10, date: '2025-03-01' }
+      ]
+      const regular = scoreProfessional(patient, woundNurse, { travelMinutes: 5, load: openLoad, history })
+      const newcomer = scoreProfessional(patient, colleague, { travelMinutes: 5, load: openLoad, history })
+
+      expect(regular.factors.continuity.score).toBe(1)
+      expect(newcomer.factors.continuity.score).toBe(0)
+      expect(regular.score - newcomer.score).toBeCloseTo(getRecommendationWeights().continuity)
+    })
+
+  })
+
+})
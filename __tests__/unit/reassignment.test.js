@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for reassignment.js
+ * Tests slot picking, which assignment fields move with a visit, and handovers
+ * against a stubbed database
+ */
+
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+let mockRespond = () => {}
+const mockDb = createSupabaseMock(query => mockRespond(query))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const { pickNextSlot, carriedAssignmentFields, reassignVisit } = require('../../src/services/reassignment')
+
+const patient = { id: 1, name: 'Aino', area: 'Raksila', care_needed: 'Wound Care' }
+
+// A Tuesday visit at 09:10, off the 15-minute slot grid
+const assignment = {
+  id: 8,
+  patient_id: 1,
+  professional_id: 10,
+  status: 'active',
+  scheduled_visit_date: '2025-03-04',
+  scheduled_visit_time: '09:10:00',
+  notes: 'Key under the mat',
+  patients: patient
+}
+const visitSchedule = {
+  id: 20,
+  patient_id: 1,
+  professional_id: 10,
+  date: '2025-03-04',
+  start_time: '09:10:00',
+  end_time: '09:55:00',
+  status: 'scheduled'
+}
+
+// Stub answers for a handover of assignment 8 to professional 11.
+// busy: professional 11's schedule rows; fail(query) makes a query fail
+function respondWith({ busy = [], specializations = [{ specialization: 'Wound Care' }], fail = () => false } = {}) {
+  return query => {
+    if (fail(query)) return { data: null, error: { message: `${query.table} ${query.action} failed` } }
+
+    const professionalId = filterValue(query, 'eq', 'professional_id')
+    switch (query.table) {
+      case 'patient_assignments':
+        if (query.action === 'insert') return { data: { id: 9, ...query.payload[0] }, error: null }
+        if (query.action === 'select' && query.single) return { data: assignment, error: null }
+        return { data: [], error: null }
+      case 'schedules':
+        if (query.action === 'update') return { data: { ...visitSchedule, ...query.payload }, error: null }
+        if (query.action === 'select') return { data: professionalId === 10 ? [visitSchedule] : busy, error: null }
+        return { data: null, error: null }
+      case 'professional_specializations':
+        return { data: specializations, error: null }
+      case 'professionals':
+        return { data: { id: 11 }, error: null }
+      case 'working_hours':
+        return { data: [{ professional_id: 11, weekday: 2, start_time: '08:00', end_time: '16:00' }], error: null }
+      case 'assignment_reassignments':
+        return { data: { id: 30, ...query.payload[0] }, error: null }
+      default:
+        return { data: [], error: null }
+    }
+  }
+}
+
+const writes = () => mockDb.queries.filter(q => q.action !== 'select')
+
+describe('Reassignment', () => {
+
+  describe('pickNextSlot', () => {
+
+    test('takes the first slot at or after the original time', () => {
+      expect(pickNextSlot(['08:00', '09:00', '10:15'], '09:00')).toBe('09:00')
+      expect(pickNextSlot(['08:00', '09:00', '10:15'], '09:30:00')).toBe('10:15')
+    })
+
+    test('returns null when the day has no later slot', () => {
+      expect(pickNextSlot(['08:00', '09:00'], '12:00')).toBeNull()
+      expect(pickNextSlot(undefined, '12:00')).toBeNull()
+    })
+
+  })
+
+  describe('carriedAssignmentFields', () => {
+
+    test('keeps the visit context and drops handover columns', () => {
+      const carried = carriedAssignmentFields({
+        id: 8,
+        patient_id: 1,
+        professional_id: 10,
+        partner_professional_id: 11,
+        care_plan_id: 3,
+        notes: 'Key under the mat',
+        status: 'active',
+        scheduled_visit_date: '2025-03-04',
+        scheduled_visit_time: '09:00',
+        skill_override_justification: 'No nurse available',
+        patients: { id: 1 }
+      })
+
+      expect(carried).toEqual({
+        patient_id: 1,
+        partner_professional_id: 11,
+        care_plan_id: 3,
+        notes: 'Key under the mat'
+      })
+    })
+
+  })
+
+
+  describe('reassignVisit', () => {
+
+    beforeEach(() => {
+      mockDb.queries.length = 0
+    })
+
+    const busyAt = (start, end) => [{ id: 21, patient_id: 2, start_time: start, end_time: end, status: 'scheduled', patients: { area: 'Raksila' } }]
+
+    test('keep_time keeps an off-grid time when the professional is free then', async () => {
+      mockRespond = respondWith()
+      const result = await reassignVisit(8, 11, { mode: 'keep_time', reassignedById: 'user-1' })
+
+      expect(result.success).toBe(true)
+      expect(result.schedule).toMatchObject({ professional_id: 11, date: '2025-03-04', start_time: '09:10', end_time: '09:55' })
+      expect(result.assignment).toMatchObject({ id: 9, professional_id: 11, scheduled_visit_time: '09:10', reassigned_from_id: 8, notes: 'Key under the mat' })
+      expect(result.reassignment).toMatchObject({ from_professional_id: 10, to_professional_id: 11, mode: 'keep_time' })
+    })
+
+    test('keep_time refuses a busy time without writing anything', async () => {
+      mockRespond = respondWith({ busy: busyAt('09:00', '10:00') })
+      const result = await reassignVisit(8, 11, { mode: 'keep_time' })
+
+      expect(result).toMatchObject({ success: false, code: 'SLOT_UNAVAILABLE' })
+      expect(result.suggested_time > '10:00').toBe(true)
+      expect(writes()).toHaveLength(0)
+    })
+
+    test('next_slot takes the first free time after the original one', async () => {
+      mockRespond = respondWith({ busy: busyAt('09:00', '10:00') })
+      const result = await reassignVisit(8, 11, { mode: 'next_slot' })
+
+      expect(result.success).toBe(true)
+      expect(result.schedule.date).toBe('2025-03-04')
+      expect(result.schedule.start_time > '10:00').toBe(true)
+      expect(result.reassignment.mode).toBe('next_slot')
+    })
+
+    test('rejects an unqualified professional without writing anything', async () => {
+      mockRespond = respondWith({ specializations: [] })
+      const result = await reassignVisit(8, 11)
+
+      expect(result).toMatchObject({ success: false, code: 'SKILL_MISMATCH' })
+      expect(writes()).toHaveLength(0)
+    })
+
+    test('undoes every write when the history row cannot be saved', async () => {
+      mockRespond = respondWith({ fail: q => q.table === 'assignment_reassignments' })
+      await expect(reassignVisit(8, 11)).rejects.toMatchObject({ message: 'assignment_reassignments insert failed' })
+
+      const undo = writes().slice(-3)
+      expect(undo[0]).toMatchObject({ table: 'schedules', action: 'update', payload: { professional_id: 10, start_time: '09:10:00' } })
+      expect(undo[1]).toMatchObject({ table: 'patient_assignments', action: 'delete' })
+      expect(filterValue(undo[1], 'eq', 'id')).toBe(9)
+      expect(undo[2]).toMatchObject({ table: 'patient_assignments', action: 'update', payload: { status: 'active' } })
+    })
+
+    test('lists the writes that could not be undone', async () => {
+      mockRespond = respondWith({
+        fail: q => q.table === 'assignment_reassignments' || (q.table === 'patient_assignments' && q.action === 'delete')
+      })
+
+      const error = await reassignVisit(8, 11).catch(err => err)
+      expect(error.rollbackErrors).toEqual(['new assignment 9: patient_assignments delete failed'])
+    })
+
+  })
+
+})
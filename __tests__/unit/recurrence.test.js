@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for recurrence.js
+ * Tests RRULE parsing, occurrence expansion and single-date checks
+ */
+
+const { parseRecurrenceRule, expandOccurrences, occursOn } = require('../../src/services/recurrence')
+const { addDays } = require('../../src/services/timeUtils')
+
+// Monday
+const startDate = '2026-05-11'
+
+describe('Recurrence', () => {
+
+  describe('parseRecurrenceRule', () => {
+
+    test('parses a daily rule with a count', () => {
+      expect(parseRecurrenceRule('RRULE:FREQ=DAILY;COUNT=14')).toMatchObject({
+        freq: 'DAILY',
+        interval: 1,
+        count: 14,
+        until: null,
+        times: null
+      })
+    })
+
+    test('parses weekdays, fixed times and an until date', () => {
+      const rule = parseRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=20,8;BYMINUTE=30;UNTIL=20260531')
+      expect(rule.byDay).toEqual([1, 3, 5])
+      expect(rule.times).toEqual(['08:30', '20:30'])
+      expect(rule.until).toBe('2026-05-31')
+    })
+
+    test('rejects unsupported or inconsistent rules', () => {
+      expect(() => parseRecurrenceRule('FREQ=MONTHLY')).toThrow('FREQ must be one of')
+      expect(() => parseRecurrenceRule('FREQ=DAILY;COUNT=3;UNTIL=20260601')).toThrow('either COUNT or UNTIL')
+      expect(() => parseRecurrenceRule('FREQ=DAILY;BYDAY=XX')).toThrow('Invalid BYDAY')
+      expect(() => parseRecurrenceRule('FREQ=DAILY;BYMINUTE=30')).toThrow('needs BYHOUR')
+      expect(() => parseRecurrenceRule('')).toThrow('required')
+    })
+
+  })
+
+  describe('expandOccurrences', () => {
+
+    test('daily for 14 days stops at the count', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;COUNT=14')
+      const occurrences = expandOccurrences(rule, { startDate, horizonEnd: '2026-06-30' })
+      expect(occurrences).toHaveLength(14)
+      expect(occurrences[13].date).toBe('2026-05-24')
+    })
+
+    test('stops at the horizon', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY')
+      expect(expandOccurrences(rule, { startDate, horizonEnd: '2026-05-13' })).toHaveLength(3)
+    })
+
+    test('weekdays only skips the weekend', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR')
+      const dates = expandOccurrences(rule, { startDate, horizonEnd: '2026-05-18' }).map(o => o.date)
+      expect(dates).not.toContain('2026-05-16')
+      expect(dates).toHaveLength(6)
+    })
+
+    test('several visits a day get an index each', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;COUNT=6')
+      const occurrences = expandOccurrences(rule, { startDate, horizonEnd: '2026-05-31', timesPerDay: 3 })
+      expect(occurrences.map(o => `${o.date}#${o.index}`)).toEqual([
+        '2026-05-11#0', '2026-05-11#1', '2026-05-11#2',
+        '2026-05-12#0', '2026-05-12#1', '2026-05-12#2'
+      ])
+    })
+
+    test('fixed times come from BYHOUR', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;BYHOUR=8,14,20;COUNT=3')
+      const occurrences = expandOccurrences(rule, { startDate, horizonEnd: '2026-05-31' })
+      expect(occurrences.map(o => o.time)).toEqual(['08:00', '14:00', '20:00'])
+    })
+
+    test('weekly with an interval repeats every other week', () => {
+      const rule = parseRecurrenceRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TH')
+      const dates = expandOccurrences(rule, { startDate, horizonEnd: '2026-06-10' }).map(o => o.date)
+      expect(dates).toEqual(['2026-05-14', '2026-05-28'])
+    })
+
+    test('counts occurrences before `from` without returning them', () => {
+      const rule = parseRecurrenceRule('FREQ=DAILY;COUNT=5')
+      const occurrences = expandOccurrences(rule, { startDate, horizonEnd: '2026-05-31', from: '2026-05-14' })
+      expect(occurrences.map(o => o.date)).toEqual(['2026-05-14', '2026-05-15'])
+    })
+
+  })
+
+  describe('occursOn', () => {
+
+    test('agrees with the expanded occurrences', () => {
+      const rules = [
+        'FREQ=DAILY;COUNT=14',
+        'FREQ=DAILY;INTERVAL=3;BYDAY=MO,WE,FR;COUNT=10',
+        'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=7',
+        'FREQ=DAILY;BYHOUR=8,20;COUNT=5',
+        'FREQ=WEEKLY;UNTIL=20260630'
+      ]
+
+      for (const text of rules) {
+        const rule = parseRecurrenceRule(text)
+        const expected = new Set(expandOccurrences(rule, { startDate, horizonEnd: '2026-09-30' }).map(o => o.date))
+        for (let date = addDays(startDate, -3); date <= '2026-09-30'; date = addDays(date, 1)) {
+          expect([text, date, occursOn(rule, startDate, date)]).toEqual([text, date, expected.has(date)])
+        }
+      }
+    })
+
+    test('checks a date years after the start', () => {
+      const rule = parseRecurrenceRule('FREQ=WEEKLY;BYDAY=MO,TH;COUNT=1000')
+      expect(occursOn(rule, startDate, '2031-03-10')).toBe(true) // Monday, visit 505
+      expect(occursOn(rule, startDate, '2036-03-10')).toBe(false) // Monday, past the count
+    })
+
+  })
+
+})
@@ -0,0 +1,234 @@
+/**
+ * Unit Tests for routeOptimizer.js
+ * Tests visit ordering, ETAs and time window handling
+ */
+
+const { createSupabaseMock, filterValue } = require('../helpers/mockSupabase')
+
+let mockRespond = () => {}
+const mockDb = createSupabaseMock(query => mockRespond(query))
+jest.mock('../../src/config/supabase', () => ({ supabase: mockDb.supabase }))
+
+const { optimizeRoute, simulateRoute, resequenceProfessionalDay } = require('../../src/services/routeOptimizer')
+
+const base = { lat: 65.0121, lng: 25.4651 }
+
+function stop(id, lat, lng, overrides = {}) {
+  return {
+    id,
+    location: { lat, lng },
+    duration: 30,
+    windowStart: null,
+    windowEnd: null,
+    ...overrides
+  }
+}
+
+describe('Route Optimizer', () => {
+
+  describe('simulateRoute', () => {
+
+    test('computes arrival, start and end for each stop', () => {
+      const route = simulateRoute([stop(1, 65.0121, 25.4651)], { start: base, dayStart: 480 })
+      const first = route.stops[0]
+      expect(first.arrival).toBe(480 + first.travelMinutes)
+      expect(first.start).toBe(first.arrival)
+      expect(first.end).toBe(first.start + 30)
+    })
+
+    test('waits for a window to open', () => {
+      const route = simulateRoute(
+        [stop(1, 65.0121, 25.4651, { windowStart: 600 })],
+        { start: base, dayStart: 480 }
+      )
+      expect(route.stops[0].start).toBe(600)
+      expect(route.stops[0].waitMinutes).toBeGreaterThan(0)
+    })
+
+    test('reports lateness past the latest start', () => {
+      const route = simulateRoute(
+        [stop(1, 65.0121, 25.4651), stop(2, 65.0121, 25.4651, { windowEnd: 490 })],
+        { start: base, dayStart: 480 }
+      )
+      expect(route.lateMinutes).toBeGreaterThan(0)
+    })
+
+    test('penalizes lateness less for soft windows', () => {
+      const order = soft => [stop(1, 65.0121, 25.4651), stop(2, 65.0121, 25.4651, { windowEnd: 490, softWindow: soft })]
+      const hard = simulateRoute(order(false), { start: base, dayStart: 480 })
+      const soft = simulateRoute(order(true), { start: base, dayStart: 480 })
+      expect(soft.lateMinutes).toBe(hard.lateMinutes)
+      expect(soft.cost).toBeLessThan(hard.cost)
+    })
+
+    test('includes the return leg in drive time', () => {
+      const route = simulateRoute([stop(1, 65.05, 25.5)], { start: base, dayStart: 480 })
+      expect(route.returnTravelMinutes).toBeGreaterThan(0)
+      expect(route.driveMinutes).toBe(route.stops[0].travelMinutes + route.returnTravelMinutes)
+    })
+
+  })
+
+  describe('optimizeRoute', () => {
+
+    test('returns an empty route for no stops', () => {
+      const route = optimizeRoute([], { start: base })
+      expect(route.stops).toEqual([])
+      expect(route.driveMinutes).toBe(0)
+    })
+
+    test('visits every stop exactly once', () => {
+      const stops = [
+        stop(1, 65.05, 25.50),
+        stop(2, 65.02, 25.47),
+        stop(3, 65.04, 25.49),
+        stop(4, 65.01, 25.52)
+      ]
+      const route = optimizeRoute(stops, { start: base })
+      expect(route.stops.map(s => s.stop.id).sort()).toEqual([1, 2, 3, 4])
+    })
+
+    test('is never worse than the given order', () => {
+      const stops = [
+        stop(1, 65.06, 25.52),
+        stop(2, 65.013, 25.466),
+        stop(3, 65.05, 25.51),
+        stop(4, 65.015, 25.468)
+      ]
+      const original = simulateRoute(stops, { start: base, end: base, dayStart: 480 })
+      const optimized = optimizeRoute(stops, { start: base, dayStart: 480 })
+      expect(optimized.cost).toBeLessThanOrEqual(original.cost)
+    })
+
+    test('puts an early-window visit first even when it is far away', () => {
+      const stops = [
+        stop(1, 65.013, 25.466),
+        stop(2, 65.08, 25.55, { windowEnd: 530 })
+      ]
+      const route = optimizeRoute(stops, { start: base, dayStart: 480 })
+      expect(route.stops[0].stop.id).toBe(2)
+      expect(route.lateMinutes).toBe(0)
+    })
+
+  })
+
+  describe('resequenceProfessionalDay', () => {
+    const patient = (id, lat, lng) => ({ id, name: `Patient ${id}`, care_needed: 'Wound Care', latitude: lat, longitude: lng })
+    const schedules = [
+      { id: 1, patient_id: 101, professional_id: 10, date: '2025-03-04', start_time: '12:00:00', end_time: '12:45:00', status: 'scheduled', patients: patient(101, 65.013, 25.466) },
+      { id: 2, patient_id: 102, professional_id: 10, date: '2025-03-04', start_time: '15:00:00', end_time: '15:45:00', status: 'scheduled', patients: patient(102, 65.015, 25.468) }
+    ]
+
+    // Patient 101 has a second visit later that day
+    const assignments = [
+      { id: 51, patient_id: 101, scheduled_visit_time: '12:00:00', care_plan_id: null },
+      { id: 52, patient_id: 102, scheduled_visit_time: '15:00:00', care_plan_id: null },
+      { id: 53, patient_id: 101, scheduled_visit_time: '17:00:00', care_plan_id: null }
+    ]
+
+    // Answers the day's reads (day: the schedule rows, endTime: end of working hours); writes go to onWrite
+    function respondWith(onWrite, { day = schedules, endTime = '16:00' } = {}) {
+      mockRespond = query => {
+        if (query.action === 'update') return onWrite(query)
+        if (query.table === 'schedules') return { data: day, error: null }
+        if (query.table === 'patient_assignments') {
+          return { data: assignments.filter(a => a.patient_id === filterValue(query, 'eq', 'patient_id')), error: null }
+        }
+        if (query.table === 'working_hours') {
+          return { data: [{ professional_id: 10, weekday: 2, start_time: '08:00', end_time: endTime }], error: null }
+        }
+        if (query.table === 'professionals') return { data: { id: 10 }, error: null }
+        return { data: [], error: null }
+      }
+    }
+
+    const scheduleWrites = () => mockDb.queries
+      .filter(q => q.table === 'schedules' && q.action === 'update')
+      .map(q => [filterValue(q, 'eq', 'id'), q.payload.start_time])
+
+    beforeEach(() => {
+      mockDb.queries.length = 0
+    })
+
+    test('moves only the assignment behind each schedule entry', async () => {
+      respondWith(() => ({ data: null, error: null }))
+
+      const result = await resequenceProfessionalDay(10, '2025-03-04')
+
+      expect(result.applied).toBe(true)
+      const assignmentWrites = mockDb.queries
+        .filter(q => q.table === 'patient_assignments' && q.action === 'update')
+        .map(q => filterValue(q, 'eq', 'id'))
+      expect(assignmentWrites.sort()).toEqual([51, 52])
+    })
+
+    test('leaves completed visits out and keeps joint visits at their time', async () => {
+      respondWith(() => ({ data: null, error: null }), {
+        day: [
+          ...schedules,
+          { ...schedules[0], id: 3, start_time: '08:00:00', end_time: '08:45:00', status: 'completed' },
+          { ...schedules[1], id: 4, patient_id: 103, start_time: '10:00:00', end_time: '10:30:00', partner_professional_id: 11 }
+        ]
+      })
+
+      const result = await resequenceProfessionalDay(10, '2025-03-04', { dryRun: true })
+
+      expect(result.changes.map(c => c.schedule_id).sort()).toEqual([1, 2, 4])
+      expect(result.changes.find(c => c.schedule_id === 4)).toMatchObject({ after: { start_time: '10:00', end_time: '10:30' }, changed: false })
+    })
+
+    test('refuses an order that ends after working hours without writing', async () => {
+      respondWith(() => ({ data: null, error: null }), { endTime: '09:00' })
+
+      const result = await resequenceProfessionalDay(10, '2025-03-04')
+
+      expect(result).toMatchObject({ applied: false, code: 'ROUTE_INFEASIBLE' })
+      expect(result.error).toContain('after working hours end at 09:00')
+      expect(scheduleWrites()).toHaveLength(0)
+    })
+
+    test('restores the failing visit and earlier ones when an assignment write fails', async () => {
+      let assignmentWrites = 0
+      respondWith(query => {
+        if (query.table === 'patient_assignments' && ++assignmentWrites === 2) {
+          return { data: null, error: { message: 'connection lost' } }
+        }
+        return { data: null, error: null }
+      })
+
+      const result = await resequenceProfessionalDay(10, '2025-03-04')
+
+      expect(result.applied).toBe(false)
+      expect(result.error).toContain('connection lost')
+      expect(result.reverted).toBe(2)
+      expect(result.revertErrors).toBeUndefined()
+
+      const writes = scheduleWrites()
+      expect(writes).toHaveLength(4)
+      // The last two writes put both rows back to their original times
+      expect(writes.slice(2).map(([, start]) => start).sort()).toEqual(['12:00', '15:00'])
+    })
+
+    test('reports rows that could not be restored', async () => {
+      let assignmentWrites = 0
+      let scheduleUpdates = 0
+      respondWith(query => {
+        if (query.table === 'patient_assignments' && ++assignmentWrites === 2) {
+          return { data: null, error: { message: 'connection lost' } }
+        }
+        if (query.table === 'schedules' && ++scheduleUpdates > 2) {
+          return { data: null, error: { message: 'still down' } }
+        }
+        return { data: null, error: null }
+      })
+
+      const result = await resequenceProfessionalDay(10, '2025-03-04')
+
+      expect(result.reverted).toBe(0)
+      expect(result.revertErrors).toHaveLength(2)
+      expect(result.revertErrors[0]).toContain('still down')
+    })
+
+  })
+
+})
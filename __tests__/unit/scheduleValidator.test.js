@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for scheduleValidator.js
+ * Tests conflict detection for schedule writes
+ */
+
+const { findScheduleConflicts, validateScheduleTimes } = require('../../src/services/scheduleValidator')
+
+const workingHours = { start_time: '08:00', end_time: '16:00' }
+const raksila = { area: 'Raksila', latitude: null, longitude: null }
+const cityCenter = { area: 'Keskusta (City Center)', latitude: null, longitude: null }
+
+function entry(overrides = {}) {
+  return {
+    patient_id: 1,
+    professional_id: 10,
+    date: '2025-03-04', // Tuesday, no rush hour at 10:00
+    start_time: '10:00',
+    end_time: '10:45',
+    ...overrides
+  }
+}
+
+function visit(id, start, end, overrides = {}) {
+  return { id, patient_id: 100 + id, professional_id: 10, date: '2025-03-04', start_time: start, end_time: end, status: 'scheduled', patients: raksila, ...overrides }
+}
+
+const location = { area: 'Keskusta (City Center)', coords: { lat: null, lng: null } }
+
+describe('Schedule Validator', () => {
+
+  describe('findScheduleConflicts', () => {
+
+    test('accepts a visit with room to travel', () => {
+      const conflicts = findScheduleConflicts(entry(), {
+        professionalVisits: [visit(1, '08:30', '09:30'), visit(2, '11:00', '11:45')],
+        workingHours,
+        location
+      })
+      expect(conflicts).toEqual([])
+    })
+
+    test('reports overlapping visits of the professional', () => {
+      const conflicts = findScheduleConflicts(entry(), {
+        professionalVisits: [visit(1, '10:30', '11:00')],
+        workingHours,
+        location
+      })
+      expect(conflicts).toHaveLength(1)
+      expect(conflicts[0].type).toBe('professional_overlap')
+      expect(conflicts[0].schedule.id).toBe(1)
+    })
+
+    test('reports gaps too short to drive between visits', () => {
+      // City Center to Raksila takes 12 minutes including the buffer
+      const conflicts = findScheduleConflicts(entry(), {
+        professionalVisits: [visit(1, '09:00', '09:50')],
+        workingHours,
+        location
+      })
+      expect(conflicts[0].type).toBe('travel_time')
+      expect(conflicts[0].message).toContain('Only 10 min')
+    })
+
+    test('ignores cancelled visits', () => {
+      const conflicts = findScheduleConflicts(entry(), {
+        professionalVisits: [visit(1, '10:00', '10:45', { status: 'cancelled' })],
+        workingHours,
+        location
+      })
+      expect(conflicts).toEqual([])
+    })
+
+    test('reports visits outside working hours or on days off', () => {
+      const late = findScheduleConflicts(entry({ start_time: '15:30', end_time: '16:15' }), { workingHours, location })
+      expect(late[0].type).toBe('outside_working_hours')
+
+      const off = findScheduleConflicts(entry(), { workingHours: null, location })
+      expect(off[0].type).toBe('no_working_hours')
+    })
+
+    test('reports the patient visiting another professional at the same time', () => {
+      const conflicts = findScheduleConflicts(entry(), {
+        patientVisits: [visit(1, '10:15', '11:00', { professional_id: 11, patient_id: 1, patients: cityCenter })],
+        workingHours,
+        location
+      })
+      expect(conflicts[0].type).toBe('patient_overlap')
+    })
+
+    test('does not flag the partner half of a joint visit', () => {
+      const conflicts = findScheduleConflicts(entry({ partner_professional_id: 11 }), {
+        patientVisits: [visit(1, '10:00', '10:45', { professional_id: 11, patient_id: 1 })],
+        workingHours,
+        location
+      })
+      expect(conflicts).toEqual([])
+    })
+
+  })
+
+  describe('validateScheduleTimes', () => {
+
+    test('requires end after start', () => {
+      expect(validateScheduleTimes({ start_time: '10:00', end_time: '09:00' })).toContain('end_time')
+      expect(validateScheduleTimes({ start_time: '10:00', end_time: '10:30' })).toBeNull()
+      expect(validateScheduleTimes({ start_time: '10:00' })).toBeNull()
+    })
+
+    test('rejects times that are not HH:MM', () => {
+      expect(validateScheduleTimes({ start_time: '9am', end_time: '10:00' })).toContain('start_time')
+      expect(validateScheduleTimes({ start_time: '09:00', end_time: '24:30' })).toContain('end_time')
+      expect(validateScheduleTimes({ start_time: '09:00:00', end_time: '09:45:00' })).toBeNull()
+    })
+
+  })
+
+})
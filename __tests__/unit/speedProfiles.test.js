@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for speedProfiles.js
+ * Tests hour bands, weekdays, seasons and their effect on travel estimates and slots
+ */
+
+const {
+  buildSpeedProfiles,
+  loadSpeedProfilesFromFile,
+  setSpeedProfiles,
+  getTravelSpeed,
+  getSlowdownFactor
+} = require('../../src/services/speedProfiles')
+const { calculateTravelTime, getTravelTimeBetweenLocations } = require('../../src/services/geoUtils')
+const { findFeasibleSlots, timeToMinutes, minutesToTime } = require('../../src/services/timeSlotOptimizer')
+
+const profiles = buildSpeedProfiles({
+  defaultSpeedKmh: 30,
+  bands: [
+    { name: 'Morning rush', weekdays: [1, 2, 3, 4, 5], startTime: '07:00', endTime: '09:00', speedKmh: 20 }
+  ],
+  seasons: [
+    { name: 'Winter', startDate: '11-15', endDate: '03-31', speedFactor: 0.8 },
+    { name: 'Roadworks', startDate: '2026-06-01', endDate: '2026-06-30', speedFactor: 0.9 }
+  ]
+})
+
+// Tuesday in May: no season applies
+const date = '2026-05-12'
+
+// About 3.3 km apart: 14 min at 30 km/h, 18 min at 20 km/h including the buffer
+const keskusta = { lat: 65.0121, lng: 25.4651 }
+const tuira = { lat: 65.0418, lng: 25.4651 }
+
+describe('Speed Profiles', () => {
+
+  beforeEach(() => setSpeedProfiles(profiles))
+  afterAll(() => setSpeedProfiles(loadSpeedProfilesFromFile()))
+
+  describe('getTravelSpeed', () => {
+
+    test('uses the default speed without a departure', () => {
+      expect(getTravelSpeed()).toEqual({ speedKmh: 30, profiles: [] })
+    })
+
+    test('applies a matching hour band', () => {
+      expect(getTravelSpeed({ date, minutes: timeToMinutes('08:00') }).speedKmh).toBe(20)
+      expect(getTravelSpeed({ date, minutes: timeToMinutes('09:00') }).speedKmh).toBe(30)
+    })
+
+    test('limits bands to their weekdays', () => {
+      expect(getTravelSpeed({ date: '2026-05-16', minutes: timeToMinutes('08:00') }).speedKmh).toBe(30)
+    })
+
+    test('scales by a season that wraps over New Year', () => {
+      const january = getTravelSpeed({ date: '2026-01-13', minutes: timeToMinutes('08:00') })
+      expect(january.speedKmh).toBe(16)
+      expect(january.profiles).toEqual(['Morning rush', 'Winter'])
+      expect(getTravelSpeed({ date: '2026-11-01', minutes: 600 }).speedKmh).toBe(30)
+    })
+
+    test('applies one-off date ranges only in their year', () => {
+      expect(getTravelSpeed({ date: '2026-06-10', minutes: 600 }).speedKmh).toBe(27)
+      expect(getTravelSpeed({ date: '2027-06-10', minutes: 600 }).speedKmh).toBe(30)
+    })
+
+    test('reports the slowdown against the default speed', () => {
+      expect(getSlowdownFactor({ date, minutes: timeToMinutes('08:00') })).toBe(1.5)
+      expect(getSlowdownFactor()).toBe(1)
+    })
+
+  })
+
+  describe('travel estimates', () => {
+
+    test('are slower in the morning rush than at midday', () => {
+      const rush = calculateTravelTime(keskusta.lat, keskusta.lng, tuira.lat, tuira.lng, { date, minutes: 480 })
+      const midday = calculateTravelTime(keskusta.lat, keskusta.lng, tuira.lat, tuira.lng, { date, minutes: 780 })
+      expect(rush).toBe(18)
+      expect(midday).toBe(14)
+    })
+
+    test('scale zone travel times', () => {
+      const from = { area: 'Keskusta (City Center)' }
+      const to = { area: 'Tuira' }
+      const base = getTravelTimeBetweenLocations(from, to)
+      expect(getTravelTimeBetweenLocations(from, to, { date, minutes: 480 })).toBe(Math.ceil(base * 1.5))
+    })
+
+  })
+
+  describe('findFeasibleSlots with a date', () => {
+
+    const location = { area: 'Tuira', coords: tuira }
+    const visitAt = start => ({
+      start: timeToMinutes(start),
+      end: timeToMinutes(start) + 60,
+      location: { area: 'Keskusta (City Center)', coords: keskusta }
+    })
+
+    test('leaves more travel after a rush-hour visit', () => {
+      const morning = findFeasibleSlots({
+        dayStart: timeToMinutes('07:00'),
+        dayEnd: timeToMinutes('10:00'),
+        visits: [visitAt('07:00')],
+        duration: 30,
+        location,
+        date
+      })
+      const midday = findFeasibleSlots({
+        dayStart: timeToMinutes('12:00'),
+        dayEnd: timeToMinutes('15:00'),
+        visits: [visitAt('12:00')],
+        duration: 30,
+        location,
+        date
+      })
+
+      expect(minutesToTime(morning[0])).toBe('08:30')
+      expect(minutesToTime(midday[0])).toBe('13:15')
+    })
+
+    test('keeps the default speed without a date', () => {
+      const slots = findFeasibleSlots({
+        dayStart: timeToMinutes('07:00'),
+        dayEnd: timeToMinutes('10:00'),
+        visits: [visitAt('07:00')],
+        duration: 30,
+        location
+      })
+      expect(minutesToTime(slots[0])).toBe('08:15')
+    })
+
+  })
+
+  test('loads the shipped config', () => {
+    const shipped = loadSpeedProfilesFromFile()
+    expect(shipped.defaultSpeedKmh).toBe(30)
+    expect(shipped.bands.length).toBeGreaterThan(0)
+  })
+
+})
@@ -5,7 +5,17 @@
 
 const {
   checkSkillMatch,
-  getCareDuration
+  getRequiredSkills,
+  checkSkillRequirement,
+  resolveSkillOverride,
+  getCareDuration,
+  findFeasibleSlots,
+  resolveDailyCapacity,
+  checkCapacity,
+  DEFAULT_MAX_PATIENTS_PER_DAY,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
 } = require('../../src/services/timeSlotOptimizer')
 
 describe('Time Slot Optimizer', () => {
@@ -108,6 +118,69 @@ describe('Time Slot Optimizer', () => {
 
   })
 
+  describe('checkSkillRequirement', () => {
+
+    test('rejects a home health aide for IV therapy and lists the missing skills', () => {
+      const mismatch = checkSkillRequirement('IV Therapy', [{ specialization: 'Home Health Aide' }], 7)
+      expect(mismatch.code).toBe('SKILL_MISMATCH')
+      expect(mismatch.professional_id).toBe(7)
+      expect(mismatch.missing_skills).toEqual(['IV Therapy Specialist', 'Nursing Care', 'Acute Care'])
+      expect(mismatch.professional_skills).toEqual(['Home Health Aide'])
+      expect(mismatch.error).toContain('IV Therapy')
+    })
+
+    test('checks every care need in a list', () => {
+      const mismatch = checkSkillRequirement(['Wound Care', 'Physical Therapy'], [{ specialization: 'Wound Care' }])
+      expect(mismatch.unmet_needs).toEqual(['Physical Therapy'])
+      expect(mismatch.missing_skills).toEqual(['Physical Therapy', 'Rehabilitation', 'Occupational Therapy'])
+      expect(checkSkillRequirement(['Wound Care', 'Nursing Care'], [{ specialization: 'Nursing Care' }])).toBeNull()
+    })
+
+    test('passes qualified professionals', () => {
+      expect(checkSkillRequirement('IV Therapy', [{ specialization: 'Nursing Care' }])).toBeNull()
+    })
+
+    test('passes patients without a recorded care need', () => {
+      expect(checkSkillRequirement(null, [])).toBeNull()
+    })
+
+    test('requires the exact care type when it is not in the specialty map', () => {
+      expect(getRequiredSkills('Dialysis')).toEqual(['Dialysis'])
+    })
+
+    test('looks care types up by exact name, not by substring', () => {
+      expect(getRequiredSkills('wound care and elderly care')).toEqual(['wound care and elderly care'])
+      expect(getRequiredSkills('IV Therapy Specialist')).toContain('Acute Care')
+    })
+
+    test('lists only the skills the professional lacks', () => {
+      const mismatch = checkSkillRequirement('Cardiac Care', [{ specialization: 'Nursing Care' }])
+      expect(mismatch.missing_skills).toEqual(['Cardiac Care', 'Cardiology', 'Cardiovascular Assessment'])
+    })
+
+  })
+
+  describe('resolveSkillOverride', () => {
+
+    test('returns no override when none is requested', () => {
+      expect(resolveSkillOverride(undefined, { role: 'coordinator' })).toEqual({ override: null })
+    })
+
+    test('allows supervisors with a justification', () => {
+      const result = resolveSkillOverride('  Only nurse on call  ', { role: 'supervisor' }, 'u1')
+      expect(result.override).toEqual({ justification: 'Only nurse on call', byId: 'u1' })
+    })
+
+    test('rejects non-supervisors', () => {
+      expect(resolveSkillOverride('Urgent', { role: 'coordinator' }).status).toBe(403)
+    })
+
+    test('requires a non-empty justification', () => {
+      expect(resolveSkillOverride('   ', { role: 'supervisor' }).status).toBe(400)
+    })
+
+  })
+
   describe('getCareDuration', () => {
     
     test('returns estimated duration when provided', () => {
@@ -153,4 +226,129 @@ describe('Time Slot Optimizer', () => {
 
   })
 
+  describe('time helpers', () => {
+
+    test('converts times to minutes and back', () => {
+      expect(timeToMinutes('08:30')).toBe(510)
+      expect(timeToMinutes('08:30:00')).toBe(510)
+      expect(minutesToTime(510)).toBe('08:30')
+    })
+
+    test('adds minutes across the hour', () => {
+      expect(addMinutes('09:45', 30)).toBe('10:15')
+    })
+
+  })
+
+  describe('findFeasibleSlots', () => {
+
+    const dayStart = timeToMinutes('08:00')
+    const dayEnd = timeToMinutes('12:00')
+
+    test('returns every step in an empty day', () => {
+      const slots = findFeasibleSlots({ dayStart, dayEnd, duration: 60 })
+      expect(slots[0]).toBe(dayStart)
+      expect(slots[slots.length - 1]).toBe(dayEnd - 60)
+      expect(slots).toHaveLength(13)
+    })
+
+    test('checks extra starts off the step grid exactly', () => {
+      const visits = [{ start: timeToMinutes('09:00'), end: timeToMinutes('09:50'), location: null }]
+      const free = findFeasibleSlots({ dayStart, dayEnd, visits, duration: 30, extraStarts: [timeToMinutes('10:05')] })
+      const taken = findFeasibleSlots({ dayStart, dayEnd, visits, duration: 30, extraStarts: [timeToMinutes('09:40')] })
+      expect(free.map(minutesToTime)).toEqual(expect.arrayContaining(['08:15', '10:05', '10:15']))
+      expect(free.map(minutesToTime)).not.toContain('10:00')
+      expect(taken.map(minutesToTime)).not.toContain('09:40')
+    })
+
+    test('skips times that overlap existing visits', () => {
+      const visits = [{ start: timeToMinutes('09:00'), end: timeToMinutes('10:00'), location: null }]
+      const slots = findFeasibleSlots({ dayStart, dayEnd, visits, duration: 30 }).map(minutesToTime)
+      expect(slots).not.toContain('09:00')
+      expect(slots).not.toContain('09:30')
+      expect(slots).not.toContain('08:45')
+    })
+
+    test('leaves travel time before and after existing visits', () => {
+      const area = { area: 'Keskusta (City Center)' }
+      const visits = [{ start: timeToMinutes('09:00'), end: timeToMinutes('10:00'), location: area }]
+      const slots = findFeasibleSlots({
+        dayStart,
+        dayEnd,
+        visits,
+        duration: 30,
+        location: { area: 'Pateniemi' }
+      }).map(minutesToTime)
+
+      // City Center <-> Pateniemi is 20 minutes in the zone model
+      expect(slots).toContain('08:00')
+      expect(slots).not.toContain('08:15')
+      expect(slots).not.toContain('10:15')
+      expect(slots).toContain('10:30')
+    })
+
+    test('fits the first and last leg of the day into working hours', () => {
+      const slots = findFeasibleSlots({
+        dayStart,
+        dayEnd,
+        duration: 30,
+        location: { area: 'Pateniemi' },
+        origin: { area: 'Keskusta (City Center)' },
+        destination: { area: 'Keskusta (City Center)' }
+      }).map(minutesToTime)
+
+      expect(slots).not.toContain('08:00')
+      expect(slots[0]).toBe('08:30')
+      expect(slots[slots.length - 1]).toBe('11:00')
+    })
+
+    test('returns no slots when the visit is longer than the day', () => {
+      expect(findFeasibleSlots({ dayStart, dayEnd, duration: 300 })).toEqual([])
+    })
+
+  })
+
+  describe('resolveDailyCapacity', () => {
+
+    test('falls back to the global default', () => {
+      expect(resolveDailyCapacity(null, null)).toEqual({
+        maxPatients: DEFAULT_MAX_PATIENTS_PER_DAY,
+        maxCareMinutes: null
+      })
+    })
+
+    test('uses the professional default when the weekday has none', () => {
+      const capacity = resolveDailyCapacity(
+        { max_patients_per_day: 6, max_care_minutes_per_day: 300 },
+        { max_patients: null, max_care_minutes: null }
+      )
+      expect(capacity).toEqual({ maxPatients: 6, maxCareMinutes: 300 })
+    })
+
+    test('weekday override wins over the professional default', () => {
+      const capacity = resolveDailyCapacity(
+        { max_patients_per_day: 6, max_care_minutes_per_day: 300 },
+        { max_patients: 3, max_care_minutes: null }
+      )
+      expect(capacity).toEqual({ maxPatients: 3, maxCareMinutes: 300 })
+    })
+
+  })
+
+  describe('checkCapacity', () => {
+
+    test('accepts a visit within both limits', () => {
+      expect(checkCapacity({ maxPatients: 4, maxCareMinutes: 240 }, 2, 120, 60)).toBeNull()
+    })
+
+    test('rejects when the visit count is reached', () => {
+      expect(checkCapacity({ maxPatients: 2, maxCareMinutes: null }, 2, 0, 30)).toMatch('2/2 patients')
+    })
+
+    test('rejects when care minutes would be exceeded', () => {
+      expect(checkCapacity({ maxPatients: 8, maxCareMinutes: 240 }, 3, 200, 45)).toMatch('care minutes')
+    })
+
+  })
+
 })
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for timeUtils.js
+ * Tests the shared time and date helpers
+ */
+
+const {
+  getWeekday,
+  addDays,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
+} = require('../../src/services/timeUtils')
+
+describe('Time Utilities', () => {
+
+  describe('getWeekday', () => {
+
+    test('numbers weekdays from Monday (1) to Sunday (7)', () => {
+      expect(getWeekday('2025-03-03')).toBe(1)
+      expect(getWeekday('2025-03-08')).toBe(6)
+      expect(getWeekday('2025-03-09')).toBe(7)
+    })
+
+  })
+
+  describe('addDays', () => {
+
+    test('moves across month and year ends', () => {
+      expect(addDays('2025-02-28', 1)).toBe('2025-03-01')
+      expect(addDays('2025-12-31', 1)).toBe('2026-01-01')
+      expect(addDays('2025-03-01', -1)).toBe('2025-02-28')
+    })
+
+  })
+
+  describe('times', () => {
+
+    test('converts between times and minutes since midnight', () => {
+      expect(timeToMinutes('08:30')).toBe(510)
+      expect(timeToMinutes('08:30:00')).toBe(510)
+      expect(minutesToTime(510)).toBe('08:30')
+      expect(addMinutes('08:30', 45)).toBe('09:15')
+    })
+
+  })
+
+})
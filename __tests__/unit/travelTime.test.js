@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for travelTime.js
+ * Tests provider response parsing, cache priming and the Haversine fallback
+ */
+
+const {
+  primeTravelTimes,
+  getCachedTravelLeg,
+  setTravelTimeProvider,
+  createOsrmProvider,
+  createValhallaProvider
+} = require('../../src/services/travelTime')
+const {
+  getTravelTimeBetweenLocations,
+  getDistanceBetweenLocations,
+  buildTravelTimeMatrix,
+  calculateTravelTime
+} = require('../../src/services/geoUtils')
+
+const keskusta = { lat: 65.0121, lng: 25.4651 }
+const tuira = { lat: 65.0280, lng: 25.4580 }
+
+function fakeProvider(minutes, km = null) {
+  return { name: 'fake', matrix: jest.fn().mockResolvedValue({ minutes, km }) }
+}
+
+describe('Travel Time Service', () => {
+
+  afterEach(() => {
+    setTravelTimeProvider(false)
+    delete global.fetch
+  })
+
+  describe('providers', () => {
+
+    test('parses an OSRM table response into minutes and km', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ code: 'Ok', durations: [[0, 600], [540, 0]], distances: [[0, 4200], [4000, 0]] })
+      })
+
+      const result = await createOsrmProvider({ baseUrl: 'http://osrm:5000/' }).matrix([keskusta, tuira])
+
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        'http://osrm:5000/table/v1/driving/25.4651,65.0121;25.458,65.028?annotations=duration,distance'
+      )
+      expect(result.minutes[0][1]).toBe(10)
+      expect(result.km[1][0]).toBe(4)
+    })
+
+    test('parses a Valhalla sources_to_targets response', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          sources_to_targets: [
+            [{ time: 0, distance: 0 }, { time: 720, distance: 4.5 }],
+            [{ time: 660, distance: 4.3 }, { time: 0, distance: 0 }]
+          ]
+        })
+      })
+
+      const result = await createValhallaProvider({ baseUrl: 'http://valhalla:8002' }).matrix([keskusta, tuira])
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).costing).toBe('auto')
+      expect(result.minutes[0][1]).toBe(12)
+      expect(result.km[1][0]).toBe(4.3)
+    })
+
+    test('rejects on a routing service error', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ code: 'NoRoute' }) })
+      await expect(createOsrmProvider({ baseUrl: 'http://osrm:5000' }).matrix([keskusta, tuira]))
+        .rejects.toThrow('NoRoute')
+    })
+
+  })
+
+  describe('primeTravelTimes', () => {
+
+    test('does nothing with the Haversine provider', async () => {
+      const result = await primeTravelTimes([keskusta, tuira])
+      expect(result).toEqual({ provider: 'haversine', primed: 0 })
+      expect(getCachedTravelLeg(keskusta, tuira)).toBeNull()
+    })
+
+    test('caches both directions and skips pairs already cached', async () => {
+      const provider = fakeProvider([[0, 8], [9, 0]], [[0, 3.1], [3.2, 0]])
+      setTravelTimeProvider(provider)
+
+      const result = await primeTravelTimes([keskusta, tuira, { ...keskusta }])
+      await primeTravelTimes([tuira, keskusta])
+
+      expect(result.primed).toBe(2)
+      expect(provider.matrix).toHaveBeenCalledTimes(1)
+      expect(getCachedTravelLeg(tuira, keskusta)).toEqual({ minutes: 9, km: 3.2 })
+    })
+
+    test('ignores locations without coordinates', async () => {
+      const provider = fakeProvider([[0]])
+      setTravelTimeProvider(provider)
+
+      await primeTravelTimes([keskusta, { area: 'Tuira' }, null])
+      expect(provider.matrix).not.toHaveBeenCalled()
+    })
+
+    test('falls back to estimates when the provider is misconfigured', async () => {
+      setTravelTimeProvider(null)
+      process.env.TRAVEL_TIME_PROVIDER = 'osrm'
+      delete process.env.TRAVEL_TIME_URL
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const result = await primeTravelTimes([keskusta, tuira])
+      expect(result).toMatchObject({ provider: 'haversine', primed: 0 })
+      expect(result.error).toContain('TRAVEL_TIME_URL')
+
+      console.error.mockRestore()
+      delete process.env.TRAVEL_TIME_PROVIDER
+    })
+
+    test('drops the oldest legs once the cache is full', async () => {
+      process.env.TRAVEL_TIME_CACHE_MAX_ENTRIES = '2'
+      const oulunsalo = { lat: 64.9333, lng: 25.4167 }
+      const matrix = jest.fn()
+        .mockResolvedValueOnce({ minutes: [[0, 8], [9, 0]], km: null })
+        .mockResolvedValueOnce({ minutes: [[0, 20], [21, 0]], km: null })
+      setTravelTimeProvider({ name: 'fake', matrix })
+
+      await primeTravelTimes([keskusta, tuira])
+      await primeTravelTimes([tuira, oulunsalo])
+
+      expect(getCachedTravelLeg(keskusta, tuira)).toBeNull()
+      expect(getCachedTravelLeg(tuira, oulunsalo)).toEqual({ minutes: 20, km: null })
+      delete process.env.TRAVEL_TIME_CACHE_MAX_ENTRIES
+    })
+
+    test('reports provider failures without throwing', async () => {
+      setTravelTimeProvider({ name: 'fake', matrix: jest.fn().mockRejectedValue(new Error('down')) })
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      const result = await primeTravelTimes([keskusta, tuira])
+      expect(result.error).toBe('down')
+      expect(getCachedTravelLeg(keskusta, tuira)).toBeNull()
+
+      console.error.mockRestore()
+    })
+
+  })
+
+  describe('geoUtils integration', () => {
+
+    test('uses routed times plus the buffer once primed', async () => {
+      setTravelTimeProvider(fakeProvider([[0, 7.2], [7.8, 0]], [[0, 3], [3, 0]]))
+      await primeTravelTimes([keskusta, tuira])
+
+      expect(getTravelTimeBetweenLocations(keskusta, tuira)).toBe(13)
+      expect(getDistanceBetweenLocations(keskusta, tuira)).toBe(3)
+    })
+
+    test('falls back to the Haversine estimate when not primed', () => {
+      expect(getTravelTimeBetweenLocations(keskusta, tuira))
+        .toBe(calculateTravelTime(keskusta.lat, keskusta.lng, tuira.lat, tuira.lng))
+    })
+
+    test('builds a square matrix with zeros on the diagonal', () => {
+      const matrix = buildTravelTimeMatrix([keskusta, tuira, { area: 'Kaakkuri' }])
+      expect(matrix).toHaveLength(3)
+      expect(matrix[1][1]).toBe(0)
+      expect(matrix[0][2]).toBeGreaterThan(0)
+    })
+
+  })
+
+})
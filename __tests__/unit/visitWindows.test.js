@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for visitWindows.js
+ * Tests window validation, violation checks and hard/soft slot selection
+ */
+
+const {
+  getVisitWindow,
+  validateVisitWindowFields,
+  checkVisitWindow,
+  applyVisitWindow,
+  describeVisitWindow
+} = require('../../src/services/visitWindows')
+
+// Tuesday and Saturday
+const weekday = '2026-05-12'
+const saturday = '2026-05-16'
+
+const insulin = {
+  earliest_visit_time: '07:00',
+  latest_visit_time: '08:30',
+  preferred_visit_time: '07:30'
+}
+
+describe('Visit Windows', () => {
+
+  describe('validateVisitWindowFields', () => {
+
+    test('accepts a consistent window and no window at all', () => {
+      expect(validateVisitWindowFields(insulin)).toBeNull()
+      expect(validateVisitWindowFields({})).toBeNull()
+    })
+
+    test('rejects malformed times and modes', () => {
+      expect(validateVisitWindowFields({ earliest_visit_time: '7am' })).toMatch('HH:MM')
+      expect(validateVisitWindowFields({ time_window_mode: 'strict' })).toMatch('hard, soft')
+      expect(validateVisitWindowFields({ no_weekend_visits: 'yes' })).toMatch('true or false')
+    })
+
+    test('rejects an inverted window and a preferred time outside it', () => {
+      expect(validateVisitWindowFields({ earliest_visit_time: '10:00', latest_visit_time: '09:00' }))
+        .toMatch('must not be after')
+      expect(validateVisitWindowFields({ ...insulin, preferred_visit_time: '12:00' }))
+        .toMatch('within the visit window')
+    })
+
+  })
+
+  describe('checkVisitWindow', () => {
+
+    test('reports early, late and weekend starts', () => {
+      const window = getVisitWindow({ ...insulin, no_weekend_visits: true })
+      expect(checkVisitWindow(window, weekday, 450)).toEqual([])
+      expect(checkVisitWindow(window, weekday, 400)[0]).toMatchObject({ type: 'too_early', minutes: 20 })
+      expect(checkVisitWindow(window, weekday, 840)[0]).toMatchObject({ type: 'too_late', minutes: 330 })
+      expect(checkVisitWindow(window, saturday, 450).map(v => v.type)).toEqual(['weekend'])
+    })
+
+  })
+
+  describe('applyVisitWindow', () => {
+
+    const starts = [480, 495, 510, 525, 840]
+
+    test('keeps every slot and picks the earliest without a window', () => {
+      const result = applyVisitWindow(getVisitWindow({}), weekday, starts)
+      expect(result.slots).toEqual(starts)
+      expect(result.best).toBe(480)
+    })
+
+    test('hard windows drop slots outside the window and prefer the preferred time', () => {
+      const result = applyVisitWindow(getVisitWindow({ ...insulin, preferred_visit_time: '08:15' }), weekday, starts)
+      expect(result.slots).toEqual([480, 495, 510])
+      expect(result.best).toBe(495)
+      expect(result.violations).toEqual([])
+    })
+
+    test('hard windows leave nothing when no slot fits', () => {
+      expect(applyVisitWindow(getVisitWindow(insulin), weekday, [840]).slots).toEqual([])
+      expect(applyVisitWindow(getVisitWindow({ no_weekend_visits: true }), saturday, starts).slots).toEqual([])
+    })
+
+    test('soft windows fall back to the closest slot and report the violation', () => {
+      const window = getVisitWindow({ ...insulin, time_window_mode: 'soft' })
+      const result = applyVisitWindow(window, weekday, [540, 840])
+      expect(result.best).toBe(540)
+      expect(result.violations[0]).toMatchObject({ type: 'too_late', minutes: 30 })
+    })
+
+  })
+
+  test('describes a window', () => {
+    expect(describeVisitWindow(getVisitWindow({ ...insulin, no_weekend_visits: true })))
+      .toBe('07:00-08:30, preferred 07:30, no weekends (hard)')
+  })
+
+})
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for zoneModel.js
+ * Tests the shared zone model and travel matrix lookups
+ */
+
+const {
+  buildZoneModel,
+  loadZoneModelFromFile,
+  getZoneModel,
+  setZoneModel,
+  getZoneTravelTime
+} = require('../../src/services/zoneModel')
+
+describe('Zone Model', () => {
+
+  const defaultModel = loadZoneModelFromFile()
+
+  afterEach(() => {
+    setZoneModel(defaultModel)
+  })
+
+  test('loads the Oulu zones from the config file', () => {
+    const model = getZoneModel()
+    expect(model.source).toBe('config')
+    expect(model.zones).toHaveLength(9)
+    expect(model.zones.every(z => z.centroid)).toBe(true)
+  })
+
+  test('config matrix covers every zone pair', () => {
+    const names = defaultModel.zones.map(z => z.name)
+    for (const from of names) {
+      for (const to of names) {
+        expect(defaultModel.travelTimes[from][to]).toBeGreaterThan(0)
+      }
+    }
+  })
+
+  test('City Center to Raksila uses the single shared value', () => {
+    expect(getZoneTravelTime('Keskusta (City Center)', 'Raksila')).toBe(10)
+  })
+
+  test('falls back to the reverse direction, then the default', () => {
+    setZoneModel(buildZoneModel({
+      zones: [{ name: 'A' }, { name: 'B' }, { name: 'C' }],
+      travelTimes: { A: { B: 7 } },
+      defaultTravelMinutes: 25
+    }))
+
+    expect(getZoneTravelTime('B', 'A')).toBe(7)
+    expect(getZoneTravelTime('A', 'C')).toBe(25)
+    expect(getZoneTravelTime(null, 'A')).toBe(25)
+  })
+
+  test('keeps zero-minute entries instead of treating them as missing', () => {
+    setZoneModel(buildZoneModel({ zones: [{ name: 'A' }], travelTimes: { A: { A: 0 } } }))
+    expect(getZoneTravelTime('A', 'A')).toBe(0)
+  })
+
+})
@@ -12,6 +12,12 @@ const patientRoutes = require('./routes/patients')
 const professionalRoutes = require('./routes/professionals')
 const scheduleRoutes = require('./routes/schedules')
 const assignmentRoutes = require('./routes/assignments')
+const zoneRoutes = require('./routes/zones')
+const carePlanRoutes = require('./routes/carePlans')
+const careTypeRoutes = require('./routes/careTypes')
+const absenceRoutes = require('./routes/absences')
+const { refreshZoneModelFromDatabase } = require('./services/zoneModel')
+const { refreshCareTypesFromDatabase } = require('./services/careTypes')
 
 const app = express()
 const PORT = process.env.PORT || 3001
@@ -65,6 +71,10 @@ app.use('/api/patients', patientRoutes)
 app.use('/api/professionals', professionalRoutes)
 app.use('/api/schedules', scheduleRoutes)
 app.use('/api/assignments', assignmentRoutes)
+app.use('/api/zones', zoneRoutes)
+app.use('/api/care-plans', carePlanRoutes)
+app.use('/api/care-types', careTypeRoutes)
+app.use('/api/absences', absenceRoutes)
 
 // 404 handler
 app.use((req, res) => {
@@ -79,6 +89,16 @@ app.use((err, req, res, next) => {
   })
 })
 
+// Prefer zones stored in the database over the config file
+refreshZoneModelFromDatabase().catch(err => {
+  console.error('Could not load zones from database, using config file:', err.message)
+})
+
+// Same for the care type catalogue
+refreshCareTypesFromDatabase().catch(err => {
+  console.error('Could not load care types from database, using config file:', err.message)
+})
+
 app.listen(PORT, () => {
   console.log(`🏥 Home Hospital Scheduling API running on port ${PORT}`)
   console.log(`📍 Health check: http://localhost:${PORT}/health`)
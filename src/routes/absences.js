@@ -0,0 +1,133 @@
+const express = require('express')
+const router = express.Router()
+const { supabase } = require('../config/supabase')
+const { verifyToken, requireRole } = require('../middleware/auth')
+const { validateAbsence, loadAbsences } = require('../services/absences')
+const { proposeRedistribution, applyRedistribution } = require('../services/absenceRedistribution')
+
+// Load an absence; null when it does not exist
+async function loadAbsence(id) {
+  const { data, error } = await supabase
+    .from('absences')
+    .select('*')
+    .eq('id', id)
+    .single()
+
+  if (error || !data) return null
+  return data
+}
+
+// List absences (optionally for one professional or overlapping a date range)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { professional_id, start_date, end_date, status } = req.query
+
+    let query = supabase
+      .from('absences')
+      .select('*, professionals (id, kind, profile_id, profiles:profile_id (full_name))')
+
+    if (professional_id) query = query.eq('professional_id', professional_id)
+    if (start_date) query = query.gte('end_date', start_date)
+    if (end_date) query = query.lte('start_date', end_date)
+    if (status) query = query.eq('status', status)
+
+    const { data, error } = await query.order('start_date', { ascending: false })
+
+    if (error) throw error
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Record an absence and propose replacements for the visits it affects
+router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { professional_id, start_date, end_date, reason } = req.body
+
+    const invalid = validateAbsence(req.body)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const overlapping = await loadAbsences(start_date, end_date, [professional_id])
+    if (overlapping.length > 0) {
+      return res.status(409).json({ error: 'Professional already has an absence overlapping these dates', absences: overlapping })
+    }
+
+    const { data: absence, error } = await supabase
+      .from('absences')
+      .insert([{
+        professional_id,
+        start_date,
+        end_date,
+        reason: reason || null,
+        status: 'recorded',
+        recorded_by_id: req.user.id
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    res.status(201).json(await proposeRedistribution(absence))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Current redistribution proposal for an absence
+router.get('/:id/redistribution', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const absence = await loadAbsence(req.params.id)
+    if (!absence) return res.status(404).json({ error: 'Absence not found' })
+
+    res.json(await proposeRedistribution(absence))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Accept the redistribution: move every placeable visit and flag the rest
+router.post('/:id/redistribute', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { choices } = req.body
+
+    if (choices !== undefined && (typeof choices !== 'object' || choices === null || Array.isArray(choices))) {
+      return res.status(400).json({ error: 'choices must map visit keys to professional ids' })
+    }
+
+    const absence = await loadAbsence(req.params.id)
+    if (!absence) return res.status(404).json({ error: 'Absence not found' })
+
+    if (absence.status === 'cancelled') {
+      return res.status(409).json({ error: 'Absence has been cancelled' })
+    }
+
+    res.json(await applyRedistribution(absence, { choices: choices || {}, acceptedById: req.user.id }))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Cancel an absence (visits already moved stay with their replacements)
+router.delete('/:id', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const absence = await loadAbsence(req.params.id)
+    if (!absence) return res.status(404).json({ error: 'Absence not found' })
+
+    const { data, error } = await supabase
+      .from('absences')
+      .update({ status: 'cancelled' })
+      .eq('id', absence.id)
+      .select()
+      .single()
+
+    if (error) throw error
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
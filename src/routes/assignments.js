@@ -2,7 +2,19 @@ const express = require('express')
 const router = express.Router()
 const { supabase } = require('../config/supabase')
 const { verifyToken, requireRole } = require('../middleware/auth')
-const { smartAssignPatient, bulkAssignPatients } = require('../services/timeSlotOptimizer')
+const {
+  smartAssignPatient,
+  smartAssignPair,
+  bulkAssignPatients,
+  verifyAssignmentSkills,
+  resolveSkillOverride,
+  skillOverrideFields
+} = require('../services/timeSlotOptimizer')
+const { reassignVisit, loadReassignmentHistory, REASSIGN_MODES } = require('../services/reassignment')
+const { recommendProfessionals } = require('../services/professionalMatcher')
+const { optimizeDayPlan } = require('../services/dayPlanOptimizer')
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
 
 // Get all assignments
 router.get('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
@@ -51,15 +63,59 @@ router.get('/professional/:professionalId', verifyToken, async (req, res) => {
 })
 
 // Smart assign single patient
-router.post('/smart-assign', verifyToken, requireRole(['coordinator']), async (req, res) => {
+router.post('/smart-assign', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    const { patient_id, professional_id, date, assigned_by_id } = req.body
+    const {
+      patient_id,
+      professional_id,
+      partner_professional_id,
+      date,
+      assigned_by_id,
+      dry_run,
+      skill_override_justification
+    } = req.body
 
     if (!patient_id || !professional_id || !date) {
       return res.status(400).json({ error: 'patient_id, professional_id, and date are required' })
     }
 
-    const result = await smartAssignPatient(patient_id, professional_id, date, assigned_by_id || req.user.id)
+    const { override, status, error } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (error) return res.status(status).json({ error })
+
+    const options = { dryRun: dry_run === true, skillOverride: override }
+
+    // A partner makes it a joint visit that splits the patient's care needs
+    const result = partner_professional_id
+      ? await smartAssignPair(patient_id, professional_id, partner_professional_id, date, assigned_by_id || req.user.id, options)
+      : await smartAssignPatient(patient_id, professional_id, date, assigned_by_id || req.user.id, options)
+
+    if (result.code === 'SKILL_MISMATCH') {
+      return res.status(422).json(result)
+    }
+
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Recommend best-matching professionals for a patient
+router.post('/recommend', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { patient_id, start_date, end_date, limit } = req.body
+
+    if (!patient_id || !start_date) {
+      return res.status(400).json({ error: 'patient_id and start_date are required' })
+    }
+
+    const result = await recommendProfessionals(patient_id, start_date, end_date || start_date, {
+      limit: limit ? parseInt(limit, 10) : null
+    })
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ error: result.error })
+    }
+
     res.json(result)
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -67,27 +123,79 @@ router.post('/smart-assign', verifyToken, requireRole(['coordinator']), async (r
 })
 
 // Bulk assign patients
-router.post('/bulk-assign', verifyToken, requireRole(['coordinator']), async (req, res) => {
+router.post('/bulk-assign', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    const { assignments } = req.body
-    // assignments = [{ patient_id, professional_id, date }, ...]
+    const { assignments, dry_run, atomic } = req.body
+    // assignments = [{ patient_id, professional_id, date, skill_override_justification? }, ...]
 
     if (!assignments || !Array.isArray(assignments) || assignments.length === 0) {
       return res.status(400).json({ error: 'assignments array is required' })
     }
 
-    const results = await bulkAssignPatients(assignments, req.user.id)
+    const items = []
+    for (const { skill_override_justification, ...item } of assignments) {
+      const { override, status, error } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+      if (error) return res.status(status).json({ error, item })
+      items.push({ ...item, skillOverride: override })
+    }
+
+    const results = await bulkAssignPatients(items, req.user.id, {
+      dryRun: dry_run === true,
+      atomic: atomic === true
+    })
     res.json(results)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// Plan all unassigned patients for a day at once (optionally committing the plan)
+router.post('/optimize-day', verifyToken, requireRole(['coordinator']), async (req, res) => {
+  try {
+    const { date, patient_ids, commit } = req.body
+
+    if (!date) {
+      return res.status(400).json({ error: 'date is required' })
+    }
+    if (!DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' })
+    }
+
+    if (patient_ids !== undefined && !Array.isArray(patient_ids)) {
+      return res.status(400).json({ error: 'patient_ids must be an array' })
+    }
+
+    const result = await optimizeDayPlan(date, {
+      patientIds: patient_ids || null,
+      commit: commit === true,
+      assignedById: req.user.id
+    })
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Create manual assignment
 router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
+    const { skill_override_justification, ...fields } = req.body
+
+    if (!fields.patient_id || !fields.professional_id) {
+      return res.status(400).json({ error: 'patient_id and professional_id are required' })
+    }
+
+    const { override, status, error: overrideError } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (overrideError) return res.status(status).json({ error: overrideError })
+
+    const skillMismatch = await verifyAssignmentSkills(fields.patient_id, fields.professional_id)
+    if (skillMismatch && !override) {
+      return res.status(422).json(skillMismatch)
+    }
+
     const assignmentData = {
-      ...req.body,
+      ...fields,
+      ...(skillMismatch && skillOverrideFields(override)),
       assigned_by_id: req.user.id,
       assignment_date: new Date().toISOString()
     }
@@ -128,43 +236,51 @@ router.patch('/:id/status', verifyToken, async (req, res) => {
   }
 })
 
-// Reassign patient to different professional
-router.post('/:id/reassign', verifyToken, requireRole(['coordinator']), async (req, res) => {
+// HTTP status for each reassignment failure code
+const REASSIGN_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID: 400,
+  SKILL_MISMATCH: 422,
+  SLOT_UNAVAILABLE: 409
+}
+
+// Reassign a visit to a different professional (keeping its date, time and schedule entry)
+router.post('/:id/reassign', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    const { new_professional_id, reason } = req.body
-    const oldAssignmentId = req.params.id
+    const { new_professional_id, reason, mode, dry_run, skill_override_justification } = req.body
 
-    // Update old assignment status
-    await supabase
-      .from('patient_assignments')
-      .update({ status: 'reassigned', updated_at: new Date().toISOString() })
-      .eq('id', oldAssignmentId)
+    if (!new_professional_id) {
+      return res.status(400).json({ error: 'new_professional_id is required' })
+    }
+    if (mode !== undefined && !REASSIGN_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${REASSIGN_MODES.join(', ')}` })
+    }
 
-    // Get old assignment details
-    const { data: oldAssignment, error: fetchError } = await supabase
-      .from('patient_assignments')
-      .select('*')
-      .eq('id', oldAssignmentId)
-      .single()
+    const { override, status, error: overrideError } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (overrideError) return res.status(status).json({ error: overrideError })
 
-    if (fetchError) throw fetchError
+    const result = await reassignVisit(req.params.id, new_professional_id, {
+      mode: mode || 'keep_time',
+      reason: reason || null,
+      reassignedById: req.user.id,
+      skillOverride: override,
+      dryRun: dry_run === true
+    })
 
-    // Create new assignment
-    const { data, error } = await supabase
-      .from('patient_assignments')
-      .insert([{
-        patient_id: oldAssignment.patient_id,
-        professional_id: new_professional_id,
-        assigned_by_id: req.user.id,
-        assignment_reason: reason || 'Reassignment',
-        status: 'active',
-        assignment_date: new Date().toISOString()
-      }])
-      .select()
-      .single()
+    if (!result.success) {
+      return res.status(REASSIGN_ERROR_STATUS[result.code] || 400).json(result)
+    }
 
-    if (error) throw error
-    res.json(data)
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message, ...(err.rollbackErrors && { rollbackErrors: err.rollbackErrors }) })
+  }
+})
+
+// Reassignment history of the visit an assignment belongs to
+router.get('/:id/history', verifyToken, async (req, res) => {
+  try {
+    res.json(await loadReassignmentHistory(req.params.id))
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
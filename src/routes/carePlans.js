@@ -0,0 +1,171 @@
+const express = require('express')
+const router = express.Router()
+const { supabase } = require('../config/supabase')
+const { verifyToken, requireRole } = require('../middleware/auth')
+const {
+  validateCarePlan,
+  loadCarePlan,
+  createCarePlan,
+  updateCarePlan,
+  endCarePlan,
+  generateCarePlanVisits
+} = require('../services/carePlans')
+const {
+  verifyProfessionalSkills,
+  verifyAssignmentSkills,
+  resolveSkillOverride,
+  skillOverrideFields
+} = require('../services/timeSlotOptimizer')
+
+// Skill check for a plan: its own care type if set, otherwise the patient's
+function verifyPlanSkills(plan) {
+  return plan.care_needed
+    ? verifyProfessionalSkills(plan.care_needed, plan.professional_id)
+    : verifyAssignmentSkills(plan.patient_id, plan.professional_id)
+}
+
+// Fields a plan update may change (patient and start date are fixed)
+const EDITABLE_FIELDS = ['professional_id', 'care_needed', 'duration_minutes', 'rrule', 'times_per_day', 'notes']
+
+// List care plans (optionally for one patient or by status)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { patient_id, status } = req.query
+
+    let query = supabase
+      .from('care_plans')
+      .select('*, patients (id, name, care_needed)')
+
+    if (patient_id) query = query.eq('patient_id', patient_id)
+    if (status) query = query.eq('status', status)
+
+    const { data, error } = await query.order('created_at', { ascending: false })
+
+    if (error) throw error
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Get a care plan with its generated visits
+router.get('/:id', verifyToken, async (req, res) => {
+  try {
+    const plan = await loadCarePlan(req.params.id)
+    if (!plan) return res.status(404).json({ error: 'Care plan not found' })
+
+    const { data: visits, error } = await supabase
+      .from('schedules')
+      .select('id, date, start_time, end_time, status, occurrence_index')
+      .eq('care_plan_id', plan.id)
+      .order('date', { ascending: true })
+      .order('start_time', { ascending: true })
+
+    if (error) throw error
+    res.json({ ...plan, visits })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Create a care plan and generate its visits over the horizon
+router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { horizon_days, skill_override_justification, ...fields } = req.body
+
+    const invalid = validateCarePlan(fields)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { override, status, error } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (error) return res.status(status).json({ error })
+
+    const skillMismatch = await verifyPlanSkills(fields)
+    if (skillMismatch && !override) {
+      return res.status(422).json(skillMismatch)
+    }
+
+    const result = await createCarePlan(
+      { ...fields, ...(skillMismatch && skillOverrideFields(override)) },
+      req.user.id,
+      { horizonDays: horizon_days }
+    )
+    res.status(201).json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update a care plan; visits after today are regenerated, earlier ones are kept
+router.put('/:id', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { horizon_days, skill_override_justification } = req.body
+
+    const plan = await loadCarePlan(req.params.id)
+    if (!plan) return res.status(404).json({ error: 'Care plan not found' })
+
+    if (plan.status !== 'active') {
+      return res.status(409).json({ error: 'Only active care plans can be edited' })
+    }
+
+    const changes = {}
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field]
+    }
+
+    const invalid = validateCarePlan({ ...plan, ...changes })
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    if (changes.professional_id !== undefined || changes.care_needed !== undefined) {
+      const { override, status, error } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+      if (error) return res.status(status).json({ error })
+
+      const skillMismatch = await verifyPlanSkills({ ...plan, ...changes })
+      if (skillMismatch && !override) {
+        return res.status(422).json(skillMismatch)
+      }
+      // An override only stands for the pairing it was given for
+      Object.assign(changes, skillMismatch
+        ? skillOverrideFields(override)
+        : { skill_override_justification: null, skill_override_by_id: null })
+    }
+
+    res.json(await updateCarePlan(plan, changes, req.user.id, { horizonDays: horizon_days }))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Generate missing visits up to the horizon (e.g. to roll the plan forward)
+router.post('/:id/generate', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const plan = await loadCarePlan(req.params.id)
+    if (!plan) return res.status(404).json({ error: 'Care plan not found' })
+
+    if (plan.status !== 'active') {
+      return res.status(409).json({ error: 'Only active care plans generate visits' })
+    }
+
+    res.json(await generateCarePlanVisits(plan, { horizonDays: req.body.horizon_days, assignedById: req.user.id }))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// End a care plan; visits after today are removed
+router.delete('/:id', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const plan = await loadCarePlan(req.params.id)
+    if (!plan) return res.status(404).json({ error: 'Care plan not found' })
+
+    const { removed } = await endCarePlan(plan)
+    res.json({ message: 'Care plan ended', removed })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,162 @@
+const express = require('express')
+const router = express.Router()
+const { supabase } = require('../config/supabase')
+const { verifyToken, requireRole } = require('../middleware/auth')
+const {
+  getCareTypeCatalog,
+  loadCareTypesFromFile,
+  refreshCareTypesFromDatabase,
+  validateCareType
+} = require('../services/careTypes')
+
+const CARE_TYPE_FIELDS = [
+  'name',
+  'aliases',
+  'default_duration_minutes',
+  'required_specializations',
+  'alternative_specializations',
+  'required_certification_level'
+]
+
+// Helper to pick the care type columns from a request body
+function pickCareTypeFields(body) {
+  const fields = {}
+  for (const field of CARE_TYPE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field]
+  }
+  return fields
+}
+
+// Get the active care type catalogue
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(getCareTypeCatalog())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Copy the config-file care types into the database (only when the database has none)
+router.post('/seed', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { data: existing, error: existingError } = await supabase
+      .from('care_types')
+      .select('id')
+      .limit(1)
+
+    if (existingError) throw existingError
+    if (existing && existing.length > 0) {
+      return res.status(409).json({ error: 'Care types already exist in the database' })
+    }
+
+    const { error } = await supabase
+      .from('care_types')
+      .insert(loadCareTypesFromFile().careTypes.map(({ id, ...careType }) => careType))
+
+    if (error) throw error
+
+    res.status(201).json(await refreshCareTypesFromDatabase())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Create a care type
+router.post('/', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    // Once the table has rows it replaces the config file, so seed it first
+    if (getCareTypeCatalog().source !== 'database') {
+      return res.status(409).json({ error: 'Seed the care types into the database first (POST /api/care-types/seed)' })
+    }
+
+    const fields = {
+      aliases: [],
+      alternative_specializations: [],
+      required_certification_level: null,
+      ...pickCareTypeFields(req.body)
+    }
+
+    const invalid = validateCareType(fields)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { data, error } = await supabase
+      .from('care_types')
+      .insert([{ ...fields, name: fields.name.trim() }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await refreshCareTypesFromDatabase()
+    res.status(201).json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update a care type
+router.put('/:id', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { data: current, error: fetchError } = await supabase
+      .from('care_types')
+      .select('*')
+      .eq('id', req.params.id)
+      .single()
+
+    if (fetchError || !current) {
+      return res.status(404).json({ error: 'Care type not found' })
+    }
+
+    const updates = pickCareTypeFields(req.body)
+
+    const invalid = validateCareType({ ...current, ...updates })
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { data, error } = await supabase
+      .from('care_types')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await refreshCareTypesFromDatabase()
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Delete a care type; patients still naming it then need a specialization of that exact name
+router.delete('/:id', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { data: careType, error: fetchError } = await supabase
+      .from('care_types')
+      .select('id, name')
+      .eq('id', req.params.id)
+      .single()
+
+    if (fetchError || !careType) {
+      return res.status(404).json({ error: 'Care type not found' })
+    }
+
+    const { error } = await supabase
+      .from('care_types')
+      .delete()
+      .eq('id', careType.id)
+
+    if (error) throw error
+
+    await refreshCareTypesFromDatabase()
+    res.json({ message: 'Care type deleted successfully' })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -2,7 +2,22 @@ const express = require('express')
 const router = express.Router()
 const { supabase } = require('../config/supabase')
 const { verifyToken, requireRole } = require('../middleware/auth')
-const { geocodeAddress } = require('../services/geoUtils')
+const { geocodePatientFields, hashAddress } = require('../services/geocoder')
+const { detectZone, buildTravelTimeMatrix } = require('../services/geoUtils')
+const { primeTravelTimes } = require('../services/travelTime')
+const { validateVisitWindowFields, WINDOW_FIELDS } = require('../services/visitWindows')
+const { startGeocodeMissingJob, getGeocodeJob } = require('../services/geocodeJobs')
+const { loadCareHistory, summarizeContinuity, DEFAULT_HISTORY_VISITS } = require('../services/continuity')
+const { validateCareNeeds } = require('../services/careNeeds')
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Patients per continuity report page, by default and at most (each page reads their care history)
+const DEFAULT_REPORT_PAGE_SIZE = 50
+const MAX_REPORT_PAGE_SIZE = 200
+
+// Largest patient set accepted by the travel matrix (routing services cap table size)
+const MAX_MATRIX_PATIENTS = 100
 
 // Get all patients (coordinator/supervisor only)
 router.get('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
@@ -22,15 +37,27 @@ router.get('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (
   }
 })
 
-// Get unassigned patients
+// Get unassigned patients (optionally for one date: ?date=YYYY-MM-DD)
 router.get('/unassigned', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    // Get patients who don't have active assignments
-    const { data: assignedPatientIds, error: assignError } = await supabase
+    const { date } = req.query
+
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' })
+    }
+
+    // Get patients who don't have active assignments (on the date, or without a visit date)
+    let assignedQuery = supabase
       .from('patient_assignments')
       .select('patient_id')
       .eq('status', 'active')
 
+    if (date) {
+      assignedQuery = assignedQuery.or(`scheduled_visit_date.eq.${date},scheduled_visit_date.is.null`)
+    }
+
+    const { data: assignedPatientIds, error: assignError } = await assignedQuery
+
     if (assignError) throw assignError
 
     const assignedIds = assignedPatientIds.map(a => a.patient_id)
@@ -55,6 +82,120 @@ router.get('/unassigned', verifyToken, requireRole(['coordinator', 'supervisor']
   }
 })
 
+// Continuity of care per patient: distinct carers over the last N visits, a page of patients at a time
+router.get('/continuity-report', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { patient_id } = req.query
+    const last = parseInt(req.query.last, 10) || DEFAULT_HISTORY_VISITS
+    const page = parseInt(req.query.page, 10) || 1
+    const pageSize = Math.min(parseInt(req.query.page_size, 10) || DEFAULT_REPORT_PAGE_SIZE, MAX_REPORT_PAGE_SIZE)
+
+    if (page < 1 || pageSize < 1) {
+      return res.status(400).json({ error: 'page and page_size must be positive integers' })
+    }
+
+    let query = supabase
+      .from('patients')
+      .select('id, name, area', { count: 'exact' })
+
+    if (patient_id) query = query.eq('id', patient_id)
+
+    const { data: patients, count, error } = await query
+      .order('name', { ascending: true })
+      .range((page - 1) * pageSize, page * pageSize - 1)
+
+    if (error) throw error
+
+    const history = await loadCareHistory(patients.map(p => p.id), { lastVisits: last })
+
+    const report = patients.map(patient => ({
+      patient_id: patient.id,
+      name: patient.name,
+      area: patient.area,
+      ...summarizeContinuity(history.get(patient.id))
+    }))
+
+    // Patients seeing the most different carers first (within the page)
+    report.sort((a, b) => b.distinctCarers - a.distinctCarers)
+
+    res.json({ lastVisits: last, page, pageSize, total: count ?? report.length, patients: report })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Re-geocode patients with missing or stale coordinates (runs in the background)
+router.post('/geocode-missing', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { started, job } = await startGeocodeMissingJob({ requestedBy: req.user.id })
+
+    if (!started) {
+      return res.status(409).json({ error: 'A geocoding job is already running', job })
+    }
+
+    res.status(202).json(job)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Get progress and results of a geocoding job
+router.get('/geocode-missing/:jobId', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const job = getGeocodeJob(req.params.jobId)
+
+    if (!job) {
+      return res.status(404).json({ error: 'Geocoding job not found' })
+    }
+
+    res.json(job)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Travel minutes between every pair of the given patients
+router.post('/travel-matrix', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { patient_ids } = req.body
+
+    if (!Array.isArray(patient_ids) || patient_ids.length === 0) {
+      return res.status(400).json({ error: 'patient_ids must be a non-empty array' })
+    }
+
+    if (patient_ids.length > MAX_MATRIX_PATIENTS) {
+      return res.status(400).json({ error: `At most ${MAX_MATRIX_PATIENTS} patients per matrix` })
+    }
+
+    const { data: patients, error } = await supabase
+      .from('patients')
+      .select('id, name, area, latitude, longitude')
+      .in('id', patient_ids)
+
+    if (error) throw error
+
+    const byId = new Map((patients || []).map(p => [String(p.id), p]))
+    const missing = patient_ids.filter(id => !byId.has(String(id)))
+
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Patients not found', patient_ids: missing })
+    }
+
+    const ordered = patient_ids.map(id => byId.get(String(id)))
+    const locations = ordered.map(p => ({ lat: p.latitude, lng: p.longitude, area: p.area }))
+    const { provider, error: providerError } = await primeTravelTimes(locations)
+
+    res.json({
+      provider,
+      fallback: provider === 'haversine' || Boolean(providerError),
+      patients: ordered.map(p => ({ id: p.id, name: p.name, area: p.area, latitude: p.latitude, longitude: p.longitude })),
+      minutes: buildTravelTimeMatrix(locations)
+    })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Get single patient
 router.get('/:id', verifyToken, async (req, res) => {
   try {
@@ -79,13 +220,29 @@ router.post('/', verifyToken, requireRole(['coordinator', 'professional']), asyn
   try {
     const patientData = { ...req.body }
 
+    const windowError = validateVisitWindowFields(patientData)
+    if (windowError) {
+      return res.status(400).json({ error: windowError })
+    }
+
+    const needsError = validateCareNeeds(patientData.care_needs)
+    if (needsError) {
+      return res.status(400).json({ error: needsError })
+    }
+
+    // Keep care_needed (used for display and filtering) on the first listed need
+    if (patientData.care_needs?.length > 0 && !patientData.care_needed) {
+      patientData.care_needed = patientData.care_needs[0].care_type
+    }
+
     // Geocode address if provided
     if (patientData.address) {
-      const coords = await geocodeAddress(patientData.address)
-      if (coords) {
-        patientData.latitude = coords.lat
-        patientData.longitude = coords.lng
-      }
+      Object.assign(patientData, await geocodePatientFields(patientData.address))
+    }
+
+    // Fill in the zone from coordinates when none was given
+    if (!patientData.area && patientData.latitude && patientData.longitude) {
+      patientData.area = detectZone(patientData.latitude, patientData.longitude)
     }
 
     const { data, error } = await supabase
@@ -106,15 +263,51 @@ router.put('/:id', verifyToken, async (req, res) => {
   try {
     const patientData = { ...req.body, updated_at: new Date().toISOString() }
 
+    const needsError = validateCareNeeds(patientData.care_needs)
+    if (needsError) {
+      return res.status(400).json({ error: needsError })
+    }
+
+    if (patientData.care_needs?.length > 0 && patientData.care_needed === undefined) {
+      patientData.care_needed = patientData.care_needs[0].care_type
+    }
+
+    // Validate visit window changes together with the stored values they combine with
+    if (WINDOW_FIELDS.some(field => patientData[field] !== undefined)) {
+      const { data: current, error: currentError } = await supabase
+        .from('patients')
+        .select(WINDOW_FIELDS.join(', '))
+        .eq('id', req.params.id)
+        .single()
+
+      if (currentError) throw currentError
+
+      const windowError = validateVisitWindowFields({ ...current, ...patientData })
+      if (windowError) {
+        return res.status(400).json({ error: windowError })
+      }
+    }
+
     // Re-geocode if address changed
     if (patientData.address) {
-      const coords = await geocodeAddress(patientData.address)
-      if (coords) {
-        patientData.latitude = coords.lat
-        patientData.longitude = coords.lng
+      const { data: current, error: currentError } = await supabase
+        .from('patients')
+        .select('address_hash')
+        .eq('id', req.params.id)
+        .single()
+
+      if (currentError) throw currentError
+
+      if (hashAddress(patientData.address) !== current.address_hash) {
+        Object.assign(patientData, await geocodePatientFields(patientData.address, { previousHash: current.address_hash }))
       }
     }
 
+    // Fill in the zone from coordinates when none was given
+    if (!patientData.area && patientData.latitude && patientData.longitude) {
+      patientData.area = detectZone(patientData.latitude, patientData.longitude)
+    }
+
     const { data, error } = await supabase
       .from('patients')
       .update(patientData)
@@ -2,6 +2,19 @@ const express = require('express')
 const router = express.Router()
 const { supabase } = require('../config/supabase')
 const { verifyToken, requireRole } = require('../middleware/auth')
+const { resolveDailyCapacity } = require('../services/timeSlotOptimizer')
+const { geocodePatientFields, hashAddress } = require('../services/geocoder')
+const {
+  validateAvailabilityException,
+  resolveCalendarRange,
+  getAvailabilityCalendar
+} = require('../services/availability')
+const { getFinnishHolidays, observesPublicHolidays } = require('../services/holidays')
+const {
+  resolveProfessionalLocations,
+  validateLocationSetting,
+  getBases
+} = require('../services/professionalLocations')
 
 // Get all professionals
 router.get('/', verifyToken, async (req, res) => {
@@ -45,7 +58,7 @@ router.get('/by-skill/:skill', verifyToken, async (req, res) => {
       .select(`
         *,
         profiles:profile_id (full_name, email, phone),
-        professional_specializations (specialization, years_experience),
+        professional_specializations (specialization, years_experience, certification_level),
         professional_service_areas (service_area, is_primary)
       `)
       .in('id', professionalIds)
@@ -80,7 +93,7 @@ router.get('/by-area/:area', verifyToken, async (req, res) => {
       .select(`
         *,
         profiles:profile_id (full_name, email, phone),
-        professional_specializations (specialization, years_experience),
+        professional_specializations (specialization, years_experience, certification_level),
         professional_service_areas (service_area, is_primary)
       `)
       .in('id', professionalIds)
@@ -108,6 +121,29 @@ router.get('/specializations', verifyToken, async (req, res) => {
   }
 })
 
+// List named bases a professional's day can start or end at
+router.get('/bases', verifyToken, async (req, res) => {
+  try {
+    res.json(getBases())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Finnish public holidays for a year (defaults to the current year)
+router.get('/holidays', verifyToken, async (req, res) => {
+  try {
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear()
+    if (Number.isNaN(year) || year < 1900 || year > 2100) {
+      return res.status(400).json({ error: 'year must be between 1900 and 2100' })
+    }
+
+    res.json({ year, observed: observesPublicHolidays(), holidays: getFinnishHolidays(year) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Bulk working hours by profile_id (UUIDs)
 router.get('/working-hours/bulk', verifyToken, async (req, res) => {
   try {
@@ -168,7 +204,7 @@ router.get('/:id', verifyToken, async (req, res) => {
       .select(`
         *,
         profiles:profile_id (full_name, email, phone),
-        professional_specializations (specialization, years_experience),
+        professional_specializations (specialization, years_experience, certification_level),
         professional_service_areas (service_area, is_primary),
         working_hours (weekday, start_time, end_time)
       `)
@@ -259,6 +295,398 @@ router.put('/:id/working-hours', verifyToken, async (req, res) => {
   }
 })
 
+// Helper to validate an optional positive integer capacity value
+function isValidCapacityValue(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0)
+}
+
+// Get professional's daily capacity, resolved per weekday
+router.get('/:id/capacity', verifyToken, async (req, res) => {
+  try {
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    const { data: settings, error: settingsError } = await supabase
+      .from('professionals')
+      .select('id, max_patients_per_day, max_care_minutes_per_day')
+      .eq('id', professional.id)
+      .single()
+
+    if (settingsError) throw settingsError
+
+    const { data: hours, error: hoursError } = await supabase
+      .from('working_hours')
+      .select('weekday, start_time, end_time, max_patients, max_care_minutes')
+      .eq('professional_id', professional.id)
+      .order('weekday', { ascending: true })
+
+    if (hoursError) throw hoursError
+
+    res.json({
+      max_patients_per_day: settings.max_patients_per_day,
+      max_care_minutes_per_day: settings.max_care_minutes_per_day,
+      weekdays: (hours || []).map(h => ({
+        weekday: h.weekday,
+        max_patients: h.max_patients,
+        max_care_minutes: h.max_care_minutes,
+        effective: resolveDailyCapacity(settings, h)
+      }))
+    })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update professional's daily capacity (defaults and optional per-weekday overrides)
+router.put('/:id/capacity', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { max_patients_per_day, max_care_minutes_per_day, weekday_overrides = [] } = req.body
+
+    if (!isValidCapacityValue(max_patients_per_day) || !isValidCapacityValue(max_care_minutes_per_day)) {
+      return res.status(400).json({ error: 'Capacity values must be positive integers or null' })
+    }
+
+    if (!Array.isArray(weekday_overrides)) {
+      return res.status(400).json({ error: 'weekday_overrides must be an array' })
+    }
+
+    const invalidOverride = weekday_overrides.find(o =>
+      !Number.isInteger(o.weekday) || o.weekday < 1 || o.weekday > 7 ||
+      !isValidCapacityValue(o.max_patients) || !isValidCapacityValue(o.max_care_minutes)
+    )
+    if (invalidOverride) {
+      return res.status(400).json({ error: 'Each weekday override needs a weekday (1-7) and positive integer or null limits' })
+    }
+
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    // Weekday limits live on working_hours rows, so the weekday must be a working day
+    if (weekday_overrides.length > 0) {
+      const { data: hours, error: hoursError } = await supabase
+        .from('working_hours')
+        .select('weekday')
+        .eq('professional_id', professional.id)
+
+      if (hoursError) throw hoursError
+
+      const workingDays = new Set((hours || []).map(h => h.weekday))
+      const missing = weekday_overrides.map(o => o.weekday).filter(weekday => !workingDays.has(weekday))
+      if (missing.length > 0) {
+        return res.status(400).json({ error: 'Weekday overrides need working hours on those weekdays', weekdays: missing })
+      }
+    }
+
+    // Only touch the fields that were sent
+    const updates = {}
+    if (max_patients_per_day !== undefined) updates.max_patients_per_day = max_patients_per_day
+    if (max_care_minutes_per_day !== undefined) updates.max_care_minutes_per_day = max_care_minutes_per_day
+
+    if (Object.keys(updates).length > 0) {
+      const { error: updateError } = await supabase
+        .from('professionals')
+        .update(updates)
+        .eq('id', professional.id)
+
+      if (updateError) throw updateError
+    }
+
+    for (const override of weekday_overrides) {
+      const { error: overrideError } = await supabase
+        .from('working_hours')
+        .update({
+          max_patients: override.max_patients ?? null,
+          max_care_minutes: override.max_care_minutes ?? null
+        })
+        .eq('professional_id', professional.id)
+        .eq('weekday', override.weekday)
+
+      if (overrideError) throw overrideError
+    }
+
+    res.json({ message: 'Capacity saved' })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Columns describing where a professional's day starts and ends
+const LOCATION_COLUMNS = 'id, profile_id, home_address, home_latitude, home_longitude, home_geocode_status, ' +
+  'start_location_type, start_base, end_location_type, end_base'
+
+// Shape location settings plus the resolved points for API responses
+function formatLocations(professional) {
+  const { start, end } = resolveProfessionalLocations(professional)
+  return {
+    home_address: professional.home_address,
+    home_latitude: professional.home_latitude,
+    home_longitude: professional.home_longitude,
+    home_geocode_status: professional.home_geocode_status,
+    start_location_type: professional.start_location_type,
+    start_base: professional.start_base,
+    end_location_type: professional.end_location_type,
+    end_base: professional.end_base,
+    resolved: { start, end }
+  }
+}
+
+// Get where the professional's day starts and ends (accepts profile_id UUID or professional integer id)
+router.get('/:id/locations', verifyToken, async (req, res) => {
+  try {
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    const { data, error } = await supabase
+      .from('professionals')
+      .select(LOCATION_COLUMNS)
+      .eq('id', professional.id)
+      .single()
+
+    if (error) throw error
+    res.json(formatLocations(data))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update home address and day start/end (the professional themselves, or coordinator/supervisor)
+router.put('/:id/locations', verifyToken, async (req, res) => {
+  try {
+    const { home_address, start_location_type, start_base, end_location_type, end_base } = req.body
+
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    const { data: current, error: currentError } = await supabase
+      .from('professionals')
+      .select(LOCATION_COLUMNS)
+      .eq('id', professional.id)
+      .single()
+
+    if (currentError) throw currentError
+
+    const isOwner = current.profile_id === req.user.id
+    if (!isOwner && !['coordinator', 'supervisor'].includes(req.profile.role)) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    // Only touch the fields that were sent
+    const updates = {}
+
+    if (home_address !== undefined) {
+      updates.home_address = home_address || null
+      if (home_address) {
+        const fields = await geocodePatientFields(home_address, {
+          previousHash: current.home_address ? hashAddress(current.home_address) : null
+        })
+        // A provider error returns no coordinates for an unchanged address; the stored ones stay
+        if (fields.latitude !== undefined) {
+          updates.home_latitude = fields.latitude
+          updates.home_longitude = fields.longitude
+        }
+        updates.home_geocode_status = fields.geocode_status
+      } else {
+        updates.home_latitude = null
+        updates.home_longitude = null
+        updates.home_geocode_status = null
+      }
+    }
+
+    if (start_location_type !== undefined) {
+      updates.start_location_type = start_location_type
+      updates.start_base = start_location_type === 'base' ? start_base : null
+    }
+    if (end_location_type !== undefined) {
+      updates.end_location_type = end_location_type
+      updates.end_base = end_location_type === 'base' ? end_base : null
+    }
+
+    const next = { ...current, ...updates }
+    const invalid = validateLocationSetting(next.start_location_type, next.start_base, next) ||
+      validateLocationSetting(next.end_location_type, next.end_base, next)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { data, error } = await supabase
+      .from('professionals')
+      .update(updates)
+      .eq('id', professional.id)
+      .select(LOCATION_COLUMNS)
+      .single()
+
+    if (error) throw error
+
+    const result = formatLocations(data)
+    const homeInUse = data.start_location_type === 'home' || data.end_location_type === 'home'
+    if (homeInUse && !data.home_latitude) {
+      result.warning = 'Home address could not be geocoded; routes fall back to the default start'
+    }
+
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Whether the requester may change a professional's availability (themselves, or coordinator/supervisor)
+async function canManageAvailability(req, professionalId) {
+  if (['coordinator', 'supervisor'].includes(req.profile.role)) return true
+
+  const { data, error } = await supabase
+    .from('professionals')
+    .select('profile_id')
+    .eq('id', professionalId)
+    .single()
+
+  if (error) throw error
+  return data.profile_id === req.user.id
+}
+
+const EXCEPTION_FIELDS = ['type', 'start_date', 'end_date', 'start_time', 'end_time', 'reason']
+
+// Only the fields that were sent; times are dropped for whole days off
+function pickExceptionFields(body) {
+  const fields = Object.fromEntries(EXCEPTION_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]))
+  if (fields.type === 'unavailable') {
+    fields.start_time = null
+    fields.end_time = null
+  }
+  return fields
+}
+
+// Day-by-day availability with exceptions, holidays and absences (start_date, end_date; defaults to two weeks)
+router.get('/:id/availability', verifyToken, async (req, res) => {
+  try {
+    const range = resolveCalendarRange(req.query.start_date, req.query.end_date)
+    if (range.error) {
+      return res.status(400).json({ error: range.error })
+    }
+
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    res.json(await getAvailabilityCalendar(professional.id, range.startDate, range.endDate))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Add an availability exception (the professional themselves, or coordinator/supervisor)
+router.post('/:id/availability', verifyToken, async (req, res) => {
+  try {
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    if (!await canManageAvailability(req, professional.id)) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const exception = pickExceptionFields(req.body)
+    const invalid = validateAvailabilityException(exception)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .insert([{
+        ...exception,
+        reason: exception.reason || null,
+        professional_id: professional.id,
+        created_by_id: req.user.id
+      }])
+      .select()
+      .single()
+
+    if (error) throw error
+    res.status(201).json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update an availability exception (the professional themselves, or coordinator/supervisor)
+router.put('/:id/availability/:exceptionId', verifyToken, async (req, res) => {
+  try {
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    if (!await canManageAvailability(req, professional.id)) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const { data: current } = await supabase
+      .from('availability_exceptions')
+      .select('*')
+      .eq('id', req.params.exceptionId)
+      .eq('professional_id', professional.id)
+      .single()
+
+    if (!current) return res.status(404).json({ error: 'Availability exception not found' })
+
+    const updates = pickExceptionFields(req.body)
+    const invalid = validateAvailabilityException({ ...current, ...updates })
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .update(updates)
+      .eq('id', current.id)
+      .select()
+      .single()
+
+    if (error) throw error
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Remove an availability exception (the professional themselves, or coordinator/supervisor)
+router.delete('/:id/availability/:exceptionId', verifyToken, async (req, res) => {
+  try {
+    const { data: professional, error: profError } = await resolveProfessionalId(req.params.id)
+
+    if (profError) throw profError
+    if (!professional) return res.status(404).json({ error: 'Professional not found' })
+
+    if (!await canManageAvailability(req, professional.id)) {
+      return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const { data, error } = await supabase
+      .from('availability_exceptions')
+      .delete()
+      .eq('id', req.params.exceptionId)
+      .eq('professional_id', professional.id)
+      .select()
+
+    if (error) throw error
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Availability exception not found' })
+
+    res.json({ message: 'Availability exception deleted' })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Delete a single working hour (accepts profile_id UUID or professional integer id)
 router.delete('/:id/working-hours/:workingHourId', verifyToken, async (req, res) => {
   try {
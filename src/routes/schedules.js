@@ -2,7 +2,24 @@ const express = require('express')
 const router = express.Router()
 const { supabase } = require('../config/supabase')
 const { verifyToken, requireRole } = require('../middleware/auth')
-const { calculateAvailableTimeSlots, smartAssignPatient } = require('../services/timeSlotOptimizer')
+const {
+  calculateAvailableTimeSlots,
+  smartAssignPatient,
+  smartAssignPair,
+  verifyAssignmentSkills,
+  resolveSkillOverride,
+  skillOverrideFields
+} = require('../services/timeSlotOptimizer')
+const { planProfessionalRoute, resequenceProfessionalDay } = require('../services/routeOptimizer')
+const {
+  validateScheduleEntry,
+  validateScheduleTimes,
+  SCHEDULE_TIMING_FIELDS
+} = require('../services/scheduleValidator')
+const { scanConflictsForRange, validateScanRange } = require('../services/conflictScanner')
+
+// Roles allowed to save a schedule entry despite conflicts
+const CONFLICT_OVERRIDE_ROLES = ['coordinator', 'supervisor']
 
 // Get schedules for a date range
 router.get('/', verifyToken, async (req, res) => {
@@ -39,29 +56,72 @@ router.get('/', verifyToken, async (req, res) => {
 // Get available time slots for a professional on a date
 router.get('/available-slots', verifyToken, async (req, res) => {
   try {
-    const { professional_id, date } = req.query
+    const { professional_id, date, patient_id } = req.query
 
     if (!professional_id || !date) {
       return res.status(400).json({ error: 'professional_id and date are required' })
     }
 
-    const slots = await calculateAvailableTimeSlots(professional_id, date)
+    // Patient is optional; when given, slots are sized to their care duration and travel
+    let patient = null
+    if (patient_id) {
+      const { data, error } = await supabase
+        .from('patients')
+        .select('*')
+        .eq('id', patient_id)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!data) return res.status(404).json({ error: 'Patient not found' })
+      patient = data
+    }
+
+    const slots = await calculateAvailableTimeSlots(professional_id, date, [], { patient })
     res.json(slots)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// Report existing conflicts between two dates for supervisors to work through
+router.get('/conflicts', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query
+
+    const rangeError = validateScanRange(start_date, end_date)
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError })
+    }
+
+    res.json(await scanConflictsForRange(start_date, end_date))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Smart assign patient to professional
-router.post('/smart-assign', verifyToken, requireRole(['coordinator']), async (req, res) => {
+router.post('/smart-assign', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    const { patient_id, professional_id, date } = req.body
+    const { patient_id, professional_id, partner_professional_id, date, dry_run, skill_override_justification } = req.body
 
     if (!patient_id || !professional_id || !date) {
       return res.status(400).json({ error: 'patient_id, professional_id, and date are required' })
     }
 
-    const result = await smartAssignPatient(patient_id, professional_id, date)
+    const { override, status, error } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (error) return res.status(status).json({ error })
+
+    const options = { dryRun: dry_run === true, skillOverride: override }
+
+    // A partner makes it a joint visit that splits the patient's care needs
+    const result = partner_professional_id
+      ? await smartAssignPair(patient_id, professional_id, partner_professional_id, date, null, options)
+      : await smartAssignPatient(patient_id, professional_id, date, null, options)
+
+    if (result.code === 'SKILL_MISMATCH') {
+      return res.status(422).json(result)
+    }
+
     res.json(result)
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -71,7 +131,32 @@ router.post('/smart-assign', verifyToken, requireRole(['coordinator']), async (r
 // Create schedule entry
 router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
   try {
-    const scheduleData = { ...req.body }
+    const { skill_override_justification, override_conflicts, ...fields } = req.body
+
+    if (!fields.patient_id || !fields.professional_id) {
+      return res.status(400).json({ error: 'patient_id and professional_id are required' })
+    }
+
+    const timesError = validateScheduleTimes(fields)
+    if (timesError) {
+      return res.status(400).json({ error: timesError })
+    }
+
+    const { override, status, error: overrideError } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (overrideError) return res.status(status).json({ error: overrideError })
+
+    const skillMismatch = await verifyAssignmentSkills(fields.patient_id, fields.professional_id)
+    if (skillMismatch && !override) {
+      return res.status(422).json(skillMismatch)
+    }
+
+    // Double bookings, travel gaps, working hours and the patient's other visits
+    const conflicts = await validateScheduleEntry(fields)
+    if (conflicts.length > 0 && override_conflicts !== true) {
+      return res.status(409).json({ error: 'Schedule entry conflicts with existing visits', code: 'SCHEDULE_CONFLICT', conflicts })
+    }
+
+    const scheduleData = { ...fields, ...(skillMismatch && skillOverrideFields(override)) }
 
     const { data, error } = await supabase
       .from('schedules')
@@ -84,7 +169,7 @@ router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async
       .single()
 
     if (error) throw error
-    res.status(201).json(data)
+    res.status(201).json(conflicts.length > 0 ? { ...data, overridden_conflicts: conflicts } : data)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
@@ -93,15 +178,63 @@ router.post('/', verifyToken, requireRole(['coordinator', 'supervisor']), async
 // Update schedule entry
 router.put('/:id', verifyToken, async (req, res) => {
   try {
+    const { override_conflicts, skill_override_justification, ...changes } = req.body
+
+    if (override_conflicts === true && !CONFLICT_OVERRIDE_ROLES.includes(req.profile.role)) {
+      return res.status(403).json({ error: 'Only coordinators and supervisors can override schedule conflicts' })
+    }
+
+    const { override, status, error: overrideError } = resolveSkillOverride(skill_override_justification, req.profile, req.user.id)
+    if (overrideError) return res.status(status).json({ error: overrideError })
+
+    // Status notes and the like skip the check; time, date or people changes are validated
+    let conflicts = []
+    if (SCHEDULE_TIMING_FIELDS.some(field => changes[field] !== undefined)) {
+      const { data: current, error: currentError } = await supabase
+        .from('schedules')
+        .select('*')
+        .eq('id', req.params.id)
+        .single()
+
+      if (currentError || !current) {
+        return res.status(404).json({ error: 'Schedule entry not found' })
+      }
+
+      const merged = { ...current, ...changes }
+      const timesError = validateScheduleTimes(merged)
+      if (timesError) {
+        return res.status(400).json({ error: timesError })
+      }
+
+      // A new professional or patient needs the skills check a new entry gets
+      const peopleChanged = ['professional_id', 'patient_id']
+        .some(field => changes[field] !== undefined && String(changes[field]) !== String(current[field]))
+      if (peopleChanged) {
+        const skillMismatch = await verifyAssignmentSkills(merged.patient_id, merged.professional_id)
+        if (skillMismatch && !override) {
+          return res.status(422).json(skillMismatch)
+        }
+        // An override only stands for the pairing it was given for
+        Object.assign(changes, skillMismatch
+          ? skillOverrideFields(override)
+          : { skill_override_justification: null, skill_override_by_id: null })
+      }
+
+      conflicts = await validateScheduleEntry(merged, { excludeId: current.id })
+      if (conflicts.length > 0 && override_conflicts !== true) {
+        return res.status(409).json({ error: 'Schedule entry conflicts with existing visits', code: 'SCHEDULE_CONFLICT', conflicts })
+      }
+    }
+
     const { data, error } = await supabase
       .from('schedules')
-      .update({ ...req.body, updated_at: new Date().toISOString() })
+      .update({ ...changes, updated_at: new Date().toISOString() })
       .eq('id', req.params.id)
       .select()
       .single()
 
     if (error) throw error
-    res.json(data)
+    res.json(conflicts.length > 0 ? { ...data, overridden_conflicts: conflicts } : data)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
@@ -144,4 +277,50 @@ router.get('/professional/:professionalId/date/:date', verifyToken, async (req,
   }
 })
 
+// Helper to read an optional { lat, lng } pair from query params or body
+function parseLocationQuery(query, prefix) {
+  const lat = parseFloat(query[`${prefix}_lat`])
+  const lng = parseFloat(query[`${prefix}_lng`])
+  if (Number.isNaN(lat) || Number.isNaN(lng)) return null
+  return { lat, lng }
+}
+
+// Get optimized visit order for a professional's day
+router.get('/professional/:professionalId/date/:date/route', verifyToken, async (req, res) => {
+  try {
+    const { professionalId, date } = req.params
+
+    const { route, ...result } = await planProfessionalRoute(professionalId, date, {
+      start: parseLocationQuery(req.query, 'start'),
+      end: parseLocationQuery(req.query, 'end')
+    })
+
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Apply the optimized order to a professional's day, rewriting visit times
+router.post('/professional/:professionalId/date/:date/resequence', verifyToken, requireRole(['coordinator', 'supervisor']), async (req, res) => {
+  try {
+    const { professionalId, date } = req.params
+    const { dry_run } = req.body
+
+    const result = await resequenceProfessionalDay(professionalId, date, {
+      start: parseLocationQuery(req.body, 'start'),
+      end: parseLocationQuery(req.body, 'end'),
+      dryRun: dry_run === true
+    })
+
+    if (result.error) {
+      return res.status(result.code === 'ROUTE_INFEASIBLE' ? 409 : 500).json(result)
+    }
+
+    res.json(result)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 module.exports = router
@@ -0,0 +1,258 @@
+const express = require('express')
+const router = express.Router()
+const { supabase } = require('../config/supabase')
+const { verifyToken, requireRole } = require('../middleware/auth')
+const { getZoneModel, loadZoneModelFromFile, refreshZoneModelFromDatabase } = require('../services/zoneModel')
+const { detectZone } = require('../services/geoUtils')
+
+// Helper to validate a travel time in minutes
+function isValidMinutes(value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+// Helper to validate an optional GeoJSON Polygon
+function isValidPolygon(polygon) {
+  return polygon === undefined || polygon === null ||
+    (polygon.type === 'Polygon' && Array.isArray(polygon.coordinates) && Array.isArray(polygon.coordinates[0]))
+}
+
+// Helper to store travel times for both directions
+async function upsertTravelTimes(entries) {
+  const rows = []
+  for (const { from_zone, to_zone, minutes, symmetric = true } of entries) {
+    rows.push({ from_zone, to_zone, minutes })
+    if (symmetric && from_zone !== to_zone) rows.push({ from_zone: to_zone, to_zone: from_zone, minutes })
+  }
+
+  if (rows.length === 0) return
+
+  const { error } = await supabase
+    .from('zone_travel_times')
+    .upsert(rows, { onConflict: 'from_zone,to_zone' })
+
+  if (error) throw error
+}
+
+// Get the active zone model (zones and travel matrix)
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    res.json(getZoneModel())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Detect the zone for a coordinate pair
+router.get('/detect', verifyToken, async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat)
+    const lng = parseFloat(req.query.lng)
+
+    if (Number.isNaN(lat) || Number.isNaN(lng)) {
+      return res.status(400).json({ error: 'lat and lng are required' })
+    }
+
+    res.json({ lat, lng, zone: detectZone(lat, lng) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Copy the config-file zones into the database (only when the database has none)
+router.post('/seed', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { data: existing, error: existingError } = await supabase
+      .from('zones')
+      .select('id')
+      .limit(1)
+
+    if (existingError) throw existingError
+    if (existing && existing.length > 0) {
+      return res.status(409).json({ error: 'Zones already exist in the database' })
+    }
+
+    const fileModel = loadZoneModelFromFile()
+
+    const { data: zones, error: zonesError } = await supabase
+      .from('zones')
+      .insert(fileModel.zones.map(z => ({
+        name: z.name,
+        centroid_lat: z.centroid?.lat ?? null,
+        centroid_lng: z.centroid?.lng ?? null,
+        polygon: z.polygon
+      })))
+      .select('id')
+
+    if (zonesError) throw zonesError
+
+    const entries = []
+    for (const [fromZone, row] of Object.entries(fileModel.travelTimes)) {
+      for (const [toZone, minutes] of Object.entries(row)) {
+        entries.push({ from_zone: fromZone, to_zone: toZone, minutes, symmetric: false })
+      }
+    }
+    try {
+      await upsertTravelTimes(entries)
+    } catch (err) {
+      // A half-seeded model would block the next seed attempt with a 409
+      const ids = zones.map(z => z.id)
+      const { error: cleanupError } = await supabase
+        .from('zones')
+        .delete()
+        .in('id', ids)
+
+      if (cleanupError) {
+        return res.status(500).json({ error: err.message, cleanup_error: `Zones ${ids.join(', ')} were created but could not be removed: ${cleanupError.message}` })
+      }
+      throw err
+    }
+
+    res.status(201).json(await refreshZoneModelFromDatabase())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Create a zone, optionally with travel times to existing zones
+router.post('/', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { name, centroid_lat, centroid_lng, polygon, travel_times = {} } = req.body
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' })
+    }
+
+    if (!isValidPolygon(polygon)) {
+      return res.status(400).json({ error: 'polygon must be a GeoJSON Polygon' })
+    }
+
+    if (Object.values(travel_times).some(minutes => !isValidMinutes(minutes))) {
+      return res.status(400).json({ error: 'travel_times values must be non-negative integers' })
+    }
+
+    const { data, error } = await supabase
+      .from('zones')
+      .insert([{ name, centroid_lat, centroid_lng, polygon: polygon || null }])
+      .select()
+      .single()
+
+    if (error) throw error
+
+    try {
+      await upsertTravelTimes(
+        Object.entries(travel_times).map(([toZone, minutes]) => ({ from_zone: name, to_zone: toZone, minutes }))
+      )
+    } catch (err) {
+      // Don't leave a zone behind without the travel times it was created with
+      const { error: cleanupError } = await supabase
+        .from('zones')
+        .delete()
+        .eq('id', data.id)
+
+      if (cleanupError) {
+        return res.status(500).json({ error: err.message, cleanup_error: `Zone ${data.id} was created but could not be removed: ${cleanupError.message}` })
+      }
+      throw err
+    }
+
+    await refreshZoneModelFromDatabase()
+    res.status(201).json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update travel times between zones
+router.put('/travel-times', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { travel_times } = req.body
+    // travel_times = [{ from_zone, to_zone, minutes, symmetric }, ...]
+
+    if (!Array.isArray(travel_times)) {
+      return res.status(400).json({ error: 'travel_times must be an array' })
+    }
+
+    if (travel_times.some(t => !t.from_zone || !t.to_zone || !isValidMinutes(t.minutes))) {
+      return res.status(400).json({ error: 'Each entry needs from_zone, to_zone and non-negative integer minutes' })
+    }
+
+    await upsertTravelTimes(travel_times)
+
+    res.json(await refreshZoneModelFromDatabase())
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Update a zone's centroid or polygon
+router.put('/:id', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { name, centroid_lat, centroid_lng, polygon } = req.body
+
+    if (name !== undefined) {
+      return res.status(400).json({ error: 'Zones cannot be renamed; patients and service areas refer to them by name' })
+    }
+
+    if (!isValidPolygon(polygon)) {
+      return res.status(400).json({ error: 'polygon must be a GeoJSON Polygon' })
+    }
+
+    const updates = {}
+    if (centroid_lat !== undefined) updates.centroid_lat = centroid_lat
+    if (centroid_lng !== undefined) updates.centroid_lng = centroid_lng
+    if (polygon !== undefined) updates.polygon = polygon
+
+    const { data, error } = await supabase
+      .from('zones')
+      .update(updates)
+      .eq('id', req.params.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    await refreshZoneModelFromDatabase()
+    res.json(data)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Delete a zone and its travel times
+router.delete('/:id', verifyToken, requireRole(['supervisor']), async (req, res) => {
+  try {
+    const { data: zone, error: fetchError } = await supabase
+      .from('zones')
+      .select('id, name')
+      .eq('id', req.params.id)
+      .single()
+
+    if (fetchError || !zone) {
+      return res.status(404).json({ error: 'Zone not found' })
+    }
+
+    // One delete per direction, so names with quotes or commas need no filter escaping
+    for (const column of ['from_zone', 'to_zone']) {
+      const { error: timesError } = await supabase
+        .from('zone_travel_times')
+        .delete()
+        .eq(column, zone.name)
+
+      if (timesError) throw timesError
+    }
+
+    const { error } = await supabase
+      .from('zones')
+      .delete()
+      .eq('id', zone.id)
+
+    if (error) throw error
+
+    await refreshZoneModelFromDatabase()
+    res.json({ message: 'Zone deleted successfully' })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,344 @@
+/**
+ * Absence Redistribution Service
+ *
+ * When a professional is absent, their schedule entries and active assignments in
+ * the range need someone else. For every affected visit the qualified, present
+ * professionals are checked with the normal slot finder (capacity, travel, visit
+ * windows) and ranked: keeping the original time first, then the recommendation
+ * score (service area, travel, load, continuity). Earlier proposals occupy time
+ * for later ones, as in bulk assign.
+ *
+ * Accepting hands each visit to its chosen replacement like a reassignment
+ * (see reassignment.js), tagged with the absence. Visits nobody can take are
+ * flagged with needs_cover so they can be planned by hand.
+ *
+ * Columns on schedules and patient_assignments: absence_id, needs_cover
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  calculateAvailableTimeSlots,
+  patientLocation,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
+} = require('./timeSlotOptimizer')
+const { getNeededCareTypes, getVisitDuration, coversCareNeeds } = require('./careNeeds')
+const { scoreProfessional, estimateTravelMinutes } = require('./professionalMatcher')
+const { loadCareHistory } = require('./continuity')
+const { loadAbsences, coversDate } = require('./absences')
+const { loadVisitContext, commitReassignment } = require('./reassignment')
+
+// Runner-up replacements listed per visit
+const MAX_ALTERNATIVES = 3
+
+// Schedule entries in these states have been carried out or dropped and stay put
+const SETTLED_STATUSES = ['cancelled', 'completed']
+
+function normalizeTime(time) {
+  return time ? minutesToTime(timeToMinutes(time)) : null
+}
+
+/**
+ * Combine the absent professional's schedule entries and active assignments into
+ * visits: an assignment and a schedule entry for the same patient and date are one visit.
+ * Rows carry their patient as `patients`. Sorted by date and time.
+ */
+function pairAffectedVisits(schedules, assignments) {
+  const unmatched = [...assignments]
+  const visits = []
+
+  for (const schedule of schedules) {
+    const matches = unmatched.filter(a => a.patient_id === schedule.patient_id && a.scheduled_visit_date === schedule.date)
+    const assignment = matches.find(a => normalizeTime(a.scheduled_visit_time) === normalizeTime(schedule.start_time)) || matches[0]
+    if (assignment) unmatched.splice(unmatched.indexOf(assignment), 1)
+
+    // Matched first, so a settled visit's assignment is not picked up on its own below
+    if (SETTLED_STATUSES.includes(schedule.status)) continue
+
+    visits.push({
+      key: `schedule:${schedule.id}`,
+      schedule_id: schedule.id,
+      assignment_id: assignment?.id ?? null,
+      patient: schedule.patients,
+      patient_id: schedule.patient_id,
+      date: schedule.date,
+      start_time: normalizeTime(schedule.start_time),
+      end_time: normalizeTime(schedule.end_time),
+      partner_professional_id: schedule.partner_professional_id ?? null
+    })
+  }
+
+  for (const assignment of unmatched) {
+    const start = normalizeTime(assignment.scheduled_visit_time)
+    visits.push({
+      key: `assignment:${assignment.id}`,
+      schedule_id: null,
+      assignment_id: assignment.id,
+      patient: assignment.patients,
+      patient_id: assignment.patient_id,
+      date: assignment.scheduled_visit_date,
+      start_time: start,
+      end_time: start ? addMinutes(start, getVisitDuration(assignment.patients, assignment.scheduled_visit_date)) : null,
+      partner_professional_id: assignment.partner_professional_id ?? null
+    })
+  }
+
+  return visits.sort((a, b) => a.date.localeCompare(b.date) || (a.start_time || '').localeCompare(b.start_time || ''))
+}
+
+/**
+ * Rank replacements for a visit; pure so it can be unit tested.
+ * options: [{ professional_id, full_name, slots (calculateAvailableTimeSlots result, with the visit's startTime), score }].
+ * A joint visit keeps its time, since the partner is only free then.
+ */
+function rankReplacements(visit, options) {
+  const duration = visit.start_time && visit.end_time
+    ? timeToMinutes(visit.end_time) - timeToMinutes(visit.start_time)
+    : null
+
+  return options
+    .filter(option => option.slots.available)
+    .map(option => {
+      const keepsTime = Boolean(visit.start_time) && option.slots.slots.includes(visit.start_time)
+      const startTime = keepsTime ? visit.start_time : option.slots.suggestedTime
+      return {
+        professional_id: option.professional_id,
+        full_name: option.full_name || null,
+        start_time: startTime,
+        end_time: addMinutes(startTime, duration || option.slots.duration),
+        keeps_time: keepsTime,
+        score: option.score
+      }
+    })
+    .filter(replacement => !visit.partner_professional_id || replacement.keeps_time)
+    .sort((a, b) => (b.keeps_time - a.keeps_time) || (b.score - a.score))
+}
+
+function visitSummary(visit) {
+  return {
+    key: visit.key,
+    schedule_id: visit.schedule_id,
+    assignment_id: visit.assignment_id,
+    patient_id: visit.patient_id,
+    patient_name: visit.patient?.name || null,
+    date: visit.date,
+    start_time: visit.start_time,
+    end_time: visit.end_time,
+    ...(visit.partner_professional_id && { partner_professional_id: visit.partner_professional_id })
+  }
+}
+
+async function loadAffectedVisits(absence) {
+  const { data: schedules, error: scheduleError } = await supabase
+    .from('schedules')
+    .select('*, patients (*)')
+    .eq('professional_id', absence.professional_id)
+    .gte('date', absence.start_date)
+    .lte('date', absence.end_date)
+
+  if (scheduleError) throw scheduleError
+
+  const { data: assignments, error: assignError } = await supabase
+    .from('patient_assignments')
+    .select('*, patients (*)')
+    .eq('professional_id', absence.professional_id)
+    .eq('status', 'active')
+    .gte('scheduled_visit_date', absence.start_date)
+    .lte('scheduled_visit_date', absence.end_date)
+
+  if (assignError) throw assignError
+
+  return pairAffectedVisits(schedules || [], assignments || [])
+}
+
+/**
+ * Propose a replacement for every visit an absence affects.
+ * Returns { absence, proposals: [{ ...visit, replacement, alternatives }], unplaceable: [{ ...visit, reason }] }
+ */
+async function proposeRedistribution(absence) {
+  const visits = await loadAffectedVisits(absence)
+
+  const { data: professionals, error: profError } = await supabase
+    .from('professionals')
+    .select(`
+      *,
+      profiles:profile_id (full_name),
+      professional_specializations (specialization, years_experience, certification_level),
+      professional_service_areas (service_area, is_primary)
+    `)
+
+  if (profError) throw profError
+
+  const absences = await loadAbsences(absence.start_date, absence.end_date)
+  const history = await loadCareHistory([...new Set(visits.map(v => v.patient_id))], { before: absence.start_date })
+  const specializationsOf = id => (professionals || []).find(p => p.id === id)?.professional_specializations || []
+
+  const proposals = []
+  const unplaceable = []
+  const batch = []
+
+  for (const visit of visits) {
+    const careTypes = getNeededCareTypes(visit.patient, visit.date)
+    const partnerSpecializations = visit.partner_professional_id ? specializationsOf(visit.partner_professional_id) : []
+
+    // With a partner, the new pair together must still cover the care needs
+    const candidates = (professionals || []).filter(p =>
+      p.id !== absence.professional_id &&
+      p.id !== visit.partner_professional_id &&
+      !absences.some(a => a.professional_id === p.id && coversDate(a, visit.date)) &&
+      coversCareNeeds(careTypes, [...(p.professional_specializations || []), ...partnerSpecializations])
+    )
+
+    const duration = visit.start_time && visit.end_time
+      ? timeToMinutes(visit.end_time) - timeToMinutes(visit.start_time)
+      : null
+
+    const options = []
+    for (const professional of candidates) {
+      // The original time is checked exactly, as it may be off the slot grid
+      const slots = await calculateAvailableTimeSlots(professional.id, visit.date, batch, { patient: visit.patient, duration, startTime: visit.start_time })
+      if (!slots.available) continue
+
+      const { score } = scoreProfessional(visit.patient, professional, {
+        travelMinutes: estimateTravelMinutes(visit.patient, professional),
+        history: history.get(visit.patient_id) || []
+      })
+      options.push({ professional_id: professional.id, full_name: professional.profiles?.full_name, slots, score })
+    }
+
+    const ranked = rankReplacements(visit, options)
+    if (ranked.length === 0) {
+      unplaceable.push({
+        ...visitSummary(visit),
+        reason: candidates.length === 0
+          ? 'No present professional has the required skills'
+          : visit.partner_professional_id
+            ? 'No qualified professional is free at the joint visit time'
+            : 'No qualified professional has a free slot'
+      })
+      continue
+    }
+
+    const [replacement, ...alternatives] = ranked
+    proposals.push({ ...visitSummary(visit), replacement, alternatives: alternatives.slice(0, MAX_ALTERNATIVES) })
+    batch.push({
+      patient_id: visit.patient_id,
+      professional_id: replacement.professional_id,
+      scheduled_visit_date: visit.date,
+      scheduled_visit_time: replacement.start_time,
+      duration: timeToMinutes(replacement.end_time) - timeToMinutes(replacement.start_time),
+      location: patientLocation(visit.patient)
+    })
+  }
+
+  return { absence, affected: visits.length, proposals, unplaceable }
+}
+
+// Hand one visit to its replacement (see reassignment.js). The slot is checked again
+// first: a chosen alternative was ranked without the visits moved earlier in the run.
+async function moveVisit(absence, proposal, replacement, acceptedById) {
+  const context = await loadVisitContext({ assignmentId: proposal.assignment_id, scheduleId: proposal.schedule_id })
+  if (!context) throw new Error('Visit no longer exists')
+
+  if (replacement.start_time) {
+    const slots = await calculateAvailableTimeSlots(replacement.professional_id, proposal.date, [], {
+      patient: context.patient,
+      duration: timeToMinutes(replacement.end_time) - timeToMinutes(replacement.start_time),
+      startTime: replacement.start_time
+    })
+    if (!slots.available || !slots.slots.includes(replacement.start_time)) {
+      throw new Error(`Professional ${replacement.professional_id} is no longer free at ${replacement.start_time}`)
+    }
+  }
+
+  const result = await commitReassignment(context, {
+    professional_id: replacement.professional_id,
+    date: proposal.date,
+    start_time: replacement.start_time,
+    end_time: replacement.end_time
+  }, {
+    mode: replacement.keeps_time ? 'keep_time' : 'next_slot',
+    reason: `Absence cover${absence.reason ? `: ${absence.reason}` : ''}`,
+    reassignedById: acceptedById,
+    absenceId: absence.id
+  })
+
+  return { ...proposal, replacement, new_assignment_id: result.assignment?.id ?? null }
+}
+
+// Mark a visit nobody could take so it shows up for manual planning
+async function flagVisit(absence, visit) {
+  for (const [table, id] of [['schedules', visit.schedule_id], ['patient_assignments', visit.assignment_id]]) {
+    if (!id) continue
+    const { error } = await supabase
+      .from(table)
+      .update({ needs_cover: true, absence_id: absence.id })
+      .eq('id', id)
+
+    if (error) throw error
+  }
+  return visit
+}
+
+/**
+ * Accept the redistribution for an absence in one step. The proposal is worked out
+ * again on current data; choices ({ [visit key]: professional_id }) pick one of a
+ * visit's listed alternatives instead of the top replacement. The absence becomes
+ * 'redistributed', or 'partially_redistributed' when some visits failed.
+ * Returns { absence, moved, flagged, failed }.
+ */
+async function applyRedistribution(absence, { choices = {}, acceptedById = null } = {}) {
+  const proposal = await proposeRedistribution(absence)
+  const moved = []
+  const flagged = []
+  const failed = []
+
+  for (const item of proposal.proposals) {
+    const choice = choices[item.key]
+    const replacement = choice === undefined
+      ? item.replacement
+      : [item.replacement, ...item.alternatives].find(r => String(r.professional_id) === String(choice))
+
+    if (!replacement) {
+      failed.push({ ...item, reason: `Professional ${choice} is not a listed replacement for this visit` })
+      continue
+    }
+
+    try {
+      moved.push(await moveVisit(absence, item, replacement, acceptedById))
+    } catch (err) {
+      failed.push({ ...item, reason: err.message, ...(err.rollbackErrors && { rollbackErrors: err.rollbackErrors }) })
+    }
+  }
+
+  for (const visit of proposal.unplaceable) {
+    try {
+      flagged.push(await flagVisit(absence, visit))
+    } catch (err) {
+      failed.push({ ...visit, reason: err.message })
+    }
+  }
+
+  // Visits that could not be moved or flagged still need someone, so the absence is only partly done
+  const status = failed.length === 0 ? 'redistributed' : 'partially_redistributed'
+
+  const { data: updated, error } = await supabase
+    .from('absences')
+    .update({ status, redistributed_at: new Date().toISOString() })
+    .eq('id', absence.id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  return { absence: updated, moved, flagged, failed }
+}
+
+module.exports = {
+  pairAffectedVisits,
+  rankReplacements,
+  proposeRedistribution,
+  applyRedistribution,
+  MAX_ALTERNATIVES
+}
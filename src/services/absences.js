@@ -0,0 +1,67 @@
+/**
+ * Absences Service
+ *
+ * An absence (sick leave and the like) takes a professional out of the schedule
+ * for a date range. They are off on those dates (see availability.js), and
+ * absenceRedistribution.js moves the visits they already had.
+ *
+ * absences columns: professional_id, start_date, end_date, reason,
+ * status ('recorded' | 'redistributed' | 'partially_redistributed' | 'cancelled'), recorded_by_id, redistributed_at
+ */
+
+const { supabase } = require('../config/supabase')
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Validate absence fields; returns an error message or null
+ */
+function validateAbsence(absence) {
+  if (!absence.professional_id) return 'professional_id is required'
+
+  for (const field of ['start_date', 'end_date']) {
+    if (!absence[field] || !DATE_PATTERN.test(absence[field])) return `${field} must be a date (YYYY-MM-DD)`
+  }
+  if (absence.end_date < absence.start_date) return 'end_date must not be before start_date'
+
+  if (absence.reason !== undefined && absence.reason !== null && typeof absence.reason !== 'string') {
+    return 'reason must be a string'
+  }
+
+  return null
+}
+
+// Whether an absence takes its professional out on a date
+function coversDate(absence, date) {
+  return absence.status !== 'cancelled' && absence.start_date <= date && date <= absence.end_date
+}
+
+function describeAbsence(absence) {
+  return `Professional is absent${absence.reason ? ` (${absence.reason})` : ''}`
+}
+
+/**
+ * Absences overlapping a date range, optionally for some professionals only
+ */
+async function loadAbsences(startDate, endDate = startDate, professionalIds = null) {
+  let query = supabase
+    .from('absences')
+    .select('*')
+    .lte('start_date', endDate)
+    .gte('end_date', startDate)
+    .neq('status', 'cancelled')
+
+  if (professionalIds) query = query.in('professional_id', professionalIds)
+
+  const { data, error } = await query.order('start_date', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+module.exports = {
+  validateAbsence,
+  coversDate,
+  describeAbsence,
+  loadAbsences
+}
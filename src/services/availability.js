@@ -0,0 +1,220 @@
+/**
+ * Availability Service
+ *
+ * working_hours is a weekly template. availability_exceptions override it on
+ * specific dates (start_date to end_date):
+ * - unavailable: off all day (vacation, training, appointment)
+ * - custom_hours: working start_time-end_time instead of the template ("leaving early Thursday")
+ * - extra_shift: working start_time-end_time on a day that is otherwise off; on a
+ *   working day the hours are widened to cover the shift
+ *
+ * Precedence for a date: absence, unavailable, custom_hours, extra_shift, public
+ * holiday (see holidays.js), then the template. Capacity limits stay those of the
+ * template's weekday.
+ *
+ * availability_exceptions columns: professional_id, start_date, end_date, type,
+ * start_time, end_time, reason, created_by_id
+ */
+
+const { supabase } = require('../config/supabase')
+const { getWeekday, addDays } = require('./timeUtils')
+const { findHoliday, observesPublicHolidays } = require('./holidays')
+const { loadAbsences, coversDate, describeAbsence } = require('./absences')
+
+const EXCEPTION_TYPES = ['unavailable', 'custom_hours', 'extra_shift']
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/
+
+// Days the availability calendar covers when no end date is given, and at most
+const DEFAULT_CALENDAR_DAYS = 14
+const MAX_CALENDAR_DAYS = 92
+
+// 'HH:MM' or 'HH:MM:SS' as 'HH:MM', which compares correctly as a string
+function shortTime(time) {
+  return time.slice(0, 5)
+}
+
+/**
+ * Validate exception fields (after merging with stored values); returns an error message or null
+ */
+function validateAvailabilityException(exception) {
+  if (!EXCEPTION_TYPES.includes(exception.type)) return `type must be one of: ${EXCEPTION_TYPES.join(', ')}`
+
+  for (const field of ['start_date', 'end_date']) {
+    if (!exception[field] || !DATE_PATTERN.test(exception[field])) return `${field} must be a date (YYYY-MM-DD)`
+  }
+  if (exception.end_date < exception.start_date) return 'end_date must not be before start_date'
+
+  if (exception.type === 'unavailable') return null
+
+  for (const field of ['start_time', 'end_time']) {
+    if (!exception[field] || !TIME_PATTERN.test(exception[field])) return `${field} (HH:MM) is required for ${exception.type}`
+  }
+  if (shortTime(exception.end_time) <= shortTime(exception.start_time)) return 'end_time must be after start_time'
+
+  return null
+}
+
+function exceptionCovers(exception, date) {
+  return exception.start_date <= date && date <= exception.end_date
+}
+
+function withReason(text, reason) {
+  return reason ? `${text} (${reason})` : text
+}
+
+/**
+ * Effective working hours on one date; pure so it can be unit tested.
+ * template is the working_hours row for the weekday (or null), exceptions the
+ * professional's availability exceptions, absence their absence on the date.
+ * holiday defaults to the Finnish holiday on the date when holidays are observed.
+ * Returns { date, hours: { start_time, end_time, max_patients, max_care_minutes } | null,
+ * source, reason?, holiday? }
+ */
+function resolveDayAvailability(date, { template = null, exceptions = [], absence = null, holiday } = {}) {
+  const dayHoliday = holiday !== undefined ? holiday : (observesPublicHolidays() ? findHoliday(date) : null)
+  const onDate = exceptions.filter(e => exceptionCovers(e, date))
+  const find = type => onDate.find(e => e.type === type)
+  const limits = {
+    max_patients: template?.max_patients ?? null,
+    max_care_minutes: template?.max_care_minutes ?? null
+  }
+  const result = (source, hours, reason = null) => ({
+    date,
+    source,
+    hours,
+    ...(reason && { reason }),
+    ...(dayHoliday && { holiday: dayHoliday })
+  })
+
+  if (absence) return result('absence', null, describeAbsence(absence))
+
+  const unavailable = find('unavailable')
+  if (unavailable) return result('unavailable', null, withReason('Professional is unavailable', unavailable.reason))
+
+  const custom = find('custom_hours')
+  if (custom) {
+    return result('custom_hours', { start_time: shortTime(custom.start_time), end_time: shortTime(custom.end_time), ...limits })
+  }
+
+  const shift = find('extra_shift')
+  if (shift) {
+    const base = template && !dayHoliday ? template : null
+    const start = shortTime(shift.start_time)
+    const end = shortTime(shift.end_time)
+    return result('extra_shift', {
+      start_time: base && shortTime(base.start_time) < start ? shortTime(base.start_time) : start,
+      end_time: base && shortTime(base.end_time) > end ? shortTime(base.end_time) : end,
+      ...limits
+    })
+  }
+
+  if (dayHoliday) return result('holiday', null, `Public holiday: ${dayHoliday.name}`)
+  if (!template) return result('off', null, 'No working hours for this day')
+
+  return result('template', { start_time: shortTime(template.start_time), end_time: shortTime(template.end_time), ...limits })
+}
+
+/**
+ * Date range for the availability calendar, defaulting to two weeks from today.
+ * Returns { startDate, endDate } or { error }
+ */
+function resolveCalendarRange(startDate, endDate, today = new Date().toISOString().slice(0, 10)) {
+  const start = startDate || today
+  const end = endDate || addDays(start, DEFAULT_CALENDAR_DAYS - 1)
+
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)) return { error: 'start_date and end_date must be dates (YYYY-MM-DD)' }
+  if (end < start) return { error: 'end_date must not be before start_date' }
+  if (end > addDays(start, MAX_CALENDAR_DAYS - 1)) return { error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` }
+
+  return { startDate: start, endDate: end }
+}
+
+/**
+ * Availability exceptions overlapping a date range, optionally for some professionals only
+ */
+async function loadAvailabilityExceptions(startDate, endDate = startDate, professionalIds = null) {
+  let query = supabase
+    .from('availability_exceptions')
+    .select('*')
+    .lte('start_date', endDate)
+    .gte('end_date', startDate)
+
+  if (professionalIds) query = query.in('professional_id', professionalIds)
+
+  const { data, error } = await query.order('start_date', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+async function loadTemplates(professionalIds = null) {
+  let query = supabase
+    .from('working_hours')
+    .select('professional_id, weekday, start_time, end_time, max_patients, max_care_minutes')
+
+  if (professionalIds) query = query.in('professional_id', professionalIds)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Effective hours of one professional on a date (see resolveDayAvailability)
+ */
+async function getDayAvailability(professionalId, date) {
+  const calendar = await getAvailabilityCalendar(professionalId, date, date)
+  return calendar.days[0]
+}
+
+/**
+ * Effective hours of all (or some) professionals on a date: Map(professional_id => availability)
+ */
+async function getDayAvailabilityForAll(date, professionalIds) {
+  const templates = (await loadTemplates(professionalIds)).filter(t => t.weekday === getWeekday(date))
+  const exceptions = await loadAvailabilityExceptions(date, date, professionalIds)
+  const absences = await loadAbsences(date, date, professionalIds)
+
+  return new Map(professionalIds.map(id => [id, resolveDayAvailability(date, {
+    template: templates.find(t => t.professional_id === id) || null,
+    exceptions: exceptions.filter(e => e.professional_id === id),
+    absence: absences.find(a => a.professional_id === id) || null
+  })]))
+}
+
+/**
+ * Day-by-day availability of a professional between two dates, with the exceptions involved
+ */
+async function getAvailabilityCalendar(professionalId, startDate, endDate) {
+  const templates = await loadTemplates([professionalId])
+  const exceptions = await loadAvailabilityExceptions(startDate, endDate, [professionalId])
+  const absences = await loadAbsences(startDate, endDate, [professionalId])
+
+  const days = []
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    days.push({
+      weekday: getWeekday(date),
+      ...resolveDayAvailability(date, {
+        template: templates.find(t => t.weekday === getWeekday(date)) || null,
+        exceptions,
+        absence: absences.find(a => coversDate(a, date)) || null
+      })
+    })
+  }
+
+  return { professional_id: professionalId, start_date: startDate, end_date: endDate, exceptions, absences, days }
+}
+
+module.exports = {
+  validateAvailabilityException,
+  resolveDayAvailability,
+  resolveCalendarRange,
+  loadAvailabilityExceptions,
+  getDayAvailability,
+  getDayAvailabilityForAll,
+  getAvailabilityCalendar,
+  EXCEPTION_TYPES,
+  MAX_CALENDAR_DAYS
+}
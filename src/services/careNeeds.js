@@ -0,0 +1,144 @@
+/**
+ * Care Needs Service
+ *
+ * A patient can need several kinds of care in one visit, e.g. wound care plus
+ * medication administration. patients.care_needs holds them as a list of
+ * { care_type, duration_minutes, frequency, start_date }:
+ * - duration_minutes defaults to the care type's default length
+ * - frequency is an RRULE (see recurrence.js) counted from start_date, for needs
+ *   that are not part of every visit; without it the need is always due
+ *
+ * Patients without care_needs fall back to the single care_needed column. A visit
+ * lasts the combined time of the needs due that day, unless the patient's
+ * estimated_care_duration overrides it.
+ */
+
+const { getCareTypeDuration, getDefaultCareDuration, qualifiesForCare } = require('./careTypes')
+const { parseRecurrenceRule, occursOn } = require('./recurrence')
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Whether a need with a frequency falls on a date
+function isNeedDue(need, date) {
+  if (!need.frequency || !date) return true
+  if (date < need.start_date) return false
+
+  return occursOn(parseRecurrenceRule(need.frequency), need.start_date, date)
+}
+
+/**
+ * The patient's care needs as [{ care_type, duration_minutes, frequency, start_date }].
+ * With a date, only the needs due that day are returned.
+ */
+function getCareNeeds(patient, date = null) {
+  if (!patient) return []
+
+  const needs = Array.isArray(patient.care_needs) && patient.care_needs.length > 0
+    ? patient.care_needs
+    : patient.care_needed ? [{ care_type: patient.care_needed }] : []
+
+  return needs
+    .map(need => ({
+      care_type: need.care_type,
+      duration_minutes: need.duration_minutes || getCareTypeDuration(need.care_type),
+      frequency: need.frequency || null,
+      start_date: need.start_date || null
+    }))
+    .filter(need => isNeedDue(need, date))
+}
+
+// Names of the care types a visit must cover
+function getNeededCareTypes(patient, date = null) {
+  return getCareNeeds(patient, date).map(need => need.care_type)
+}
+
+// Visit length: the patient's estimate, else the combined time of the needs due
+function getVisitDuration(patient, date = null) {
+  if (patient?.estimated_care_duration > 0) return patient.estimated_care_duration
+
+  const needs = getCareNeeds(patient, date)
+  if (needs.length === 0) return getDefaultCareDuration()
+  return needs.reduce((sum, need) => sum + need.duration_minutes, 0)
+}
+
+// Readable list of needs, e.g. "Wound Care + Medication Administration"
+function describeCareNeeds(careTypes) {
+  return careTypes.length > 0 ? careTypes.join(' + ') : null
+}
+
+// Whether one professional's specializations cover every need
+function coversCareNeeds(careTypes, specializations) {
+  return careTypes.length > 0 && careTypes.every(careType => qualifiesForCare(careType, specializations))
+}
+
+/**
+ * Split needs between a professional and a partner: each need goes to the first of
+ * the two who qualifies. Returns { primary, partner, uncovered } lists of needs.
+ */
+function splitCareNeeds(needs, primarySpecializations, partnerSpecializations) {
+  const split = { primary: [], partner: [], uncovered: [] }
+
+  for (const need of needs) {
+    if (qualifiesForCare(need.care_type, primarySpecializations)) split.primary.push(need)
+    else if (qualifiesForCare(need.care_type, partnerSpecializations)) split.partner.push(need)
+    else split.uncovered.push(need)
+  }
+
+  return split
+}
+
+// A joint visit lasts as long as the longer of the two shares
+function getPairVisitDuration(patient, split) {
+  if (patient?.estimated_care_duration > 0) return patient.estimated_care_duration
+
+  const share = needs => needs.reduce((sum, need) => sum + need.duration_minutes, 0)
+  return Math.max(share(split.primary), share(split.partner)) || getDefaultCareDuration()
+}
+
+/**
+ * Validate a care_needs list; returns an error message or null
+ */
+function validateCareNeeds(needs) {
+  if (needs === undefined || needs === null) return null
+  if (!Array.isArray(needs)) return 'care_needs must be an array'
+
+  const seen = new Set()
+  for (const need of needs) {
+    if (!need || typeof need.care_type !== 'string' || need.care_type.trim() === '') {
+      return 'Each care need requires a care_type'
+    }
+
+    const key = need.care_type.trim().toLowerCase()
+    if (seen.has(key)) return `${need.care_type} is listed more than once`
+    seen.add(key)
+
+    if (need.duration_minutes !== undefined && need.duration_minutes !== null &&
+        (!Number.isInteger(need.duration_minutes) || need.duration_minutes <= 0)) {
+      return `duration_minutes for ${need.care_type} must be a positive integer`
+    }
+
+    if (need.frequency) {
+      if (!need.start_date || !DATE_PATTERN.test(need.start_date)) {
+        return `start_date (YYYY-MM-DD) is required with a frequency for ${need.care_type}`
+      }
+      try {
+        parseRecurrenceRule(need.frequency)
+      } catch (err) {
+        return `Invalid frequency for ${need.care_type}: ${err.message}`
+      }
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  getCareNeeds,
+  getNeededCareTypes,
+  getVisitDuration,
+  describeCareNeeds,
+  coversCareNeeds,
+  splitCareNeeds,
+  getPairVisitDuration,
+  validateCareNeeds
+}
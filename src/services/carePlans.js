@@ -0,0 +1,344 @@
+/**
+ * Care Plans Service
+ *
+ * A care plan is a recurring visit schedule for one patient and professional
+ * ("wound care daily for 14 days", "IV therapy 3x/day"). Visits are generated
+ * as patient_assignments + schedules rows (tagged with care_plan_id) over a
+ * rolling horizon, with times picked by the normal slot logic. Editing or
+ * ending a plan only replaces visits after today; past and today's visits stay.
+ *
+ * care_plans columns: patient_id, professional_id, care_needed, duration_minutes,
+ * rrule, times_per_day, start_date, status ('active' | 'ended'), notes,
+ * created_by_id, generated_until, skill_override_justification, skill_override_by_id
+ */
+
+const { supabase } = require('../config/supabase')
+const { parseRecurrenceRule, expandOccurrences } = require('./recurrence')
+const { addDays } = require('./timeUtils')
+const { getVisitDuration } = require('./careNeeds')
+const {
+  calculateAvailableTimeSlots,
+  getCareDuration,
+  revertAssignment,
+  timeToMinutes,
+  addMinutes
+} = require('./timeSlotOptimizer')
+
+// Days ahead visits are generated for
+const DEFAULT_HORIZON_DAYS = 14
+const MAX_HORIZON_DAYS = 60
+
+const MAX_TIMES_PER_DAY = 6
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function resolveHorizonDays(horizonDays) {
+  const days = parseInt(horizonDays, 10)
+  if (Number.isNaN(days) || days < 1) return DEFAULT_HORIZON_DAYS
+  return Math.min(days, MAX_HORIZON_DAYS)
+}
+
+/**
+ * Validate plan fields (after merging with stored values); returns an error message or null
+ */
+function validateCarePlan(plan) {
+  if (!plan.patient_id || !plan.professional_id) return 'patient_id and professional_id are required'
+  if (!plan.start_date || !DATE_PATTERN.test(plan.start_date)) return 'start_date must be a date (YYYY-MM-DD)'
+
+  const timesPerDay = plan.times_per_day ?? 1
+  if (!Number.isInteger(timesPerDay) || timesPerDay < 1 || timesPerDay > MAX_TIMES_PER_DAY) {
+    return `times_per_day must be an integer between 1 and ${MAX_TIMES_PER_DAY}`
+  }
+
+  if (plan.duration_minutes !== undefined && plan.duration_minutes !== null &&
+      (!Number.isInteger(plan.duration_minutes) || plan.duration_minutes <= 0)) {
+    return 'duration_minutes must be a positive integer'
+  }
+
+  try {
+    const rule = parseRecurrenceRule(plan.rrule)
+    if (rule.times && timesPerDay > 1) return 'Use either BYHOUR or times_per_day, not both'
+  } catch (err) {
+    return err.message
+  }
+
+  return null
+}
+
+/**
+ * Choose a start time for one occurrence from the slots available right now.
+ * Fixed times (BYHOUR) take the nearest slot; several visits a day are spread
+ * evenly over the day's span; a single visit takes the suggested slot.
+ * Returns { time, shiftedFrom } or null.
+ */
+function pickOccurrenceTime(available, occurrence, { perDay = 1, daySpan = null } = {}) {
+  if (!available.slots || available.slots.length === 0) return null
+
+  const nearest = target => available.slots.reduce((best, slot) =>
+    Math.abs(timeToMinutes(slot) - target) < Math.abs(timeToMinutes(best) - target) ? slot : best
+  )
+
+  if (occurrence.time) {
+    const time = nearest(timeToMinutes(occurrence.time))
+    return { time, shiftedFrom: time === occurrence.time ? null : occurrence.time }
+  }
+
+  if (perDay > 1 && daySpan) {
+    const target = daySpan.first + Math.round(occurrence.index * (daySpan.last - daySpan.first) / (perDay - 1))
+    return { time: nearest(target), shiftedFrom: null }
+  }
+
+  return { time: available.suggestedTime, shiftedFrom: null }
+}
+
+// Load a plan; null when it does not exist
+async function loadCarePlan(planId) {
+  const { data, error } = await supabase
+    .from('care_plans')
+    .select('*')
+    .eq('id', planId)
+    .single()
+
+  if (error || !data) return null
+  return data
+}
+
+// Insert one visit (assignment + schedule); the assignment is removed if the schedule fails
+async function createPlanVisit(plan, occurrence, time, duration, assignedById) {
+  const { data: assignment, error } = await supabase
+    .from('patient_assignments')
+    .insert([{
+      patient_id: plan.patient_id,
+      professional_id: plan.professional_id,
+      assigned_by_id: assignedById,
+      scheduled_visit_date: occurrence.date,
+      scheduled_visit_time: time,
+      status: 'active',
+      assignment_date: new Date().toISOString(),
+      care_plan_id: plan.id
+    }])
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const { data: schedule, error: scheduleError } = await supabase
+    .from('schedules')
+    .insert([{
+      patient_id: plan.patient_id,
+      professional_id: plan.professional_id,
+      date: occurrence.date,
+      start_time: time,
+      end_time: addMinutes(time, duration),
+      status: 'scheduled',
+      care_plan_id: plan.id,
+      occurrence_index: occurrence.index
+    }])
+    .select()
+    .single()
+
+  if (scheduleError) {
+    await revertAssignment({ assignmentId: assignment.id })
+    throw scheduleError
+  }
+
+  return { assignment, schedule }
+}
+
+/**
+ * Generate the plan's missing visits from `from` up to the horizon.
+ * Occurrences that already have a schedule row are left alone.
+ */
+async function generateCarePlanVisits(plan, { from = today(), horizonDays = DEFAULT_HORIZON_DAYS, assignedById = null } = {}) {
+  const horizonEnd = addDays(today(), resolveHorizonDays(horizonDays))
+  const start = from > plan.start_date ? from : plan.start_date
+  const rule = parseRecurrenceRule(plan.rrule)
+  const perDay = rule.times ? rule.times.length : plan.times_per_day || 1
+
+  const occurrences = expandOccurrences(rule, {
+    startDate: plan.start_date,
+    horizonEnd,
+    from: start,
+    timesPerDay: perDay
+  })
+
+  const { data: patient, error: patientError } = await supabase
+    .from('patients')
+    .select('*')
+    .eq('id', plan.patient_id)
+    .single()
+
+  if (patientError) throw patientError
+
+  const { data: existing, error: existingError } = await supabase
+    .from('schedules')
+    .select('date, occurrence_index')
+    .eq('care_plan_id', plan.id)
+    .gte('date', start)
+
+  if (existingError) throw existingError
+
+  const generated = new Set((existing || []).map(s => `${s.date}#${s.occurrence_index}`))
+  const duration = plan.duration_minutes || (plan.care_needed
+    ? getCareDuration(plan.care_needed, patient.estimated_care_duration)
+    : getVisitDuration(patient))
+
+  const created = []
+  const failed = []
+  let currentDate = null
+  let daySpan = null
+
+  for (const occurrence of occurrences) {
+    if (generated.has(`${occurrence.date}#${occurrence.index}`)) continue
+
+    // Visits created earlier in the run are saved already, so the slot search finds them in the database
+    const available = await calculateAvailableTimeSlots(
+      plan.professional_id, occurrence.date, [], { patient, duration }
+    )
+
+    // Spread several visits a day over the span free before the first one is placed
+    if (occurrence.date !== currentDate) {
+      currentDate = occurrence.date
+      daySpan = available.slots && available.slots.length > 0
+        ? { first: timeToMinutes(available.slots[0]), last: timeToMinutes(available.slots[available.slots.length - 1]) }
+        : null
+    }
+
+    const picked = available.available ? pickOccurrenceTime(available, occurrence, { perDay, daySpan }) : null
+    if (!picked) {
+      failed.push({ date: occurrence.date, index: occurrence.index, reason: available.reason || 'No time slots available' })
+      continue
+    }
+
+    try {
+      const visit = await createPlanVisit(plan, occurrence, picked.time, duration, assignedById)
+      created.push({
+        date: occurrence.date,
+        index: occurrence.index,
+        start_time: picked.time,
+        end_time: addMinutes(picked.time, duration),
+        ...(picked.shiftedFrom && { shifted_from: picked.shiftedFrom }),
+        assignment_id: visit.assignment.id,
+        schedule_id: visit.schedule.id
+      })
+    } catch (err) {
+      failed.push({ date: occurrence.date, index: occurrence.index, reason: err.message })
+    }
+  }
+
+  const { error: planError } = await supabase
+    .from('care_plans')
+    .update({ generated_until: horizonEnd })
+    .eq('id', plan.id)
+
+  if (planError) console.error('Care plan horizon update error:', planError)
+
+  return { from: start, until: horizonEnd, created, failed }
+}
+
+/**
+ * Remove the plan's visits from `from` onwards that have not been carried out
+ */
+async function deleteFutureVisits(planId, from) {
+  const { data: schedules, error } = await supabase
+    .from('schedules')
+    .delete()
+    .eq('care_plan_id', planId)
+    .gte('date', from)
+    .eq('status', 'scheduled')
+    .select('id')
+
+  if (error) throw error
+
+  const { error: assignmentError } = await supabase
+    .from('patient_assignments')
+    .delete()
+    .eq('care_plan_id', planId)
+    .gte('scheduled_visit_date', from)
+    .eq('status', 'active')
+
+  if (assignmentError) throw assignmentError
+
+  return (schedules || []).length
+}
+
+async function createCarePlan(fields, createdById = null, { horizonDays } = {}) {
+  const { data: plan, error } = await supabase
+    .from('care_plans')
+    .insert([{
+      patient_id: fields.patient_id,
+      professional_id: fields.professional_id,
+      care_needed: fields.care_needed || null,
+      duration_minutes: fields.duration_minutes || null,
+      rrule: fields.rrule,
+      times_per_day: fields.times_per_day || 1,
+      start_date: fields.start_date,
+      notes: fields.notes || null,
+      status: 'active',
+      created_by_id: createdById,
+      ...(fields.skill_override_justification && {
+        skill_override_justification: fields.skill_override_justification,
+        skill_override_by_id: fields.skill_override_by_id
+      })
+    }])
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const generation = await generateCarePlanVisits(plan, { horizonDays, assignedById: createdById })
+  return { plan, generation }
+}
+
+/**
+ * Apply changes and regenerate visits after today under the new rule
+ */
+async function updateCarePlan(plan, changes, updatedById = null, { horizonDays } = {}) {
+  const { data: updated, error } = await supabase
+    .from('care_plans')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', plan.id)
+    .select()
+    .single()
+
+  if (error) throw error
+
+  const from = addDays(today(), 1)
+  const removed = await deleteFutureVisits(plan.id, from)
+  const generation = updated.status === 'active'
+    ? await generateCarePlanVisits(updated, { from, horizonDays, assignedById: updatedById })
+    : null
+
+  return { plan: updated, removed, generation }
+}
+
+/**
+ * End a plan: visits after today are removed, earlier ones are kept
+ */
+async function endCarePlan(plan) {
+  const removed = await deleteFutureVisits(plan.id, addDays(today(), 1))
+
+  const { error } = await supabase
+    .from('care_plans')
+    .update({ status: 'ended', updated_at: new Date().toISOString() })
+    .eq('id', plan.id)
+
+  if (error) throw error
+  return { removed }
+}
+
+module.exports = {
+  validateCarePlan,
+  pickOccurrenceTime,
+  loadCarePlan,
+  createCarePlan,
+  updateCarePlan,
+  endCarePlan,
+  generateCarePlanVisits,
+  DEFAULT_HORIZON_DAYS,
+  MAX_HORIZON_DAYS
+}
@@ -0,0 +1,218 @@
+/**
+ * Care Types Service
+ *
+ * Catalogue of care types: default visit length, the specializations a
+ * professional needs and the acceptable alternatives, and an optional minimum
+ * certification level. The catalogue starts from a JSON config file
+ * (CARE_TYPES_CONFIG_PATH, default src/config/careTypes.json) and is replaced by
+ * the care_types table once it holds data.
+ *
+ * Lookups are exact: a patient's care_needed must equal a type's name or one of
+ * its aliases (ignoring case and extra whitespace).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { supabase } = require('../config/supabase')
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/careTypes.json')
+
+// Used when neither the catalogue nor the config names a default
+const FALLBACK_DURATION_MINUTES = 45
+
+let catalog = null
+let index = new Map()
+
+function normalizeName(name) {
+  return typeof name === 'string' ? name.trim().replace(/\s+/g, ' ').toLowerCase() : ''
+}
+
+function buildCareType(t) {
+  return {
+    id: t.id ?? null,
+    name: t.name,
+    aliases: t.aliases || [],
+    default_duration_minutes: t.default_duration_minutes ?? null,
+    required_specializations: t.required_specializations || [],
+    alternative_specializations: t.alternative_specializations || [],
+    required_certification_level: t.required_certification_level ?? null
+  }
+}
+
+/**
+ * Build a catalogue from plain data: { careTypes: [...], defaultDurationMinutes }
+ */
+function buildCareTypeCatalog({ careTypes = [], defaultDurationMinutes = FALLBACK_DURATION_MINUTES, source = 'config' }) {
+  return {
+    source,
+    defaultDurationMinutes,
+    careTypes: careTypes.map(buildCareType)
+  }
+}
+
+/**
+ * Load the catalogue from a JSON config file
+ */
+function loadCareTypesFromFile(filePath = process.env.CARE_TYPES_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  return buildCareTypeCatalog({ ...config, source: 'config' })
+}
+
+function setCareTypeCatalog(newCatalog) {
+  catalog = newCatalog
+  index = new Map()
+  for (const careType of catalog.careTypes) {
+    for (const name of [careType.name, ...careType.aliases]) {
+      index.set(normalizeName(name), careType)
+    }
+  }
+}
+
+function getCareTypeCatalog() {
+  if (!catalog) setCareTypeCatalog(loadCareTypesFromFile())
+  return catalog
+}
+
+// Care type for a care_needed value (name or alias); null when unknown
+function findCareType(careNeeded) {
+  getCareTypeCatalog()
+  return index.get(normalizeName(careNeeded)) || null
+}
+
+function getDefaultCareDuration() {
+  return getCareTypeCatalog().defaultDurationMinutes
+}
+
+// Default visit length for a care type, or the catalogue default for unknown ones
+function getCareTypeDuration(careNeeded) {
+  return findCareType(careNeeded)?.default_duration_minutes || getDefaultCareDuration()
+}
+
+/**
+ * Whether specializations ({ specialization, certification_level }) qualify for a care need:
+ * every required specialization, or any acceptable alternative, held at the required
+ * certification level. Unknown care types need a specialization of the same name.
+ */
+function qualifiesForCare(careNeeded, specializations) {
+  if (!careNeeded || !specializations || specializations.length === 0) return false
+
+  const careType = findCareType(careNeeded)
+  const level = careType?.required_certification_level ?? null
+  const holds = name => specializations.some(s =>
+    normalizeName(s.specialization) === normalizeName(name) &&
+    (level === null || (s.certification_level ?? 0) >= level)
+  )
+
+  if (!careType) return holds(careNeeded)
+
+  const { required_specializations: required, alternative_specializations: alternatives } = careType
+  return (required.length > 0 && required.every(holds)) || alternatives.some(holds)
+}
+
+// Specializations that would qualify for a care need (required ones first)
+function getRequiredSkills(careNeeded) {
+  if (!careNeeded) return []
+
+  const careType = findCareType(careNeeded)
+  if (!careType) return [careNeeded]
+
+  return [...new Set([...careType.required_specializations, ...careType.alternative_specializations])]
+}
+
+// Readable requirement, e.g. "IV Therapy Specialist, or one of: Nursing Care, Acute Care"
+function describeSkillRequirement(careNeeded) {
+  const careType = findCareType(careNeeded)
+  if (!careType) return careNeeded
+
+  const parts = []
+  if (careType.required_specializations.length > 0) parts.push(careType.required_specializations.join(' + '))
+  if (careType.alternative_specializations.length > 0) {
+    parts.push(`${parts.length > 0 ? 'or ' : ''}one of: ${careType.alternative_specializations.join(', ')}`)
+  }
+  const level = careType.required_certification_level
+  return parts.join(', ') + (level !== null ? ` (certification level ${level}+)` : '')
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '')
+}
+
+/**
+ * Validate care type fields (after merging with stored values); returns an error message or null
+ */
+function validateCareType(careType) {
+  if (typeof careType.name !== 'string' || careType.name.trim() === '') return 'name is required'
+
+  if (!Number.isInteger(careType.default_duration_minutes) || careType.default_duration_minutes <= 0) {
+    return 'default_duration_minutes must be a positive integer'
+  }
+
+  for (const field of ['aliases', 'required_specializations', 'alternative_specializations']) {
+    if (careType[field] !== undefined && careType[field] !== null && !isStringList(careType[field])) {
+      return `${field} must be an array of names`
+    }
+  }
+
+  if ((careType.required_specializations || []).length === 0 && (careType.alternative_specializations || []).length === 0) {
+    return 'At least one required or alternative specialization is needed'
+  }
+
+  const level = careType.required_certification_level
+  if (level !== undefined && level !== null && (!Number.isInteger(level) || level < 1)) {
+    return 'required_certification_level must be a positive integer or null'
+  }
+
+  // Names and aliases must stay unique across the catalogue for exact lookups
+  for (const name of [careType.name, ...(careType.aliases || [])]) {
+    const existing = findCareType(name)
+    if (existing && (careType.id === undefined || existing.id !== careType.id)) {
+      return `${name} is already used by care type ${existing.name}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Load care types from the database; returns null when the table is empty
+ */
+async function loadCareTypesFromDatabase() {
+  const { data, error } = await supabase
+    .from('care_types')
+    .select('*')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  if (!data || data.length === 0) return null
+
+  return buildCareTypeCatalog({
+    source: 'database',
+    defaultDurationMinutes: loadCareTypesFromFile().defaultDurationMinutes,
+    careTypes: data
+  })
+}
+
+/**
+ * Replace the in-memory catalogue with the database one when the database has care types
+ */
+async function refreshCareTypesFromDatabase() {
+  const databaseCatalog = await loadCareTypesFromDatabase()
+  setCareTypeCatalog(databaseCatalog || loadCareTypesFromFile())
+  return getCareTypeCatalog()
+}
+
+module.exports = {
+  buildCareTypeCatalog,
+  loadCareTypesFromFile,
+  getCareTypeCatalog,
+  setCareTypeCatalog,
+  findCareType,
+  getCareTypeDuration,
+  getDefaultCareDuration,
+  qualifiesForCare,
+  getRequiredSkills,
+  describeSkillRequirement,
+  validateCareType,
+  refreshCareTypesFromDatabase,
+  FALLBACK_DURATION_MINUTES
+}
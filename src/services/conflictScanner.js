@@ -0,0 +1,331 @@
+/**
+ * Conflict Scanner Service
+ *
+ * Finds problems already in the data for a date range, e.g. from manual edits
+ * made before schedule writes were validated (see scheduleValidator.js):
+ * - overlaps: a professional or patient with two visits at once
+ * - outside_working_hours: visits outside the day's working hours, or on a day off
+ *   (availability exceptions, public holidays and absences included; see availability.js)
+ * - travel_gaps: back-to-back visits with less time between them than the drive
+ * - over_capacity: days booked beyond the professional's daily limit
+ * - skill_mismatches: visits whose professional lacks the skills for the care needs
+ *
+ * Visits with a supervisor's skill override are not reported as mismatches.
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  travelBetween,
+  patientLocation,
+  resolveDailyCapacity,
+  checkSkillRequirement,
+  getWeekday,
+  timeToMinutes
+} = require('./timeSlotOptimizer')
+const { getNeededCareTypes } = require('./careNeeds')
+const { conflictEntry, isActiveVisit } = require('./scheduleValidator')
+const { resolveDayAvailability, loadAvailabilityExceptions } = require('./availability')
+const { loadAbsences, coversDate } = require('./absences')
+const { addDays } = require('./timeUtils')
+
+const CONFLICT_CATEGORIES = ['overlaps', 'outside_working_hours', 'travel_gaps', 'over_capacity', 'skill_mismatches']
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Longest range one report scans, as every visit in it is loaded at once
+const MAX_SCAN_DAYS = 92
+
+function groupBy(rows, keyOf) {
+  const groups = new Map()
+  for (const row of rows) {
+    const key = keyOf(row)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+  return groups
+}
+
+function byStartTime(a, b) {
+  return timeToMinutes(a.start_time) - timeToMinutes(b.start_time)
+}
+
+function overlaps(a, b) {
+  return timeToMinutes(a.start_time) < timeToMinutes(b.end_time) &&
+    timeToMinutes(b.start_time) < timeToMinutes(a.end_time)
+}
+
+// The two halves of a joint visit share the patient's time on purpose
+function isJointVisitPair(a, b) {
+  return String(a.partner_professional_id) === String(b.professional_id) ||
+    String(b.partner_professional_id) === String(a.professional_id)
+}
+
+// Every pair of overlapping visits in a list sorted by start time
+function overlappingPairs(visits) {
+  const pairs = []
+  for (let i = 0; i < visits.length; i++) {
+    for (let j = i + 1; j < visits.length && timeToMinutes(visits[j].start_time) < timeToMinutes(visits[i].end_time); j++) {
+      if (overlaps(visits[i], visits[j])) pairs.push([visits[i], visits[j]])
+    }
+  }
+  return pairs
+}
+
+function scanProfessionalDay(visits, { date, professionalId, workingHours, offReason, capacity, patientCount }, report) {
+  for (const [a, b] of overlappingPairs(visits)) {
+    report.overlaps.push({
+      type: 'professional_overlap',
+      date,
+      professional_id: professionalId,
+      message: `Professional has overlapping visits ${a.start_time}-${a.end_time} and ${b.start_time}-${b.end_time}`,
+      schedules: [conflictEntry(a), conflictEntry(b)]
+    })
+  }
+
+  for (const visit of visits) {
+    if (!workingHours) {
+      report.outside_working_hours.push({
+        type: 'no_working_hours',
+        date,
+        professional_id: professionalId,
+        message: offReason || 'Professional has no working hours on this weekday',
+        schedule: conflictEntry(visit)
+      })
+    } else if (timeToMinutes(visit.start_time) < timeToMinutes(workingHours.start_time) ||
+        timeToMinutes(visit.end_time) > timeToMinutes(workingHours.end_time)) {
+      report.outside_working_hours.push({
+        type: 'outside_working_hours',
+        date,
+        professional_id: professionalId,
+        message: `Visit ${visit.start_time}-${visit.end_time} is outside working hours ` +
+          `${workingHours.start_time}-${workingHours.end_time}`,
+        schedule: conflictEntry(visit)
+      })
+    }
+  }
+
+  // Travel only matters between visits that follow each other without overlapping
+  for (let i = 1; i < visits.length; i++) {
+    const before = visits[i - 1]
+    const after = visits[i]
+    const gap = timeToMinutes(after.start_time) - timeToMinutes(before.end_time)
+    if (gap < 0) continue
+
+    const travel = travelBetween(
+      patientLocation(before.patients),
+      patientLocation(after.patients),
+      { date, minutes: timeToMinutes(before.end_time) }
+    )
+    if (gap < travel) {
+      report.travel_gaps.push({
+        date,
+        professional_id: professionalId,
+        message: `Only ${gap} min between ${before.start_time}-${before.end_time} and ` +
+          `${after.start_time}-${after.end_time}, travel takes about ${travel} min`,
+        gap_minutes: gap,
+        travel_minutes: travel,
+        schedules: [conflictEntry(before), conflictEntry(after)]
+      })
+    }
+  }
+
+  const careMinutes = visits.reduce((sum, v) => sum + timeToMinutes(v.end_time) - timeToMinutes(v.start_time), 0)
+  const overPatients = patientCount > capacity.maxPatients
+  const overMinutes = capacity.maxCareMinutes !== null && careMinutes > capacity.maxCareMinutes
+  if (overPatients || overMinutes) {
+    const parts = []
+    if (overPatients) parts.push(`${patientCount}/${capacity.maxPatients} patients`)
+    if (overMinutes) parts.push(`${careMinutes}/${capacity.maxCareMinutes} care minutes`)
+    report.over_capacity.push({
+      date,
+      professional_id: professionalId,
+      message: `Professional is booked beyond capacity: ${parts.join(', ')}`,
+      patient_count: patientCount,
+      max_patients: capacity.maxPatients,
+      care_minutes: careMinutes,
+      max_care_minutes: capacity.maxCareMinutes
+    })
+  }
+}
+
+function skillMismatchEntry(row, { source, date, specializations }) {
+  if (row.skill_override_justification) return null
+
+  const mismatch = checkSkillRequirement(getNeededCareTypes(row.patients, date), specializations, row.professional_id)
+  if (!mismatch) return null
+
+  return {
+    source,
+    id: row.id,
+    date,
+    patient_id: row.patient_id,
+    professional_id: row.professional_id,
+    message: mismatch.error,
+    care_needed: mismatch.care_needed,
+    missing_skills: mismatch.missing_skills,
+    ...(mismatch.unmet_needs && { unmet_needs: mismatch.unmet_needs })
+  }
+}
+
+/**
+ * Categorised conflict report for the given rows; pure so it can be unit tested.
+ * schedules and assignments carry their patient (location and care needs) as `patients`,
+ * workingHours are working_hours rows for any weekday, exceptions and absences the
+ * availability_exceptions and absences in the range, professionals carry
+ * professional_specializations.
+ */
+function scanConflicts({ schedules = [], assignments = [], workingHours = [], exceptions = [], absences = [], professionals = [] }) {
+  const report = Object.fromEntries(CONFLICT_CATEGORIES.map(category => [category, []]))
+  const professionalsById = new Map(professionals.map(p => [String(p.id), p]))
+  const hoursByDay = new Map(workingHours.map(h => [`${h.professional_id}:${h.weekday}`, h]))
+  const specializationsOf = id => professionalsById.get(String(id))?.professional_specializations || []
+
+  const visits = schedules.filter(isActiveVisit)
+  const activeAssignments = assignments.filter(a => a.status === 'active' && a.scheduled_visit_date)
+  const patientCounts = groupBy(activeAssignments, a => `${a.professional_id}:${a.scheduled_visit_date}`)
+
+  const visitsByDay = groupBy(visits, v => `${v.professional_id}:${v.date}`)
+
+  // Assigned days without schedule entries still count towards capacity
+  const professionalDays = new Map([
+    ...activeAssignments.map(a => [`${a.professional_id}:${a.scheduled_visit_date}`, { professionalId: a.professional_id, date: a.scheduled_visit_date }]),
+    ...visits.map(v => [`${v.professional_id}:${v.date}`, { professionalId: v.professional_id, date: v.date }])
+  ])
+
+  for (const [key, { professionalId, date }] of professionalDays) {
+    const { hours, reason } = resolveDayAvailability(date, {
+      template: hoursByDay.get(`${professionalId}:${getWeekday(date)}`) || null,
+      exceptions: exceptions.filter(e => String(e.professional_id) === String(professionalId)),
+      absence: absences.find(a => String(a.professional_id) === String(professionalId) && coversDate(a, date)) || null
+    })
+
+    scanProfessionalDay((visitsByDay.get(key) || []).sort(byStartTime), {
+      date,
+      professionalId,
+      workingHours: hours,
+      offReason: reason,
+      capacity: resolveDailyCapacity(professionalsById.get(String(professionalId)), hours),
+      patientCount: patientCounts.get(key)?.length || 0
+    }, report)
+  }
+
+  // Visits of the same professional were already reported above
+  for (const dayVisits of groupBy(visits, v => `${v.patient_id}:${v.date}`).values()) {
+    for (const [a, b] of overlappingPairs(dayVisits.sort(byStartTime))) {
+      if (String(a.professional_id) === String(b.professional_id) || isJointVisitPair(a, b)) continue
+      report.overlaps.push({
+        type: 'patient_overlap',
+        date: a.date,
+        patient_id: a.patient_id,
+        message: `Patient has overlapping visits ${a.start_time}-${a.end_time} and ${b.start_time}-${b.end_time}`,
+        schedules: [conflictEntry(a), conflictEntry(b)]
+      })
+    }
+  }
+
+  // A joint visit only needs the pair together to cover the care needs
+  const teamSpecializations = row => [
+    ...specializationsOf(row.professional_id),
+    ...(row.partner_professional_id ? specializationsOf(row.partner_professional_id) : [])
+  ]
+
+  const assignedVisits = new Set()
+  for (const assignment of activeAssignments) {
+    const date = assignment.scheduled_visit_date
+    assignedVisits.add(`${assignment.patient_id}:${assignment.professional_id}:${date}`)
+    const entry = skillMismatchEntry(assignment, { source: 'assignment', date, specializations: teamSpecializations(assignment) })
+    if (entry) report.skill_mismatches.push(entry)
+  }
+
+  // Schedule entries without an assignment (e.g. created by hand) are checked on their own
+  for (const visit of visits) {
+    if (assignedVisits.has(`${visit.patient_id}:${visit.professional_id}:${visit.date}`)) continue
+    const entry = skillMismatchEntry(visit, { source: 'schedule', date: visit.date, specializations: teamSpecializations(visit) })
+    if (entry) report.skill_mismatches.push(entry)
+  }
+
+  for (const category of CONFLICT_CATEGORIES) {
+    report[category].sort((a, b) => a.date.localeCompare(b.date))
+  }
+
+  return {
+    summary: {
+      total: CONFLICT_CATEGORIES.reduce((sum, category) => sum + report[category].length, 0),
+      ...Object.fromEntries(CONFLICT_CATEGORIES.map(category => [category, report[category].length]))
+    },
+    ...report
+  }
+}
+
+/**
+ * Check the dates of a scan request.
+ * Returns an error message, or null when the range can be scanned
+ */
+function validateScanRange(startDate, endDate) {
+  if (!startDate || !endDate) return 'start_date and end_date are required'
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) return 'start_date and end_date must be dates (YYYY-MM-DD)'
+  if (endDate < startDate) return 'end_date must not be before start_date'
+  if (endDate > addDays(startDate, MAX_SCAN_DAYS - 1)) return `A conflict report covers at most ${MAX_SCAN_DAYS} days`
+  return null
+}
+
+/**
+ * Load schedules, active assignments, availability exceptions and absences
+ * between two dates and scan them
+ */
+async function scanConflictsForRange(startDate, endDate) {
+  const patientColumns = 'patients (id, name, area, latitude, longitude, care_needed, care_needs, estimated_care_duration)'
+
+  const { data: schedules, error: scheduleError } = await supabase
+    .from('schedules')
+    .select(`*, ${patientColumns}`)
+    .gte('date', startDate)
+    .lte('date', endDate)
+
+  if (scheduleError) throw scheduleError
+
+  const { data: assignments, error: assignError } = await supabase
+    .from('patient_assignments')
+    .select(`*, ${patientColumns}`)
+    .eq('status', 'active')
+    .gte('scheduled_visit_date', startDate)
+    .lte('scheduled_visit_date', endDate)
+
+  if (assignError) throw assignError
+
+  const { data: workingHours, error: whError } = await supabase
+    .from('working_hours')
+    .select('professional_id, weekday, start_time, end_time, max_patients, max_care_minutes')
+
+  if (whError) throw whError
+
+  const exceptions = await loadAvailabilityExceptions(startDate, endDate)
+  const absences = await loadAbsences(startDate, endDate)
+
+  const { data: professionals, error: profError } = await supabase
+    .from('professionals')
+    .select('*, professional_specializations (specialization, years_experience, certification_level)')
+
+  if (profError) throw profError
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    ...scanConflicts({
+      schedules: schedules || [],
+      assignments: assignments || [],
+      workingHours: workingHours || [],
+      exceptions,
+      absences,
+      professionals: professionals || []
+    })
+  }
+}
+
+module.exports = {
+  scanConflicts,
+  scanConflictsForRange,
+  validateScanRange,
+  CONFLICT_CATEGORIES,
+  MAX_SCAN_DAYS
+}
@@ -0,0 +1,100 @@
+/**
+ * Continuity of Care Service
+ *
+ * Patients and families prefer seeing the same nurse. A patient's care history is
+ * their last N active or completed assignments (reassigned and cancelled ones were
+ * never visited by that professional); a professional's continuity score is their
+ * share of those visits.
+ *
+ * CONTINUITY_WEIGHT sets the factor's weight in recommendations (default 15, 0 disables).
+ */
+
+const { supabase } = require('../config/supabase')
+
+const DEFAULT_CONTINUITY_WEIGHT = 15
+
+// How many of the patient's most recent visits count towards continuity
+const DEFAULT_HISTORY_VISITS = 10
+
+const HISTORY_STATUSES = ['active', 'completed']
+
+function getContinuityWeight() {
+  const weight = parseInt(process.env.CONTINUITY_WEIGHT, 10)
+  return Number.isNaN(weight) || weight < 0 ? DEFAULT_CONTINUITY_WEIGHT : weight
+}
+
+/**
+ * Load the last `lastVisits` visits per patient, newest first: Map(patientId => [{ professional_id, date }])
+ * Visits on or after `before` are ignored when given.
+ */
+async function loadCareHistory(patientIds = null, { lastVisits = DEFAULT_HISTORY_VISITS, before = null } = {}) {
+  let query = supabase
+    .from('patient_assignments')
+    .select('patient_id, professional_id, scheduled_visit_date, status')
+    .in('status', HISTORY_STATUSES)
+
+  if (patientIds) query = query.in('patient_id', patientIds)
+  if (before) query = query.lt('scheduled_visit_date', before)
+
+  const { data, error } = await query.order('scheduled_visit_date', { ascending: false })
+  if (error) throw error
+
+  const history = new Map()
+  for (const row of data || []) {
+    const visits = history.get(row.patient_id) || []
+    if (visits.length < lastVisits) {
+      visits.push({ professional_id: row.professional_id, date: row.scheduled_visit_date })
+    }
+    history.set(row.patient_id, visits)
+  }
+  return history
+}
+
+/**
+ * Continuity factor for one professional: share of the patient's recent visits they made
+ */
+function scoreContinuity(visits = [], professionalId) {
+  if (visits.length === 0) {
+    return { score: 0, explanation: 'No previous visits for this patient' }
+  }
+
+  const own = visits.filter(v => v.professional_id === professionalId).length
+  if (own === 0) {
+    return { score: 0, explanation: `Has not visited this patient in the last ${visits.length} visit(s)` }
+  }
+
+  return {
+    score: own / visits.length,
+    explanation: `Made ${own} of the patient's last ${visits.length} visit(s)`
+  }
+}
+
+/**
+ * Continuity summary for one patient's history
+ */
+function summarizeContinuity(visits = []) {
+  const counts = new Map()
+  for (const visit of visits) {
+    counts.set(visit.professional_id, (counts.get(visit.professional_id) || 0) + 1)
+  }
+
+  const carers = [...counts.entries()]
+    .map(([professionalId, count]) => ({ professional_id: professionalId, visits: count }))
+    .sort((a, b) => b.visits - a.visits)
+
+  return {
+    visits: visits.length,
+    distinctCarers: carers.length,
+    mainCarerShare: visits.length > 0 ? Math.round((carers[0].visits / visits.length) * 100) / 100 : null,
+    lastCarer: visits.length > 0 ? visits[0].professional_id : null,
+    carers
+  }
+}
+
+module.exports = {
+  loadCareHistory,
+  scoreContinuity,
+  summarizeContinuity,
+  getContinuityWeight,
+  DEFAULT_HISTORY_VISITS
+}
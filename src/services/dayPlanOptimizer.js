@@ -0,0 +1,372 @@
+/**
+ * Day Plan Optimizer Service
+ * Assigns and sequences all unassigned patients for one day in a single pass
+ *
+ * Uses regret insertion: on every round each patient's cheapest feasible
+ * insertion is compared with its second cheapest, and the patient that would
+ * lose the most by waiting is placed first. This keeps hard-to-place patients
+ * from being crowded out by easy ones, unlike one-by-one greedy assignment.
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  findFeasibleSlots,
+  travelBetween,
+  patientLocation,
+  pointLocation,
+  resolveDailyCapacity,
+  checkCapacity,
+  timeToMinutes,
+  minutesToTime,
+  revertAssignment
+} = require('./timeSlotOptimizer')
+const { getDefaultCareDuration } = require('./careTypes')
+const { getNeededCareTypes, getVisitDuration, coversCareNeeds, describeCareNeeds } = require('./careNeeds')
+const { primeTravelTimes } = require('./travelTime')
+const { resolveProfessionalLocations } = require('./professionalLocations')
+const { getVisitWindow, applyVisitWindow, checkVisitWindow } = require('./visitWindows')
+const { loadCareHistory, scoreContinuity, getContinuityWeight } = require('./continuity')
+const { getDayAvailabilityForAll } = require('./availability')
+
+// Extra cost (in travel minutes) for placing a patient outside the professional's service areas
+const OUT_OF_AREA_PENALTY = 10
+
+// Extra cost per minute a visit starts outside a soft visit window
+const SOFT_WINDOW_PENALTY_PER_MINUTE = 1
+
+// Cost of inserting a patient into a professional's day at the cheapest feasible start
+function evaluateInsertion(patient, state) {
+  // One professional must cover every care need due that day
+  if (!coversCareNeeds(getNeededCareTypes(patient, state.date), state.specializations)) return { reason: 'skill' }
+  if (state.dayStart === null) return { reason: 'off' }
+
+  const duration = getVisitDuration(patient, state.date)
+  const plannedMinutes = state.planned.reduce((sum, v) => sum + (v.end - v.start), 0)
+  const capacityReason = checkCapacity(
+    state.capacity,
+    state.patientCount + state.planned.length,
+    state.careMinutes + plannedMinutes,
+    duration
+  )
+  if (capacityReason) return { reason: 'capacity' }
+
+  const location = patientLocation(patient)
+  const timeline = [...state.visits, ...state.planned]
+  const slots = findFeasibleSlots({
+    dayStart: state.dayStart,
+    dayEnd: state.dayEnd,
+    visits: timeline,
+    duration,
+    location,
+    date: state.date,
+    origin: state.origin,
+    destination: state.destination
+  })
+  if (slots.length === 0) return { reason: 'slot' }
+
+  // Hard windows drop slots outside the window; soft ones make them cost more
+  const visitWindow = getVisitWindow(patient)
+  const { slots: allowed } = applyVisitWindow(visitWindow, state.date, slots)
+  if (allowed.length === 0) return { reason: 'window' }
+
+  let best = null
+  for (const start of allowed) {
+    const end = start + duration
+    const previous = timeline.filter(v => v.end <= start).sort((a, b) => a.end - b.end).pop()
+    const next = timeline.filter(v => v.start >= end).sort((a, b) => a.start - b.start)[0]
+    const previousLocation = previous ? previous.location : state.base
+    const departure = minutes => (state.date ? { date: state.date, minutes } : null)
+    const leaveAt = previous ? previous.end : start
+
+    let cost = travelBetween(previousLocation, location, departure(leaveAt))
+    if (next) {
+      cost += travelBetween(location, next.location, departure(end)) -
+        travelBetween(previousLocation, next.location, departure(leaveAt))
+    } else if (state.destination) {
+      cost += travelBetween(location, state.destination, departure(end)) -
+        travelBetween(previousLocation, state.destination, departure(leaveAt))
+    }
+
+    const violations = checkVisitWindow(visitWindow, state.date, start)
+    const travel = cost
+    cost += violations.reduce((sum, v) => sum + (v.minutes || 0), 0) * SOFT_WINDOW_PENALTY_PER_MINUTE
+
+    if (!best || cost < best.cost) best = { start, end, cost, travel, violations }
+  }
+
+  if (!state.serviceAreas.includes(patient.area)) best.cost += OUT_OF_AREA_PENALTY
+
+  // Continuity of care: the patient's regular carers get up to CONTINUITY_WEIGHT minutes off
+  if (patient.history) best.cost -= scoreContinuity(patient.history, state.id).score * getContinuityWeight()
+
+  return { option: { state, duration, location, ...best } }
+}
+
+// Explain why a patient could not be placed anywhere
+function describeUnassignable(patient, reasons, date = null) {
+  const duration = getVisitDuration(patient, date)
+  const qualified = reasons.filter(r => r !== 'skill')
+
+  if (qualified.length === 0) {
+    const careTypes = getNeededCareTypes(patient, date)
+    const pairHint = careTypes.length > 1 ? ' (a joint visit by two professionals can be assigned with smart assign)' : ''
+    return `No professional has the required skills for ${describeCareNeeds(careTypes) || 'this care'}${pairHint}`
+  }
+
+  const counts = qualified.reduce((acc, r) => ({ ...acc, [r]: (acc[r] || 0) + 1 }), {})
+  const parts = []
+  if (counts.off) parts.push(`${counts.off} not working this day`)
+  if (counts.capacity) parts.push(`${counts.capacity} at capacity`)
+  if (counts.slot) parts.push(`${counts.slot} without a free ${duration} min slot including travel`)
+  if (counts.window) parts.push(`${counts.window} without a free slot in the patient's visit window`)
+
+  return `Qualified professionals: ${parts.join(', ')}`
+}
+
+// Solve the assignment and sequencing problem for one day; pure so it can be unit tested
+function planDay(patients, professionals) {
+  const states = professionals.map(p => ({ ...p, planned: [] }))
+  const remaining = [...patients]
+  const unassignable = []
+
+  while (remaining.length > 0) {
+    let chosen = null
+
+    for (const patient of remaining) {
+      const evaluations = states.map(state => evaluateInsertion(patient, state))
+      const options = evaluations.filter(e => e.option).map(e => e.option).sort((a, b) => a.cost - b.cost)
+
+      if (options.length === 0) {
+        chosen = { patient, reasons: evaluations.map(e => e.reason) }
+        break
+      }
+
+      const regret = options.length > 1 ? options[1].cost - options[0].cost : Infinity
+      if (!chosen || regret > chosen.regret || (regret === chosen.regret && options[0].cost < chosen.option.cost)) {
+        chosen = { patient, option: options[0], regret }
+      }
+    }
+
+    remaining.splice(remaining.indexOf(chosen.patient), 1)
+
+    if (!chosen.option) {
+      unassignable.push({
+        patient_id: chosen.patient.id,
+        name: chosen.patient.name,
+        care_needed: chosen.patient.care_needed,
+        reason: describeUnassignable(chosen.patient, chosen.reasons, states[0]?.date)
+      })
+      continue
+    }
+
+    const { state, start, end, duration, location, travel, violations } = chosen.option
+    state.planned.push({ start, end, duration, location, travel, violations, patient: chosen.patient })
+  }
+
+  const routes = states
+    .filter(state => state.planned.length > 0)
+    .map(state => ({
+      professional_id: state.id,
+      full_name: state.name,
+      existing_visits: state.visits.length,
+      visits: [...state.planned]
+        .sort((a, b) => a.start - b.start)
+        .map(v => ({
+          patient_id: v.patient.id,
+          patient_name: v.patient.name,
+          care_needed: v.patient.care_needed,
+          start_time: minutesToTime(v.start),
+          end_time: minutesToTime(v.end),
+          duration: v.duration,
+          added_travel_minutes: v.travel,
+          window_violations: v.violations
+        }))
+    }))
+
+  return { routes, unassignable }
+}
+
+// Load everything needed to plan a day
+async function loadDayContext(date, patientIds = null) {
+  const { data: activeAssignments, error: assignError } = await supabase
+    .from('patient_assignments')
+    .select('patient_id, professional_id, scheduled_visit_date')
+    .eq('status', 'active')
+
+  if (assignError) throw assignError
+
+  // Patients with a visit on the date, or an assignment without a visit date, are taken
+  const assignedIds = new Set((activeAssignments || [])
+    .filter(a => !a.scheduled_visit_date || a.scheduled_visit_date === date)
+    .map(a => a.patient_id))
+
+  let patientQuery = supabase.from('patients').select('*')
+  if (patientIds) patientQuery = patientQuery.in('id', patientIds)
+
+  const { data: patients, error: patientError } = await patientQuery.order('created_at', { ascending: true })
+  if (patientError) throw patientError
+
+  const { data: professionals, error: profError } = await supabase
+    .from('professionals')
+    .select(`
+      *,
+      profiles:profile_id (full_name),
+      professional_specializations (specialization, years_experience, certification_level),
+      professional_service_areas (service_area, is_primary)
+    `)
+
+  if (profError) throw profError
+
+  const { data: schedules, error: scheduleError } = await supabase
+    .from('schedules')
+    .select('id, professional_id, start_time, end_time, status, patients (area, latitude, longitude)')
+    .eq('date', date)
+
+  if (scheduleError) throw scheduleError
+
+  // Weekly hours adjusted for the date's exceptions, holidays and absences
+  const availability = await getDayAvailabilityForAll(date, (professionals || []).map(p => p.id))
+
+  const states = (professionals || []).map(professional => {
+    const hours = availability.get(professional.id).hours
+    const serviceAreas = professional.professional_service_areas || []
+    const primaryArea = serviceAreas.find(a => a.is_primary) || serviceAreas[0]
+    const dayEnds = resolveProfessionalLocations(professional)
+
+    const visits = (schedules || [])
+      .filter(v => v.professional_id === professional.id && v.status !== 'cancelled' && v.start_time)
+      .map(v => {
+        const start = timeToMinutes(v.start_time)
+        return {
+          start,
+          end: v.end_time ? timeToMinutes(v.end_time) : start + getDefaultCareDuration(),
+          location: patientLocation(v.patients)
+        }
+      })
+
+    return {
+      id: professional.id,
+      date,
+      name: professional.profiles?.full_name || null,
+      specializations: professional.professional_specializations || [],
+      serviceAreas: serviceAreas.map(a => a.service_area),
+      base: pointLocation(dayEnds.start) || (primaryArea ? { area: primaryArea.service_area } : null),
+      origin: pointLocation(dayEnds.start),
+      destination: pointLocation(dayEnds.end),
+      dayStart: hours ? timeToMinutes(hours.start_time) : null,
+      dayEnd: hours ? timeToMinutes(hours.end_time) : null,
+      capacity: resolveDailyCapacity(professional, hours),
+      patientCount: (activeAssignments || [])
+        .filter(a => a.professional_id === professional.id && a.scheduled_visit_date === date).length,
+      careMinutes: visits.reduce((sum, v) => sum + (v.end - v.start), 0),
+      visits
+    }
+  })
+
+  const unassigned = (patients || []).filter(p => !assignedIds.has(p.id))
+  const history = await loadCareHistory(unassigned.map(p => p.id), { before: date })
+
+  await primeTravelTimes([
+    ...(patients || []).map(p => patientLocation(p).coords),
+    ...states.flatMap(s => [s.origin, s.destination, ...s.visits.map(v => v.location)].map(l => l?.coords))
+  ])
+
+  return {
+    patients: unassigned.map(p => ({ ...p, history: history.get(p.id) || [] })),
+    alreadyAssigned: (patients || []).filter(p => assignedIds.has(p.id)),
+    professionals: states
+  }
+}
+
+// Persist a proposed plan as assignments and schedule entries
+async function commitDayPlan(routes, date, assignedById = null) {
+  const created = []
+  const failed = []
+
+  for (const route of routes) {
+    for (const visit of route.visits) {
+      const { data: assignment, error: assignError } = await supabase
+        .from('patient_assignments')
+        .insert([{
+          patient_id: visit.patient_id,
+          professional_id: route.professional_id,
+          assigned_by_id: assignedById,
+          assignment_reason: 'Day plan optimization',
+          scheduled_visit_date: date,
+          scheduled_visit_time: visit.start_time,
+          status: 'active',
+          assignment_date: new Date().toISOString()
+        }])
+        .select()
+        .single()
+
+      if (assignError) {
+        failed.push({ patient_id: visit.patient_id, error: assignError.message })
+        continue
+      }
+
+      const { error: scheduleError } = await supabase
+        .from('schedules')
+        .insert([{
+          patient_id: visit.patient_id,
+          professional_id: route.professional_id,
+          date,
+          start_time: visit.start_time,
+          end_time: visit.end_time,
+          status: 'scheduled'
+        }])
+
+      // Keep assignment and schedule entry together
+      if (scheduleError) {
+        const revert = await revertAssignment({ assignmentId: assignment.id })
+        failed.push({ patient_id: visit.patient_id, error: scheduleError.message, reverted: revert.success })
+        continue
+      }
+
+      created.push({ patient_id: visit.patient_id, assignment_id: assignment.id })
+    }
+  }
+
+  return { created, failed }
+}
+
+// Propose (and optionally commit) a plan for all unassigned patients on a date
+async function optimizeDayPlan(date, { patientIds = null, commit = false, assignedById = null } = {}) {
+  const context = await loadDayContext(date, patientIds)
+  const { routes, unassignable } = planDay(context.patients, context.professionals)
+
+  const skipped = context.alreadyAssigned.map(p => ({
+    patient_id: p.id,
+    name: p.name,
+    reason: 'Already has an active assignment'
+  }))
+
+  const plannedCount = routes.reduce((sum, r) => sum + r.visits.length, 0)
+
+  const result = {
+    date,
+    committed: false,
+    summary: {
+      patients: context.patients.length,
+      planned: plannedCount,
+      unassignable: unassignable.length,
+      professionalsUsed: routes.length
+    },
+    routes,
+    unassignable,
+    skipped
+  }
+
+  if (commit) {
+    result.commit = await commitDayPlan(routes, date, assignedById)
+    result.committed = true
+  }
+
+  return result
+}
+
+module.exports = {
+  optimizeDayPlan,
+  planDay,
+  OUT_OF_AREA_PENALTY
+}
@@ -2,13 +2,17 @@
  * Geo Location Service for Home Hospital Scheduling Backend
  * 
  * Provides:
- * - Geocoding addresses to lat/lng coordinates (using OpenStreetMap Nominatim)
  * - Distance calculation between coordinates (Haversine formula)
- * - Travel time estimation based on distance
+ * - Travel time from a routing service (travelTime.js) with a distance-based estimate as fallback
+ * - Zone detection from coordinates (zones come from zoneModel.js)
  * - Route optimization for patient visits
  */
 
-// Oulu, Finland bounding box for geocoding
+const { getZoneModel, getZoneTravelTime } = require('./zoneModel')
+const { getCachedTravelLeg } = require('./travelTime')
+const { getTravelSpeed, getSlowdownFactor } = require('./speedProfiles')
+
+// Oulu, Finland bounding box for geocoding (see geocoder.js)
 const OULU_BOUNDS = {
   minLat: 64.85,
   maxLat: 65.15,
@@ -22,57 +26,11 @@ const OULU_CENTER = {
   lng: 25.4651
 }
 
-// Average driving speed in km/h for travel time calculation
-const AVERAGE_SPEED_KMH = 30
-
 // Minimum time between visits in minutes
 const MIN_BUFFER_MINUTES = 5
 
-/**
- * Geocode an address to latitude/longitude using OpenStreetMap Nominatim API
- */
-async function geocodeAddress(address) {
-  try {
-    const searchAddress = address.includes('Oulu') ? address : `${address}, Oulu, Finland`
-    
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?` +
-      `format=json&` +
-      `q=${encodeURIComponent(searchAddress)}&` +
-      `bounded=1&` +
-      `viewbox=${OULU_BOUNDS.minLng},${OULU_BOUNDS.minLat},${OULU_BOUNDS.maxLng},${OULU_BOUNDS.maxLat}&` +
-      `limit=1`,
-      {
-        headers: {
-          'User-Agent': 'HomeHospitalSchedulingSystem/1.0'
-        }
-      }
-    )
-
-    if (!response.ok) {
-      console.error('Geocoding API error:', response.status)
-      return null
-    }
-
-    const data = await response.json()
-    
-    if (data && data.length > 0) {
-      const result = data[0]
-      const lat = parseFloat(result.lat)
-      const lng = parseFloat(result.lon)
-      
-      if (lat >= OULU_BOUNDS.minLat && lat <= OULU_BOUNDS.maxLat &&
-          lng >= OULU_BOUNDS.minLng && lng <= OULU_BOUNDS.maxLng) {
-        return { lat, lng, displayName: result.display_name }
-      }
-    }
-
-    return null
-  } catch (error) {
-    console.error('Geocoding error:', error)
-    return null
-  }
-}
+// Furthest a point may be from a zone centroid to be assigned to that zone
+const MAX_ZONE_DETECTION_KM = 5
 
 /**
  * Calculate distance between two coordinates using Haversine formula
@@ -98,43 +56,95 @@ function toRadians(degrees) {
 }
 
 /**
- * Calculate estimated travel time between two points
+ * Calculate estimated travel time between two points, at the speed for the
+ * departure ({ date, minutes }) when given (see speedProfiles.js)
  */
-function calculateTravelTime(lat1, lng1, lat2, lng2) {
+function calculateTravelTime(lat1, lng1, lat2, lng2, departure = null) {
   const distanceKm = calculateDistance(lat1, lng1, lat2, lng2)
-  const travelMinutes = (distanceKm * 1.3 / AVERAGE_SPEED_KMH) * 60
+  const travelMinutes = (distanceKm * 1.3 / getTravelSpeed(departure).speedKmh) * 60
   return Math.ceil(travelMinutes + MIN_BUFFER_MINUTES)
 }
 
 /**
- * Zone-based travel time (fallback)
+ * Zone-based travel time (fallback), from the shared zone model
  */
-const ZONE_TRAVEL_TIME = {
-  'Keskusta (City Center)': { 'Keskusta (City Center)': 5, 'Raksila': 10, 'Tuira': 12, 'Meri-Oulu': 15, 'Pateniemi': 20, 'Pohjois-Oulu': 15, 'Kontinkangas': 12, 'Kaakkuri': 10, 'Myllyoja': 8 },
-  'Raksila': { 'Keskusta (City Center)': 10, 'Raksila': 5, 'Tuira': 8, 'Meri-Oulu': 12, 'Pateniemi': 18, 'Pohjois-Oulu': 12, 'Kontinkangas': 10, 'Kaakkuri': 12, 'Myllyoja': 8 },
-  'Tuira': { 'Keskusta (City Center)': 12, 'Raksila': 8, 'Tuira': 5, 'Meri-Oulu': 10, 'Pateniemi': 15, 'Pohjois-Oulu': 10, 'Kontinkangas': 12, 'Kaakkuri': 15, 'Myllyoja': 12 },
-  'Meri-Oulu': { 'Keskusta (City Center)': 15, 'Raksila': 12, 'Tuira': 10, 'Meri-Oulu': 5, 'Pateniemi': 8, 'Pohjois-Oulu': 12, 'Kontinkangas': 18, 'Kaakkuri': 20, 'Myllyoja': 18 },
-  'Pateniemi': { 'Keskusta (City Center)': 20, 'Raksila': 18, 'Tuira': 15, 'Meri-Oulu': 8, 'Pateniemi': 5, 'Pohjois-Oulu': 15, 'Kontinkangas': 22, 'Kaakkuri': 25, 'Myllyoja': 22 },
-  'Pohjois-Oulu': { 'Keskusta (City Center)': 15, 'Raksila': 12, 'Tuira': 10, 'Meri-Oulu': 12, 'Pateniemi': 15, 'Pohjois-Oulu': 5, 'Kontinkangas': 10, 'Kaakkuri': 12, 'Myllyoja': 12 },
-  'Kontinkangas': { 'Keskusta (City Center)': 12, 'Raksila': 10, 'Tuira': 12, 'Meri-Oulu': 18, 'Pateniemi': 22, 'Pohjois-Oulu': 10, 'Kontinkangas': 5, 'Kaakkuri': 8, 'Myllyoja': 10 },
-  'Kaakkuri': { 'Keskusta (City Center)': 10, 'Raksila': 12, 'Tuira': 15, 'Meri-Oulu': 20, 'Pateniemi': 25, 'Pohjois-Oulu': 12, 'Kontinkangas': 8, 'Kaakkuri': 5, 'Myllyoja': 12 },
-  'Myllyoja': { 'Keskusta (City Center)': 8, 'Raksila': 8, 'Tuira': 12, 'Meri-Oulu': 18, 'Pateniemi': 22, 'Pohjois-Oulu': 12, 'Kontinkangas': 10, 'Kaakkuri': 12, 'Myllyoja': 5 }
+function getZoneBasedTravelTime(fromArea, toArea) {
+  return getZoneTravelTime(fromArea, toArea)
 }
 
-function getZoneBasedTravelTime(fromArea, toArea) {
-  if (!fromArea || !toArea) return 15
-  const fromZone = ZONE_TRAVEL_TIME[fromArea]
-  return fromZone ? (fromZone[toArea] || 15) : 15
+/**
+ * Check whether a point lies inside a GeoJSON Polygon (outer ring, ray casting)
+ */
+function isPointInPolygon(lat, lng, polygon) {
+  const ring = polygon?.coordinates?.[0]
+  if (!ring || ring.length < 3) return false
+
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i]
+    const [lngJ, latJ] = ring[j]
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI
+    if (crosses) inside = !inside
+  }
+  return inside
+}
+
+/**
+ * Detect the zone for coordinates: a containing polygon wins, else the nearest centroid in range
+ */
+function detectZone(lat, lng) {
+  if (!lat || !lng) return null
+  const { zones } = getZoneModel()
+
+  const containing = zones.find(z => z.polygon && isPointInPolygon(lat, lng, z.polygon))
+  if (containing) return containing.name
+
+  let nearest = null
+  for (const zone of zones) {
+    if (!zone.centroid) continue
+    const distance = calculateDistance(lat, lng, zone.centroid.lat, zone.centroid.lng)
+    if (distance <= MAX_ZONE_DETECTION_KM && (!nearest || distance < nearest.distance)) {
+      nearest = { name: zone.name, distance }
+    }
+  }
+  return nearest ? nearest.name : null
 }
 
 /**
- * Get travel time between two locations
+ * Get travel time between two locations: routed time if primed, else the estimate, else zones.
+ * Routed and zone times are for normal traffic and are scaled by the departure's speed profile.
  */
-function getTravelTimeBetweenLocations(from, to) {
+function getTravelTimeBetweenLocations(from, to, departure = null) {
   if (from.lat && from.lng && to.lat && to.lng) {
-    return calculateTravelTime(from.lat, from.lng, to.lat, to.lng)
+    const routed = getCachedTravelLeg(from, to)
+    if (routed) return Math.ceil(routed.minutes * getSlowdownFactor(departure) + MIN_BUFFER_MINUTES)
+    return calculateTravelTime(from.lat, from.lng, to.lat, to.lng, departure)
   }
-  return getZoneBasedTravelTime(from.area, to.area)
+  const zoneMinutes = getZoneBasedTravelTime(
+    from.area || detectZone(from.lat, from.lng),
+    to.area || detectZone(to.lat, to.lng)
+  )
+  return Math.ceil(zoneMinutes * getSlowdownFactor(departure))
+}
+
+/**
+ * Road distance in km between two coordinates: routed if primed, else Haversine
+ */
+function getDistanceBetweenLocations(from, to) {
+  if (!from.lat || !from.lng || !to.lat || !to.lng) return null
+  const routed = getCachedTravelLeg(from, to)
+  if (routed && routed.km !== null && routed.km !== undefined) return routed.km
+  return calculateDistance(from.lat, from.lng, to.lat, to.lng)
+}
+
+/**
+ * N x N travel minutes between locations (0 on the diagonal)
+ */
+function buildTravelTimeMatrix(locations, departure = null) {
+  return locations.map((from, i) =>
+    locations.map((to, j) => (i === j ? 0 : getTravelTimeBetweenLocations(from, to, departure)))
+  )
 }
 
 /**
@@ -185,11 +195,14 @@ function optimizeRouteByDistance(patients, startLocation) {
 }
 
 module.exports = {
-  geocodeAddress,
   calculateDistance,
   calculateTravelTime,
   getTravelTimeBetweenLocations,
+  getDistanceBetweenLocations,
+  buildTravelTimeMatrix,
   getZoneBasedTravelTime,
+  isPointInPolygon,
+  detectZone,
   optimizeRouteByDistance,
   OULU_CENTER,
   OULU_BOUNDS
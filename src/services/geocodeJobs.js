@@ -0,0 +1,157 @@
+/**
+ * Geocode Jobs Service
+ * Re-geocodes patients with missing or stale coordinates in a background batch
+ *
+ * Jobs run inside the API process and are kept in memory; the provider throttle
+ * in geocoder.js keeps the batch within the provider's usage policy.
+ */
+
+const crypto = require('crypto')
+const { supabase } = require('../config/supabase')
+const { geocodePatientFields, hashAddress, GEOCODE_STATUS } = require('./geocoder')
+
+// Finished jobs kept for reporting
+const MAX_STORED_JOBS = 20
+
+const jobs = new Map()
+
+// A patient needs geocoding when it has an address but no coordinates, or the address changed since
+function needsGeocoding(patient) {
+  if (!patient.address || !patient.address.trim()) return false
+  if (patient.latitude === null || patient.latitude === undefined) return true
+  if (patient.longitude === null || patient.longitude === undefined) return true
+  if (!patient.address_hash) return true
+  return patient.address_hash !== hashAddress(patient.address)
+}
+
+// Public view of a job
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    requestedBy: job.requestedBy,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    total: job.total,
+    processed: job.processed,
+    succeeded: job.succeeded,
+    ambiguous: job.ambiguous,
+    failed: job.failed
+  }
+}
+
+// Save geocode fields for a patient
+async function savePatientGeocode(patientId, fields) {
+  const { error } = await supabase
+    .from('patients')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', patientId)
+
+  if (error) throw error
+}
+
+// Process patients one by one, recording each outcome on the job
+async function runGeocodeJob(job, patients, { geocode = geocodePatientFields, save = savePatientGeocode } = {}) {
+  for (const patient of patients) {
+    const entry = { patient_id: patient.id, name: patient.name, address: patient.address }
+
+    try {
+      const fields = await geocode(patient.address, { previousHash: patient.address_hash })
+
+      // A provider error says nothing about the address: coordinates that still belong
+      // to it stay, and only the cleared coordinates of an old address are saved
+      if (fields.geocode_status === GEOCODE_STATUS.FAILED) {
+        if (fields.latitude !== undefined) await save(patient.id, fields)
+        job.failed.push({ ...entry, reason: 'Geocoding provider error' })
+        job.processed++
+        continue
+      }
+
+      await save(patient.id, fields)
+
+      if (fields.geocode_status === GEOCODE_STATUS.OK) {
+        job.succeeded.push({ ...entry, latitude: fields.latitude, longitude: fields.longitude })
+      } else if (fields.geocode_status === GEOCODE_STATUS.AMBIGUOUS) {
+        job.ambiguous.push({ ...entry, latitude: fields.latitude, longitude: fields.longitude })
+      } else {
+        job.failed.push({ ...entry, reason: 'No match found' })
+      }
+    } catch (err) {
+      job.failed.push({ ...entry, reason: err.message })
+    }
+
+    job.processed++
+  }
+
+  job.status = 'completed'
+  job.finishedAt = new Date().toISOString()
+  return job
+}
+
+// Drop the oldest finished jobs beyond the retention limit
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(j => j.status !== 'running')
+  while (jobs.size > MAX_STORED_JOBS && finished.length > 0) {
+    jobs.delete(finished.shift().id)
+  }
+}
+
+function getRunningJob() {
+  return [...jobs.values()].find(j => j.status === 'running') || null
+}
+
+function getGeocodeJob(jobId) {
+  const job = jobs.get(jobId)
+  return job ? summarizeJob(job) : null
+}
+
+// Find patients needing geocoding and start a background job for them
+async function startGeocodeMissingJob({ requestedBy = null } = {}) {
+  const running = getRunningJob()
+  if (running) {
+    return { started: false, job: summarizeJob(running) }
+  }
+
+  // Registered before the first await so a concurrent request sees it running
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'running',
+    requestedBy,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    total: 0,
+    processed: 0,
+    succeeded: [],
+    ambiguous: [],
+    failed: []
+  }
+  jobs.set(job.id, job)
+  pruneJobs()
+
+  const { data: patients, error } = await supabase
+    .from('patients')
+    .select('id, name, address, latitude, longitude, address_hash, geocode_status')
+
+  if (error) {
+    jobs.delete(job.id)
+    throw error
+  }
+
+  const pending = (patients || []).filter(needsGeocoding)
+  job.total = pending.length
+
+  runGeocodeJob(job, pending).catch(err => {
+    console.error('Geocode job error:', err)
+    job.status = 'failed'
+    job.finishedAt = new Date().toISOString()
+  })
+
+  return { started: true, job: summarizeJob(job) }
+}
+
+module.exports = {
+  startGeocodeMissingJob,
+  getGeocodeJob,
+  runGeocodeJob,
+  needsGeocoding
+}
@@ -0,0 +1,365 @@
+/**
+ * Geocoder Service
+ *
+ * Turns patient addresses into coordinates through a configurable provider:
+ * - nominatim: public OpenStreetMap Nominatim or a self-hosted instance (GEOCODER_URL)
+ * - gazetteer: a local CSV or GeoJSON file of Oulu addresses (GEOCODER_GAZETTEER_PATH),
+ *   for offline development and tests
+ *
+ * Results are cached per normalized address (in memory and in the geocode_cache
+ * table) and provider calls are throttled to the provider's usage policy.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { supabase } = require('../config/supabase')
+const { calculateDistance, OULU_BOUNDS } = require('./geoUtils')
+
+const PUBLIC_NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+
+// Public Nominatim allows at most one request per second
+const PUBLIC_NOMINATIM_INTERVAL_MS = 1000
+
+// Candidates further apart than this make a lookup ambiguous
+const AMBIGUITY_DISTANCE_KM = 0.5
+
+// Geocode status values stored on patients
+const GEOCODE_STATUS = {
+  OK: 'ok',
+  AMBIGUOUS: 'ambiguous',
+  NOT_FOUND: 'not_found',
+  FAILED: 'failed'
+}
+
+/**
+ * Normalize an address for cache lookups: lowercase, single spaces, no trailing city/country
+ */
+function normalizeAddress(address) {
+  return (address || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,\s*/g, ', ')
+    .trim()
+    .replace(/[, ]*finland$/, '')
+    .replace(/[, ]*oulu$/, '')
+    .trim()
+}
+
+/**
+ * Stable hash of the normalized address, stored on patients to detect stale coordinates
+ */
+function hashAddress(address) {
+  return crypto.createHash('sha256').update(normalizeAddress(address)).digest('hex')
+}
+
+function isWithinOulu(lat, lng) {
+  return lat >= OULU_BOUNDS.minLat && lat <= OULU_BOUNDS.maxLat &&
+    lng >= OULU_BOUNDS.minLng && lng <= OULU_BOUNDS.maxLng
+}
+
+/**
+ * Serialize calls so that consecutive calls start at least minIntervalMs apart
+ */
+function createThrottle(minIntervalMs) {
+  let queue = Promise.resolve()
+  let lastCall = 0
+
+  return function throttle(fn) {
+    const run = queue.then(async () => {
+      const wait = lastCall + minIntervalMs - Date.now()
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait))
+      lastCall = Date.now()
+      return fn()
+    })
+    queue = run.catch(() => {})
+    return run
+  }
+}
+
+/**
+ * Nominatim provider (public or self-hosted)
+ */
+function createNominatimProvider({ baseUrl = PUBLIC_NOMINATIM_URL, userAgent = 'HomeHospitalSchedulingSystem/1.0' } = {}) {
+  return {
+    name: 'nominatim',
+    async search(address) {
+      const searchAddress = address.includes('Oulu') ? address : `${address}, Oulu, Finland`
+
+      const response = await fetch(
+        `${baseUrl.replace(/\/$/, '')}/search?` +
+        `format=json&` +
+        `q=${encodeURIComponent(searchAddress)}&` +
+        `bounded=1&` +
+        `viewbox=${OULU_BOUNDS.minLng},${OULU_BOUNDS.minLat},${OULU_BOUNDS.maxLng},${OULU_BOUNDS.maxLat}&` +
+        `limit=5`,
+        { headers: { 'User-Agent': userAgent } }
+      )
+
+      if (!response.ok) {
+        throw new Error(`Geocoding API error: ${response.status}`)
+      }
+
+      const data = await response.json()
+      return (data || []).map(r => ({
+        lat: parseFloat(r.lat),
+        lng: parseFloat(r.lon),
+        displayName: r.display_name
+      }))
+    }
+  }
+}
+
+// Parse a gazetteer CSV with a header row containing address, latitude, longitude (display_name optional)
+function parseGazetteerCsv(text) {
+  const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim())
+  const columns = header.split(',').map(c => c.trim().toLowerCase())
+  const index = name => columns.indexOf(name)
+
+  return rows.map(row => {
+    // Address may contain commas, so read coordinates from the right
+    const cells = row.split(',')
+    const tail = cells.splice(cells.length - (columns.length - 1))
+    const record = [cells.join(',').trim(), ...tail.map(c => c.trim())]
+    return {
+      address: record[index('address')],
+      lat: parseFloat(record[index('latitude')]),
+      lng: parseFloat(record[index('longitude')]),
+      displayName: index('display_name') >= 0 ? record[index('display_name')] : record[index('address')]
+    }
+  })
+}
+
+// Parse a GeoJSON FeatureCollection of Point features with an address property
+function parseGazetteerGeoJson(text) {
+  const collection = JSON.parse(text)
+  return (collection.features || [])
+    .filter(f => f.geometry && f.geometry.type === 'Point')
+    .map(f => ({
+      address: f.properties.address,
+      lat: f.geometry.coordinates[1],
+      lng: f.geometry.coordinates[0],
+      displayName: f.properties.display_name || f.properties.address
+    }))
+}
+
+/**
+ * Local gazetteer provider (CSV or GeoJSON file)
+ */
+function createGazetteerProvider({ filePath }) {
+  const text = fs.readFileSync(filePath, 'utf8')
+  const entries = path.extname(filePath).toLowerCase() === '.csv'
+    ? parseGazetteerCsv(text)
+    : parseGazetteerGeoJson(text)
+
+  const byAddress = new Map()
+  for (const entry of entries) {
+    const key = normalizeAddress(entry.address)
+    if (!byAddress.has(key)) byAddress.set(key, [])
+    byAddress.get(key).push(entry)
+  }
+
+  return {
+    name: 'gazetteer',
+    async search(address) {
+      return (byAddress.get(normalizeAddress(address)) || [])
+        .map(({ lat, lng, displayName }) => ({ lat, lng, displayName }))
+    }
+  }
+}
+
+/**
+ * Cache backed by the geocode_cache table; lookup errors are treated as misses
+ */
+function createDatabaseCache() {
+  return {
+    async get(key) {
+      const { data, error } = await supabase
+        .from('geocode_cache')
+        .select('*')
+        .eq('address_key', key)
+        .maybeSingle()
+
+      if (error || !data) return null
+      return {
+        status: data.status,
+        lat: data.latitude,
+        lng: data.longitude,
+        displayName: data.display_name,
+        provider: data.provider
+      }
+    },
+    async set(key, result) {
+      const { error } = await supabase
+        .from('geocode_cache')
+        .upsert([{
+          address_key: key,
+          status: result.status,
+          latitude: result.lat,
+          longitude: result.lng,
+          display_name: result.displayName,
+          provider: result.provider,
+          updated_at: new Date().toISOString()
+        }], { onConflict: 'address_key' })
+
+      if (error) console.error('Geocode cache write error:', error.message)
+    }
+  }
+}
+
+// Classify provider candidates into a geocode result
+function classifyCandidates(candidates, provider) {
+  const inBounds = candidates.filter(c => isWithinOulu(c.lat, c.lng))
+
+  if (inBounds.length === 0) {
+    return { status: GEOCODE_STATUS.NOT_FOUND, lat: null, lng: null, displayName: null, provider }
+  }
+
+  const [best, ...others] = inBounds
+  const distinct = others.filter(c => calculateDistance(best.lat, best.lng, c.lat, c.lng) > AMBIGUITY_DISTANCE_KM)
+
+  return {
+    status: distinct.length > 0 ? GEOCODE_STATUS.AMBIGUOUS : GEOCODE_STATUS.OK,
+    lat: best.lat,
+    lng: best.lng,
+    displayName: best.displayName,
+    provider,
+    ...(distinct.length > 0 && { candidates: inBounds })
+  }
+}
+
+/**
+ * Build a geocoder from a provider, a persistent cache and a throttle interval
+ */
+function createGeocoder({ provider, cache = null, minIntervalMs = 0 }) {
+  const memory = new Map()
+  const throttle = createThrottle(minIntervalMs)
+
+  async function geocode(address) {
+    const key = normalizeAddress(address)
+    if (!key) {
+      return { status: GEOCODE_STATUS.NOT_FOUND, lat: null, lng: null, displayName: null, provider: provider.name }
+    }
+
+    if (memory.has(key)) return { ...memory.get(key), cached: true }
+
+    if (cache) {
+      const stored = await cache.get(key)
+      if (stored) {
+        memory.set(key, stored)
+        return { ...stored, cached: true }
+      }
+    }
+
+    let result
+    try {
+      const candidates = await throttle(() => provider.search(address))
+      result = classifyCandidates(candidates, provider.name)
+    } catch (error) {
+      console.error('Geocoding error:', error.message)
+      return {
+        status: GEOCODE_STATUS.FAILED,
+        lat: null,
+        lng: null,
+        displayName: null,
+        provider: provider.name,
+        error: error.message
+      }
+    }
+
+    // Only coordinates are worth keeping; misses are retried next time
+    if (result.status !== GEOCODE_STATUS.NOT_FOUND) {
+      memory.set(key, result)
+      if (cache) await cache.set(key, result)
+    }
+
+    return { ...result, cached: false }
+  }
+
+  return { geocode, provider: provider.name }
+}
+
+// Build the provider selected by environment variables
+function createProviderFromEnv(env = process.env) {
+  if ((env.GEOCODER_PROVIDER || 'nominatim') === 'gazetteer') {
+    if (!env.GEOCODER_GAZETTEER_PATH) {
+      throw new Error('GEOCODER_GAZETTEER_PATH is required for the gazetteer provider')
+    }
+    return createGazetteerProvider({ filePath: env.GEOCODER_GAZETTEER_PATH })
+  }
+
+  return createNominatimProvider({
+    baseUrl: env.GEOCODER_URL || PUBLIC_NOMINATIM_URL,
+    userAgent: env.GEOCODER_USER_AGENT
+  })
+}
+
+// Interval between provider calls: configurable, 1/s for public Nominatim, none otherwise
+function intervalFromEnv(env = process.env) {
+  if (env.GEOCODER_MIN_INTERVAL_MS !== undefined) return parseInt(env.GEOCODER_MIN_INTERVAL_MS, 10) || 0
+  const provider = env.GEOCODER_PROVIDER || 'nominatim'
+  const usesPublic = provider === 'nominatim' && (!env.GEOCODER_URL || env.GEOCODER_URL === PUBLIC_NOMINATIM_URL)
+  return usesPublic ? PUBLIC_NOMINATIM_INTERVAL_MS : 0
+}
+
+let defaultGeocoder = null
+
+function getDefaultGeocoder() {
+  if (!defaultGeocoder) {
+    defaultGeocoder = createGeocoder({
+      provider: createProviderFromEnv(),
+      cache: createDatabaseCache(),
+      minIntervalMs: intervalFromEnv()
+    })
+  }
+  return defaultGeocoder
+}
+
+/**
+ * Geocode an address with the configured geocoder
+ */
+async function geocodeAddress(address) {
+  return getDefaultGeocoder().geocode(address)
+}
+
+/**
+ * Patient columns describing the geocode of an address.
+ * Coordinates are cleared when the address is not found, so a changed address never
+ * keeps stale ones. A provider error leaves address_hash out, so the geocode job
+ * retries the address later. The stored coordinates then stay if they belong to this
+ * address, but are cleared when previousHash (the stored address_hash) shows it changed.
+ */
+async function geocodePatientFields(address, { previousHash = null } = {}) {
+  const result = await geocodeAddress(address)
+  const hasCoords = result.status === GEOCODE_STATUS.OK || result.status === GEOCODE_STATUS.AMBIGUOUS
+
+  if (result.status === GEOCODE_STATUS.FAILED) {
+    const addressChanged = Boolean(previousHash) && previousHash !== hashAddress(address)
+    return {
+      ...(addressChanged && { latitude: null, longitude: null }),
+      geocode_status: result.status,
+      geocoded_at: new Date().toISOString()
+    }
+  }
+
+  return {
+    latitude: hasCoords ? result.lat : null,
+    longitude: hasCoords ? result.lng : null,
+    geocode_status: result.status,
+    geocoded_at: new Date().toISOString(),
+    address_hash: hashAddress(address)
+  }
+}
+
+module.exports = {
+  geocodeAddress,
+  geocodePatientFields,
+  createGeocoder,
+  createNominatimProvider,
+  createGazetteerProvider,
+  createDatabaseCache,
+  createThrottle,
+  normalizeAddress,
+  hashAddress,
+  GEOCODE_STATUS
+}
@@ -0,0 +1,90 @@
+/**
+ * Holidays Service
+ *
+ * Finnish public holidays, plus Midsummer Eve and Christmas Eve which are days
+ * off in practice. Moving holidays are computed from Easter and the fixed
+ * Midsummer and All Saints' weekends, so no yearly list has to be maintained.
+ *
+ * Professionals are off on these days unless an availability exception says
+ * otherwise (see availability.js). OBSERVE_PUBLIC_HOLIDAYS=false turns this off.
+ */
+
+const { addDays, getWeekday } = require('./timeUtils')
+
+const cache = new Map()
+
+function observesPublicHolidays() {
+  return !['false', '0', 'no'].includes(String(process.env.OBSERVE_PUBLIC_HOLIDAYS).toLowerCase())
+}
+
+function isoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// Easter Sunday (Gregorian calendar, anonymous algorithm)
+function easterSunday(year) {
+  const a = year % 19
+  const b = Math.floor(year / 100)
+  const c = year % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const month = Math.floor((h + l - 7 * m + 114) / 31)
+  const day = ((h + l - 7 * m + 114) % 31) + 1
+  return isoDate(year, month, day)
+}
+
+// The given ISO weekday within a date range (inclusive)
+function weekdayBetween(from, to, weekday) {
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (getWeekday(date) === weekday) return date
+  }
+  return null
+}
+
+/**
+ * Holidays of a year as [{ date, name, local_name }], in date order
+ */
+function getFinnishHolidays(year) {
+  if (cache.has(year)) return cache.get(year)
+
+  const easter = easterSunday(year)
+  const holidays = [
+    { date: isoDate(year, 1, 1), name: "New Year's Day", local_name: 'Uudenvuodenpäivä' },
+    { date: isoDate(year, 1, 6), name: 'Epiphany', local_name: 'Loppiainen' },
+    { date: addDays(easter, -2), name: 'Good Friday', local_name: 'Pitkäperjantai' },
+    { date: easter, name: 'Easter Sunday', local_name: 'Pääsiäispäivä' },
+    { date: addDays(easter, 1), name: 'Easter Monday', local_name: '2. pääsiäispäivä' },
+    { date: isoDate(year, 5, 1), name: 'May Day', local_name: 'Vappu' },
+    { date: addDays(easter, 39), name: 'Ascension Day', local_name: 'Helatorstai' },
+    { date: addDays(easter, 49), name: 'Whit Sunday', local_name: 'Helluntaipäivä' },
+    { date: weekdayBetween(isoDate(year, 6, 19), isoDate(year, 6, 25), 5), name: 'Midsummer Eve', local_name: 'Juhannusaatto' },
+    { date: weekdayBetween(isoDate(year, 6, 20), isoDate(year, 6, 26), 6), name: 'Midsummer Day', local_name: 'Juhannuspäivä' },
+    { date: weekdayBetween(isoDate(year, 10, 31), isoDate(year, 11, 6), 6), name: "All Saints' Day", local_name: 'Pyhäinpäivä' },
+    { date: isoDate(year, 12, 6), name: 'Independence Day', local_name: 'Itsenäisyyspäivä' },
+    { date: isoDate(year, 12, 24), name: 'Christmas Eve', local_name: 'Jouluaatto' },
+    { date: isoDate(year, 12, 25), name: 'Christmas Day', local_name: 'Joulupäivä' },
+    { date: isoDate(year, 12, 26), name: "St. Stephen's Day", local_name: 'Tapaninpäivä' }
+  ].sort((x, y) => x.date.localeCompare(y.date))
+
+  cache.set(year, holidays)
+  return holidays
+}
+
+// The holiday on a YYYY-MM-DD date, or null
+function findHoliday(date) {
+  return getFinnishHolidays(Number(date.slice(0, 4))).find(h => h.date === date) || null
+}
+
+module.exports = {
+  easterSunday,
+  getFinnishHolidays,
+  findHoliday,
+  observesPublicHolidays
+}
@@ -0,0 +1,92 @@
+/**
+ * Professional Locations Service
+ *
+ * Where a professional's working day starts and ends: their geocoded home, or a
+ * named base (hospital, health centre) from a JSON config file (BASES_CONFIG_PATH,
+ * default src/config/bases.json).
+ *
+ * Professional columns: home_address, home_latitude, home_longitude,
+ * start_location_type / end_location_type ('home' | 'base' | null),
+ * start_base / end_base (base name when the type is 'base').
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { detectZone } = require('./geoUtils')
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/bases.json')
+
+const LOCATION_TYPES = ['home', 'base']
+
+let bases = null
+
+function loadBasesFromFile(filePath = process.env.BASES_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).bases || []
+}
+
+function getBases() {
+  if (!bases) bases = loadBasesFromFile()
+  return bases
+}
+
+function setBases(newBases) {
+  bases = newBases
+}
+
+function findBase(name) {
+  return getBases().find(b => b.name === name) || null
+}
+
+// Resolve one end of the day to { lat, lng, area, label } (null when not set or not resolvable)
+function resolveLocation(professional, type, baseName) {
+  if (type === 'home') {
+    if (!professional.home_latitude || !professional.home_longitude) return null
+    return {
+      lat: professional.home_latitude,
+      lng: professional.home_longitude,
+      area: detectZone(professional.home_latitude, professional.home_longitude),
+      label: 'home'
+    }
+  }
+
+  if (type === 'base') {
+    const base = findBase(baseName)
+    if (!base) return null
+    return { lat: base.lat, lng: base.lng, area: base.area || detectZone(base.lat, base.lng), label: base.name }
+  }
+
+  return null
+}
+
+/**
+ * Start and end of a professional's day; the end defaults to the start
+ */
+function resolveProfessionalLocations(professional) {
+  if (!professional) return { start: null, end: null }
+
+  const start = resolveLocation(professional, professional.start_location_type, professional.start_base)
+  const end = resolveLocation(professional, professional.end_location_type, professional.end_base) ||
+    (professional.end_location_type ? null : start)
+
+  return { start, end }
+}
+
+/**
+ * Validate a start/end setting; returns an error message or null
+ */
+function validateLocationSetting(type, baseName, professional = {}) {
+  if (type === null || type === undefined) return null
+  if (!LOCATION_TYPES.includes(type)) return `Location type must be one of: ${LOCATION_TYPES.join(', ')}`
+  if (type === 'base' && !findBase(baseName)) return `Unknown base: ${baseName}`
+  if (type === 'home' && !professional.home_address) return 'A home address is needed to start or end at home'
+  return null
+}
+
+module.exports = {
+  resolveProfessionalLocations,
+  validateLocationSetting,
+  getBases,
+  setBases,
+  findBase,
+  LOCATION_TYPES
+}
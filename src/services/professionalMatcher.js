@@ -0,0 +1,306 @@
+/**
+ * Professional Matcher Service
+ * Ranks professionals for a patient so coordinators can see who fits best and why
+ */
+
+const { supabase } = require('../config/supabase')
+const { getTravelTimeBetweenLocations } = require('./geoUtils')
+const { checkSkillMatch, getRequiredSkills, calculateAvailableTimeSlots } = require('./timeSlotOptimizer')
+const { loadCareHistory, scoreContinuity, getContinuityWeight } = require('./continuity')
+const { getCareNeeds, getNeededCareTypes, describeCareNeeds, coversCareNeeds, splitCareNeeds } = require('./careNeeds')
+
+// Relative weight of each factor in the final score (sums to 100; the configurable
+// continuity weight comes on top, see getRecommendationWeights)
+const RECOMMENDATION_WEIGHTS = {
+  skill: 35,
+  serviceArea: 20,
+  travel: 20,
+  load: 15,
+  experience: 10
+}
+
+// Travel time (minutes) at or beyond which the travel factor scores zero
+const MAX_REASONABLE_TRAVEL_MINUTES = 45
+
+// Years of experience at which the experience factor is maxed out
+const EXPERIENCE_CAP_YEARS = 10
+
+// Longest date range a single recommendation request may scan
+const MAX_RANGE_DAYS = 14
+
+// Joint-visit pairs listed for patients with several care needs
+const MAX_PAIRS = 5
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Whether a value is a real YYYY-MM-DD calendar date
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false
+  const date = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+}
+
+// List every YYYY-MM-DD date between start and end (inclusive)
+function listDates(startDate, endDate) {
+  const dates = []
+  const current = new Date(`${startDate}T00:00:00Z`)
+  const last = new Date(`${endDate}T00:00:00Z`)
+
+  while (current <= last) {
+    dates.push(current.toISOString().slice(0, 10))
+    current.setUTCDate(current.getUTCDate() + 1)
+  }
+
+  return dates
+}
+
+// Summarise daily load across a date range from calculateAvailableTimeSlots results
+function summarizeLoad(dailySlots) {
+  const workingDays = dailySlots.filter(d => d.slots.maxCapacity)
+  const openDays = dailySlots.filter(d => d.slots.available)
+
+  if (workingDays.length === 0) {
+    return { workingDays: 0, availableDays: 0, averageUtilization: null, firstAvailable: null }
+  }
+
+  const totalUtilization = workingDays.reduce(
+    (sum, d) => sum + Math.min(d.slots.patientCountOnDay / d.slots.maxCapacity, 1),
+    0
+  )
+
+  const first = openDays[0]
+
+  return {
+    workingDays: workingDays.length,
+    availableDays: openDays.length,
+    averageUtilization: totalUtilization / workingDays.length,
+    firstAvailable: first ? { date: first.date, time: first.slots.suggestedTime } : null
+  }
+}
+
+// Factor weights including continuity of care
+function getRecommendationWeights() {
+  return { ...RECOMMENDATION_WEIGHTS, continuity: getContinuityWeight() }
+}
+
+// Score a single professional against a patient; pure so it can be unit tested.
+// history is the patient's recent visits (see continuity.js).
+function scoreProfessional(patient, professional, { travelMinutes = null, load = null, history = [] } = {}) {
+  const specializations = professional.professional_specializations || []
+  const serviceAreas = professional.professional_service_areas || []
+  const factors = {}
+
+  // Skill match: share of the patient's care needs this professional covers
+  const careTypes = getNeededCareTypes(patient)
+  const covered = careTypes.filter(careType => checkSkillMatch(careType, specializations))
+  const skillMatch = careTypes.length > 0 && covered.length === careTypes.length
+  const relevantSkills = covered.flatMap(getRequiredSkills).map(skill => skill.toLowerCase())
+  const matchingSpecs = specializations.filter(s => relevantSkills.includes(s.specialization.toLowerCase()))
+  let skillExplanation = `No specialization covers ${describeCareNeeds(careTypes) || 'the required care'}`
+  if (skillMatch) {
+    skillExplanation = `Qualified for ${describeCareNeeds(careTypes)} via ${matchingSpecs.map(s => s.specialization).join(', ')}`
+  } else if (covered.length > 0) {
+    skillExplanation = `Covers ${describeCareNeeds(covered)} but not ${describeCareNeeds(careTypes.filter(c => !covered.includes(c)))}`
+  }
+  factors.skill = {
+    score: careTypes.length > 0 ? covered.length / careTypes.length : 0,
+    explanation: skillExplanation
+  }
+
+  // Service area overlap
+  const areaMatch = serviceAreas.find(a => a.service_area === patient.area)
+  let areaScore = 0
+  let areaExplanation = `Does not serve ${patient.area || 'the patient area'}`
+  if (areaMatch) {
+    areaScore = areaMatch.is_primary ? 1 : 0.7
+    areaExplanation = areaMatch.is_primary
+      ? `${patient.area} is a primary service area`
+      : `${patient.area} is a secondary service area`
+  }
+  factors.serviceArea = { score: areaScore, explanation: areaExplanation }
+
+  // Travel time
+  if (travelMinutes === null) {
+    factors.travel = { score: 0, explanation: 'Travel time unknown (no service area on file)' }
+  } else {
+    factors.travel = {
+      score: Math.max(0, 1 - travelMinutes / MAX_REASONABLE_TRAVEL_MINUTES),
+      explanation: `About ${travelMinutes} min travel to the patient`
+    }
+  }
+
+  // Daily load
+  if (!load) {
+    factors.load = { score: 0, explanation: 'Load not checked' }
+  } else if (load.workingDays === 0) {
+    factors.load = { score: 0, explanation: 'No working hours in the requested date range' }
+  } else if (load.availableDays === 0) {
+    factors.load = { score: 0, explanation: `Fully booked on all ${load.workingDays} working day(s)` }
+  } else {
+    factors.load = {
+      score: 1 - load.averageUtilization,
+      explanation: `Average utilization ${Math.round(load.averageUtilization * 100)}%, ` +
+        `free on ${load.availableDays}/${load.workingDays} working day(s)`
+    }
+  }
+
+  // Experience (prefer years in the matching specialization)
+  const experienceSource = matchingSpecs.length > 0 ? matchingSpecs : specializations
+  const years = Math.max(0, ...experienceSource.map(s => s.years_experience || 0))
+  factors.experience = {
+    score: Math.min(years, EXPERIENCE_CAP_YEARS) / EXPERIENCE_CAP_YEARS,
+    explanation: years > 0 ? `${years} year(s) of relevant experience` : 'No recorded experience'
+  }
+
+  // Continuity of care
+  factors.continuity = scoreContinuity(history, professional.id)
+
+  const score = Object.entries(getRecommendationWeights()).reduce(
+    (sum, [factor, weight]) => sum + factors[factor].score * weight,
+    0
+  )
+
+  return {
+    eligible: skillMatch && (!load || load.availableDays > 0),
+    score: Math.round(score * 10) / 10,
+    factors
+  }
+}
+
+/**
+ * Pairs of professionals who cover every care need together for a joint visit,
+ * where neither covers them all alone. candidates: [{ professional_id, specializations, score }].
+ * Best average score first.
+ */
+function findCoveringPairs(needs, candidates, limit = MAX_PAIRS) {
+  const careTypes = needs.map(need => need.care_type)
+  const partial = candidates.filter(c => !coversCareNeeds(careTypes, c.specializations))
+  const pairs = []
+
+  for (let i = 0; i < partial.length; i++) {
+    for (let j = i + 1; j < partial.length; j++) {
+      const [a, b] = [partial[i], partial[j]]
+      const split = splitCareNeeds(needs, a.specializations, b.specializations)
+      if (split.uncovered.length > 0 || split.partner.length === 0) continue
+
+      pairs.push({
+        professional_ids: [a.professional_id, b.professional_id],
+        care_split: {
+          [a.professional_id]: split.primary.map(n => n.care_type),
+          [b.professional_id]: split.partner.map(n => n.care_type)
+        },
+        score: Math.round(((a.score + b.score) / 2) * 10) / 10
+      })
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score).slice(0, limit)
+}
+
+// Shortest travel time from any of the professional's service areas to the patient
+function estimateTravelMinutes(patient, professional) {
+  const serviceAreas = professional.professional_service_areas || []
+  if (serviceAreas.length === 0) return null
+
+  const to = { lat: patient.latitude, lng: patient.longitude, area: patient.area }
+  return Math.min(...serviceAreas.map(a => getTravelTimeBetweenLocations({ area: a.service_area }, to)))
+}
+
+// Rank all professionals for a patient over a date range
+async function recommendProfessionals(patientId, startDate, endDate = startDate, { limit = null } = {}) {
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return { success: false, error: 'start_date and end_date must be dates (YYYY-MM-DD)' }
+  }
+
+  const dates = listDates(startDate, endDate)
+  if (dates.length === 0) {
+    return { success: false, error: 'end_date must not be before start_date' }
+  }
+  if (dates.length > MAX_RANGE_DAYS) {
+    return { success: false, error: `Date range may span at most ${MAX_RANGE_DAYS} days` }
+  }
+
+  const { data: patient, error: patientError } = await supabase
+    .from('patients')
+    .select('*')
+    .eq('id', patientId)
+    .maybeSingle()
+
+  if (patientError) throw patientError
+  if (!patient) return { success: false, code: 'NOT_FOUND', error: 'Patient not found' }
+
+  const history = (await loadCareHistory([patient.id], { before: startDate })).get(patient.id) || []
+
+  const { data: professionals, error: profError } = await supabase
+    .from('professionals')
+    .select(`
+      *,
+      profiles:profile_id (full_name),
+      professional_specializations (specialization, years_experience, certification_level),
+      professional_service_areas (service_area, is_primary)
+    `)
+
+  if (profError) throw profError
+
+  const recommendations = []
+
+  const careTypes = getNeededCareTypes(patient)
+  const candidates = []
+
+  for (const professional of professionals || []) {
+    const specializations = professional.professional_specializations || []
+    const coversAny = careTypes.some(careType => checkSkillMatch(careType, specializations))
+
+    // Only check daily load for professionals who could take (part of) the care at all
+    let load = null
+    if (coversAny) {
+      const dailySlots = []
+      for (const date of dates) {
+        const slots = await calculateAvailableTimeSlots(professional.id, date)
+        dailySlots.push({ date, slots })
+      }
+      load = summarizeLoad(dailySlots)
+    }
+
+    const result = scoreProfessional(patient, professional, {
+      travelMinutes: estimateTravelMinutes(patient, professional),
+      load,
+      history
+    })
+
+    recommendations.push({
+      professional_id: professional.id,
+      full_name: professional.profiles?.full_name || null,
+      kind: professional.kind,
+      ...result,
+      firstAvailable: load ? load.firstAvailable : null
+    })
+
+    if (coversAny && load.availableDays > 0) {
+      candidates.push({ professional_id: professional.id, specializations, score: result.score })
+    }
+  }
+
+  recommendations.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score))
+
+  return {
+    success: true,
+    patient: { id: patient.id, name: patient.name, care_needed: patient.care_needed, care_needs: careTypes, area: patient.area },
+    dateRange: { start_date: startDate, end_date: endDate },
+    weights: getRecommendationWeights(),
+    recommendations: limit ? recommendations.slice(0, limit) : recommendations,
+    pairs: careTypes.length > 1 ? findCoveringPairs(getCareNeeds(patient), candidates) : []
+  }
+}
+
+module.exports = {
+  recommendProfessionals,
+  scoreProfessional,
+  findCoveringPairs,
+  estimateTravelMinutes,
+  summarizeLoad,
+  listDates,
+  isValidDate,
+  getRecommendationWeights,
+  RECOMMENDATION_WEIGHTS
+}
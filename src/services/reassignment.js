@@ -0,0 +1,449 @@
+/**
+ * Reassignment Service
+ *
+ * Hands a visit over to another professional with its full context: the
+ * assignment's date, time and notes, and the matching schedule entry, which is
+ * moved instead of being left with the old professional. The new professional's
+ * skills and slot are checked first, and the visit either keeps its time
+ * (keep_time) or takes the next free slot from the original time on (next_slot,
+ * searching up to a week ahead). Joint visits always keep their time.
+ *
+ * Every handover is recorded in assignment_reassignments (assignment_id,
+ * new_assignment_id, schedule_id, from_professional_id, to_professional_id,
+ * from_date, from_time, to_date, to_time, mode, reason, absence_id,
+ * reassigned_by_id), and the new assignment points back via reassigned_from_id.
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  calculateAvailableTimeSlots,
+  loadSpecializations,
+  checkSkillRequirement,
+  skillOverrideFields,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
+} = require('./timeSlotOptimizer')
+const { getNeededCareTypes, getVisitDuration } = require('./careNeeds')
+const { addDays } = require('./timeUtils')
+const { validateScheduleEntry } = require('./scheduleValidator')
+
+const REASSIGN_MODES = ['keep_time', 'next_slot']
+
+// Days (including the visit date) searched for the next free slot
+const NEXT_SLOT_SEARCH_DAYS = 7
+
+// Assignment columns that belong to the handover rather than the visit
+const HANDOVER_FIELDS = [
+  'id', 'created_at', 'updated_at', 'status', 'professional_id', 'assigned_by_id',
+  'assignment_date', 'assignment_reason', 'scheduled_visit_date', 'scheduled_visit_time',
+  'skill_override_justification', 'skill_override_by_id', 'reassigned_from_id',
+  'needs_cover', 'absence_id', 'patients'
+]
+
+function normalizeTime(time) {
+  return time ? minutesToTime(timeToMinutes(time)) : null
+}
+
+// First slot at or after a time, or null
+function pickNextSlot(slots, fromTime) {
+  const from = timeToMinutes(fromTime)
+  return (slots || []).find(slot => timeToMinutes(slot) >= from) || null
+}
+
+// Columns of the old assignment carried over to the new one (notes, care plan, partner...)
+function carriedAssignmentFields(assignment) {
+  return Object.fromEntries(Object.entries(assignment).filter(([column]) => !HANDOVER_FIELDS.includes(column)))
+}
+
+// The schedule entry for an assignment's visit: same professional, patient and date, matching time preferred
+async function findVisitSchedule(assignment) {
+  if (!assignment.scheduled_visit_date) return null
+
+  const { data, error } = await supabase
+    .from('schedules')
+    .select('*')
+    .eq('professional_id', assignment.professional_id)
+    .eq('patient_id', assignment.patient_id)
+    .eq('date', assignment.scheduled_visit_date)
+    .neq('status', 'cancelled')
+
+  if (error) throw error
+
+  const rows = data || []
+  const time = normalizeTime(assignment.scheduled_visit_time)
+  return rows.find(row => normalizeTime(row.start_time) === time) || rows[0] || null
+}
+
+/**
+ * Load what a handover moves: { assignment (with patients), schedule, patient, date, start_time, end_time }.
+ * Either row may be missing (assignment-only visits, hand-made schedule entries), but not both.
+ */
+async function loadVisitContext({ assignmentId = null, scheduleId = null }) {
+  let assignment = null
+  if (assignmentId) {
+    const { data, error } = await supabase
+      .from('patient_assignments')
+      .select('*, patients (*)')
+      .eq('id', assignmentId)
+      .single()
+
+    if (error || !data) return null
+    assignment = data
+  }
+
+  let schedule = null
+  if (scheduleId) {
+    const { data, error } = await supabase
+      .from('schedules')
+      .select('*, patients (*)')
+      .eq('id', scheduleId)
+      .single()
+
+    if (error || !data) return null
+    schedule = data
+  } else if (assignment) {
+    schedule = await findVisitSchedule(assignment)
+  }
+
+  if (!assignment && !schedule) return null
+
+  const patient = assignment?.patients || schedule?.patients || null
+  const date = schedule?.date || assignment?.scheduled_visit_date || null
+  const startTime = normalizeTime(schedule?.start_time || assignment?.scheduled_visit_time)
+  const endTime = schedule?.end_time
+    ? normalizeTime(schedule.end_time)
+    : startTime ? addMinutes(startTime, getVisitDuration(patient, date)) : null
+
+  return {
+    assignment,
+    schedule,
+    patient,
+    patient_id: assignment?.patient_id ?? schedule.patient_id,
+    professional_id: assignment?.professional_id ?? schedule.professional_id,
+    partner_professional_id: schedule?.partner_professional_id ?? assignment?.partner_professional_id ?? null,
+    date,
+    start_time: startTime,
+    end_time: endTime
+  }
+}
+
+// Skill check for the new professional; in a joint visit the new pair together must cover the needs
+async function checkReassignmentSkills(context, professionalId) {
+  const careTypes = getNeededCareTypes(context.patient, context.date)
+  if (careTypes.length === 0) return null
+
+  const specializations = await loadSpecializations(professionalId)
+  const partnerSpecializations = context.partner_professional_id
+    ? await loadSpecializations(context.partner_professional_id)
+    : []
+
+  return checkSkillRequirement(careTypes, [...specializations, ...partnerSpecializations], professionalId)
+}
+
+/**
+ * Where the visit would go with the new professional: { date, start_time, end_time }
+ * or { code: 'SLOT_UNAVAILABLE', error, conflicts?, suggested_time? }.
+ * Visits without a date or time have nothing to place.
+ */
+async function findReassignmentSlot(context, professionalId, mode) {
+  if (!context.date || !context.start_time) {
+    return { date: context.date, start_time: null, end_time: null }
+  }
+
+  const duration = timeToMinutes(context.end_time) - timeToMinutes(context.start_time)
+  // The visit's own time is checked exactly, as it may be off the slot grid
+  const slotsOn = date => calculateAvailableTimeSlots(professionalId, date, [], {
+    patient: context.patient,
+    duration,
+    startTime: date === context.date ? context.start_time : null
+  })
+
+  if (mode === 'keep_time') {
+    const slots = await slotsOn(context.date)
+    if (slots.available && slots.slots.includes(context.start_time)) {
+      return { date: context.date, start_time: context.start_time, end_time: context.end_time }
+    }
+
+    // Explain what the original time clashes with
+    const conflicts = await validateScheduleEntry({
+      patient_id: context.patient_id,
+      professional_id: professionalId,
+      partner_professional_id: context.partner_professional_id,
+      date: context.date,
+      start_time: context.start_time,
+      end_time: context.end_time
+    }, { excludeId: context.schedule?.id ?? null })
+
+    return {
+      code: 'SLOT_UNAVAILABLE',
+      error: slots.available
+        ? `Professional is not free at ${context.start_time} on ${context.date}`
+        : slots.reason,
+      conflicts,
+      ...(slots.available && { suggested_time: pickNextSlot(slots.slots, context.start_time) || slots.suggestedTime })
+    }
+  }
+
+  for (let day = 0; day < NEXT_SLOT_SEARCH_DAYS; day++) {
+    const date = addDays(context.date, day)
+    const slots = await slotsOn(date)
+    if (!slots.available) continue
+
+    const time = day === 0 ? pickNextSlot(slots.slots, context.start_time) : slots.suggestedTime
+    if (time) return { date, start_time: time, end_time: addMinutes(time, duration) }
+  }
+
+  return {
+    code: 'SLOT_UNAVAILABLE',
+    error: `No free slot in the ${NEXT_SLOT_SEARCH_DAYS} days from ${context.date} ${context.start_time}`
+  }
+}
+
+/**
+ * Undo the writes of a failed handover, latest first, and return the error to throw.
+ * Writes that cannot be undone are listed on it as rollbackErrors.
+ */
+async function rollBackHandover(undoSteps, error) {
+  const rollbackErrors = []
+  for (const { label, run } of [...undoSteps].reverse()) {
+    const { error: undoError } = await run()
+    if (undoError) rollbackErrors.push(`${label}: ${undoError.message}`)
+  }
+  if (rollbackErrors.length > 0) error.rollbackErrors = rollbackErrors
+  return error
+}
+
+/**
+ * Write a handover: the old assignment becomes 'reassigned', a new one carries the
+ * visit over, the schedule entry moves, the partner's rows follow and the history
+ * row links them. If any write fails, the earlier ones are undone and the error is
+ * thrown (with rollbackErrors for anything that could not be restored).
+ * target: { professional_id, date, start_time, end_time }
+ */
+async function commitReassignment(context, target, { mode = 'keep_time', reason = null, reassignedById = null, overrideFields = {}, absenceId = null } = {}) {
+  const now = new Date().toISOString()
+  const absenceFields = absenceId ? { absence_id: absenceId, needs_cover: false } : {}
+  const undoSteps = []
+  let newAssignment = null
+
+  if (context.assignment) {
+    const { error: oldError } = await supabase
+      .from('patient_assignments')
+      .update({ status: 'reassigned', updated_at: now })
+      .eq('id', context.assignment.id)
+
+    if (oldError) throw oldError
+    undoSteps.push({
+      label: `assignment ${context.assignment.id}`,
+      run: () => supabase.from('patient_assignments').update({ status: context.assignment.status }).eq('id', context.assignment.id)
+    })
+
+    const { data, error } = await supabase
+      .from('patient_assignments')
+      .insert([{
+        ...carriedAssignmentFields(context.assignment),
+        professional_id: target.professional_id,
+        assigned_by_id: reassignedById,
+        assignment_reason: reason || 'Reassignment',
+        assignment_date: now,
+        scheduled_visit_date: target.date,
+        scheduled_visit_time: target.start_time,
+        status: 'active',
+        reassigned_from_id: context.assignment.id,
+        ...overrideFields,
+        ...absenceFields
+      }])
+      .select()
+      .single()
+
+    if (error) throw await rollBackHandover(undoSteps, error)
+    newAssignment = data
+    undoSteps.push({
+      label: `new assignment ${data.id}`,
+      run: () => supabase.from('patient_assignments').delete().eq('id', data.id)
+    })
+  }
+
+  let schedule = null
+  if (context.schedule) {
+    const changes = {
+      professional_id: target.professional_id,
+      date: target.date,
+      start_time: target.start_time,
+      end_time: target.end_time,
+      ...overrideFields,
+      ...absenceFields
+    }
+
+    const { data, error } = await supabase
+      .from('schedules')
+      .update({ ...changes, updated_at: now })
+      .eq('id', context.schedule.id)
+      .select()
+      .single()
+
+    if (error) throw await rollBackHandover(undoSteps, error)
+    schedule = data
+
+    const original = Object.fromEntries(Object.keys(changes).map(column => [column, context.schedule[column] ?? null]))
+    undoSteps.push({
+      label: `schedule ${context.schedule.id}`,
+      run: () => supabase.from('schedules').update(original).eq('id', context.schedule.id)
+    })
+  }
+
+  // The partner's half of a joint visit now points at the new professional
+  if (context.partner_professional_id) {
+    for (const [table, dateColumn] of [['schedules', 'date'], ['patient_assignments', 'scheduled_visit_date']]) {
+      const pointPartnerAt = (from, to) => supabase
+        .from(table)
+        .update({ partner_professional_id: to })
+        .eq('professional_id', context.partner_professional_id)
+        .eq('partner_professional_id', from)
+        .eq('patient_id', context.patient_id)
+        .eq(dateColumn, context.date)
+
+      const { error } = await pointPartnerAt(context.professional_id, target.professional_id)
+      if (error) throw await rollBackHandover(undoSteps, error)
+      undoSteps.push({
+        label: `partner ${table}`,
+        run: () => pointPartnerAt(target.professional_id, context.professional_id)
+      })
+    }
+  }
+
+  const { data: reassignment, error: historyError } = await supabase
+    .from('assignment_reassignments')
+    .insert([{
+      assignment_id: context.assignment?.id ?? null,
+      new_assignment_id: newAssignment?.id ?? null,
+      schedule_id: context.schedule?.id ?? null,
+      patient_id: context.patient_id,
+      from_professional_id: context.professional_id,
+      to_professional_id: target.professional_id,
+      from_date: context.date,
+      from_time: context.start_time,
+      to_date: target.date,
+      to_time: target.start_time,
+      mode,
+      reason,
+      absence_id: absenceId,
+      reassigned_by_id: reassignedById
+    }])
+    .select()
+    .single()
+
+  if (historyError) throw await rollBackHandover(undoSteps, historyError)
+
+  return { assignment: newAssignment, schedule, reassignment }
+}
+
+/**
+ * Reassign an assignment's visit to another professional.
+ * mode: 'keep_time' or 'next_slot'. A supervisor's skillOverride (see resolveSkillOverride)
+ * accepts a skill mismatch. dryRun checks both modes and writes nothing.
+ * Failures carry a code: NOT_FOUND, INVALID, SKILL_MISMATCH or SLOT_UNAVAILABLE.
+ */
+async function reassignVisit(assignmentId, professionalId, { mode = 'keep_time', reason = null, reassignedById = null, skillOverride = null, dryRun = false } = {}) {
+  const context = await loadVisitContext({ assignmentId })
+  if (!context) {
+    return { success: false, code: 'NOT_FOUND', error: 'Assignment not found' }
+  }
+
+  if (context.assignment.status !== 'active') {
+    return { success: false, code: 'INVALID', error: `Only active assignments can be reassigned (this one is ${context.assignment.status})` }
+  }
+  if (String(context.professional_id) === String(professionalId)) {
+    return { success: false, code: 'INVALID', error: 'The visit is already assigned to this professional' }
+  }
+  if (String(context.partner_professional_id) === String(professionalId)) {
+    return { success: false, code: 'INVALID', error: 'The new professional is already the partner on this joint visit' }
+  }
+  if (context.partner_professional_id && mode !== 'keep_time') {
+    return { success: false, code: 'INVALID', error: 'Joint visits can only be reassigned at the same time (keep_time)' }
+  }
+
+  const skillMismatch = await checkReassignmentSkills(context, professionalId)
+  if (skillMismatch && !skillOverride) {
+    return { success: false, ...(dryRun && { dryRun: true }), ...skillMismatch }
+  }
+  const overrideFields = skillMismatch ? skillOverrideFields(skillOverride) : {}
+
+  const from = { professional_id: context.professional_id, date: context.date, start_time: context.start_time, end_time: context.end_time }
+
+  if (dryRun) {
+    const modes = context.partner_professional_id ? ['keep_time'] : REASSIGN_MODES
+    const options = {}
+    for (const option of modes) options[option] = await findReassignmentSlot(context, professionalId, option)
+    return { success: true, dryRun: true, from, options, schedule_id: context.schedule?.id ?? null }
+  }
+
+  const slot = await findReassignmentSlot(context, professionalId, mode)
+  if (slot.code) return { success: false, ...slot }
+
+  const result = await commitReassignment(context, { professional_id: professionalId, ...slot }, {
+    mode,
+    reason,
+    reassignedById,
+    overrideFields
+  })
+
+  return {
+    success: true,
+    mode,
+    from,
+    ...result,
+    ...(skillMismatch && { skillOverride: { ...skillOverride, missing_skills: skillMismatch.missing_skills } })
+  }
+}
+
+/**
+ * The reassignment chain an assignment belongs to, oldest handover first
+ */
+async function loadReassignmentHistory(assignmentId) {
+  const history = []
+  const seen = new Set()
+
+  const step = async (column, id) => {
+    const { data, error } = await supabase
+      .from('assignment_reassignments')
+      .select('*')
+      .eq(column, id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+
+    if (error) throw error
+    const row = (data || [])[0]
+    if (!row || seen.has(row.id)) return null
+    seen.add(row.id)
+    return row
+  }
+
+  // Walk back to the first assignment, then forward to the current one
+  let row = await step('new_assignment_id', assignmentId)
+  while (row) {
+    history.unshift(row)
+    row = row.assignment_id ? await step('new_assignment_id', row.assignment_id) : null
+  }
+
+  row = await step('assignment_id', assignmentId)
+  while (row) {
+    history.push(row)
+    row = row.new_assignment_id ? await step('assignment_id', row.new_assignment_id) : null
+  }
+
+  return history
+}
+
+module.exports = {
+  reassignVisit,
+  loadVisitContext,
+  findReassignmentSlot,
+  commitReassignment,
+  loadReassignmentHistory,
+  pickNextSlot,
+  carriedAssignmentFields,
+  REASSIGN_MODES,
+  NEXT_SLOT_SEARCH_DAYS
+}
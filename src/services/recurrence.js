@@ -0,0 +1,187 @@
+/**
+ * Recurrence Rules
+ *
+ * Parses the RRULE subset used by care plans and expands it into visit
+ * occurrences. Supported parts:
+ * - FREQ=DAILY | WEEKLY, INTERVAL=n
+ * - BYDAY=MO,TU,... (weekdays; WEEKLY defaults to the start date's weekday)
+ * - BYHOUR=8,14,20 and BYMINUTE=0,30 (fixed visit times; one visit per time)
+ * - COUNT=n (total visits) or UNTIL=YYYYMMDD / YYYY-MM-DD (last date)
+ *
+ * Without BYHOUR, a plan's times_per_day sets how many visits a day gets and the
+ * slot finder picks their times.
+ */
+
+const { getWeekday, addDays } = require('./timeUtils')
+
+const WEEKDAY_CODES = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 }
+
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY']
+
+function parseNumberList(value) {
+  return value.split(',').map(v => {
+    const n = Number(v)
+    if (!Number.isInteger(n)) throw new Error(`Invalid number in recurrence rule: ${v}`)
+    return n
+  })
+}
+
+function parseUntil(value) {
+  const compact = value.replace(/T.*$/, '').replace(/-/g, '')
+  if (!/^\d{8}$/.test(compact)) throw new Error(`Invalid UNTIL date: ${value}`)
+  return `${compact.slice(0, 4)}-${compact.slice(4, 6)}-${compact.slice(6, 8)}`
+}
+
+/**
+ * Parse an RRULE string ('FREQ=DAILY;COUNT=14', optional 'RRULE:' prefix).
+ * Throws with a readable message on unsupported or invalid parts.
+ */
+function parseRecurrenceRule(rule) {
+  if (!rule || typeof rule !== 'string') throw new Error('Recurrence rule is required')
+
+  const parts = {}
+  for (const part of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=')
+    if (!key || value === undefined || value === '') throw new Error(`Invalid recurrence rule part: ${part}`)
+    parts[key.toUpperCase()] = value.toUpperCase()
+  }
+
+  const freq = parts.FREQ
+  if (!SUPPORTED_FREQUENCIES.includes(freq)) {
+    throw new Error(`FREQ must be one of: ${SUPPORTED_FREQUENCIES.join(', ')}`)
+  }
+
+  const parsed = {
+    freq,
+    interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+    byDay: null,
+    times: null,
+    count: parts.COUNT ? Number(parts.COUNT) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null
+  }
+
+  if (!Number.isInteger(parsed.interval) || parsed.interval < 1) throw new Error('INTERVAL must be a positive integer')
+  if (parsed.count !== null && (!Number.isInteger(parsed.count) || parsed.count < 1)) {
+    throw new Error('COUNT must be a positive integer')
+  }
+  if (parsed.count !== null && parsed.until) throw new Error('Use either COUNT or UNTIL, not both')
+
+  if (parts.BYDAY) {
+    parsed.byDay = parts.BYDAY.split(',').map(code => {
+      if (!WEEKDAY_CODES[code]) throw new Error(`Invalid BYDAY value: ${code}`)
+      return WEEKDAY_CODES[code]
+    })
+  }
+
+  if (parts.BYHOUR) {
+    const hours = parseNumberList(parts.BYHOUR)
+    const minutes = parts.BYMINUTE ? parseNumberList(parts.BYMINUTE) : [0]
+    if (hours.some(h => h < 0 || h > 23) || minutes.some(m => m < 0 || m > 59)) {
+      throw new Error('BYHOUR must be 0-23 and BYMINUTE 0-59')
+    }
+    parsed.times = hours
+      .flatMap(h => minutes.map(m => h * 60 + m))
+      .sort((a, b) => a - b)
+      .map(total => `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`)
+  } else if (parts.BYMINUTE) {
+    throw new Error('BYMINUTE needs BYHOUR')
+  }
+
+  return parsed
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000)
+}
+
+// Whether a date is a visit day for the rule, counting from the plan start
+function isOccurrenceDate(rule, startDate, date) {
+  const offset = daysBetween(startDate, date)
+  if (offset < 0) return false
+
+  if (rule.freq === 'DAILY') {
+    if (offset % rule.interval !== 0) return false
+    return !rule.byDay || rule.byDay.includes(getWeekday(date))
+  }
+
+  // WEEKLY: weeks counted from the Monday of the start week
+  const startMonday = addDays(startDate, 1 - getWeekday(startDate))
+  const week = Math.floor(daysBetween(startMonday, date) / 7)
+  if (week % rule.interval !== 0) return false
+  return (rule.byDay || [getWeekday(startDate)]).includes(getWeekday(date))
+}
+
+function greatestCommonDivisor(a, b) {
+  return b === 0 ? a : greatestCommonDivisor(b, a % b)
+}
+
+/**
+ * Number of visit days from startDate up to, not including, date. The pattern
+ * repeats every period days, so whole periods are counted at once and only the
+ * remainder is walked.
+ */
+function countOccurrenceDates(rule, startDate, date) {
+  const days = daysBetween(startDate, date)
+  if (days <= 0) return 0
+
+  const period = rule.freq === 'WEEKLY'
+    ? 7 * rule.interval
+    : rule.byDay ? rule.interval * 7 / greatestCommonDivisor(rule.interval, 7) : rule.interval
+
+  const countDays = length => {
+    let count = 0
+    for (let offset = 0; offset < length; offset++) {
+      if (isOccurrenceDate(rule, startDate, addDays(startDate, offset))) count++
+    }
+    return count
+  }
+
+  return Math.floor(days / period) * countDays(period) + countDays(days % period)
+}
+
+/**
+ * Whether a rule has a visit on a date, counting COUNT and UNTIL from startDate,
+ * without expanding the days in between
+ */
+function occursOn(rule, startDate, date) {
+  if (rule.until && date > rule.until) return false
+  if (!isOccurrenceDate(rule, startDate, date)) return false
+  if (rule.count === null) return true
+
+  const perDay = rule.times ? rule.times.length : 1
+  return countOccurrenceDates(rule, startDate, date) * perDay < rule.count
+}
+
+/**
+ * Expand a rule into occurrences { date, index, time } between startDate and
+ * horizonEnd (inclusive). index numbers the visits within a day; time is the
+ * fixed BYHOUR time or null. COUNT is counted from startDate, so occurrences
+ * before `from` still use it up but are not returned.
+ */
+function expandOccurrences(rule, { startDate, horizonEnd, from = startDate, timesPerDay = 1 }) {
+  const perDay = rule.times ? rule.times.length : timesPerDay
+  const lastDate = rule.until && rule.until < horizonEnd ? rule.until : horizonEnd
+  const occurrences = []
+  let counted = 0
+
+  for (let date = startDate; date <= lastDate; date = addDays(date, 1)) {
+    if (!isOccurrenceDate(rule, startDate, date)) continue
+
+    for (let index = 0; index < perDay; index++) {
+      if (rule.count !== null && counted >= rule.count) return occurrences
+      counted++
+      if (date >= from) {
+        occurrences.push({ date, index, time: rule.times ? rule.times[index] : null })
+      }
+    }
+  }
+
+  return occurrences
+}
+
+module.exports = {
+  parseRecurrenceRule,
+  expandOccurrences,
+  occursOn,
+  WEEKDAY_CODES
+}
@@ -0,0 +1,463 @@
+/**
+ * Route Optimizer Service
+ * Orders a professional's visits for the day
+ *
+ * A nearest-neighbour seed (and a seed sorted by time window) is improved with
+ * 2-opt segment reversal and or-opt segment moves until no move lowers the cost.
+ * Cost is total drive minutes plus a penalty for every minute a visit starts
+ * after its latest allowed start time: heavy for hard windows, light for soft ones.
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  getTravelTimeBetweenLocations,
+  getDistanceBetweenLocations,
+  optimizeRouteByDistance,
+  OULU_CENTER
+} = require('./geoUtils')
+const { primeTravelTimes } = require('./travelTime')
+const { resolveProfessionalLocations } = require('./professionalLocations')
+const { getVisitWindow, checkVisitWindow } = require('./visitWindows')
+const { getVisitDuration } = require('./careNeeds')
+const {
+  timeToMinutes,
+  minutesToTime
+} = require('./timeSlotOptimizer')
+const { getDayAvailability } = require('./availability')
+
+// Cost added per minute a visit starts after its window closes
+const LATE_PENALTY_PER_MINUTE = 100
+
+// Same for patients whose window is soft (lateness is allowed when it saves driving)
+const SOFT_LATE_PENALTY_PER_MINUTE = 2
+
+// Longest segment moved as a block by or-opt
+const OR_OPT_MAX_SEGMENT = 3
+
+function hasCoords(location) {
+  return Boolean(location && location.lat && location.lng)
+}
+
+function travelMinutes(from, to, departure = null) {
+  if (!from || !to) return 0
+  return getTravelTimeBetweenLocations(from, to, departure)
+}
+
+function distanceKm(from, to) {
+  if (!hasCoords(from) || !hasCoords(to)) return null
+  return getDistanceBetweenLocations(from, to)
+}
+
+// Walk a stop order and compute arrival, wait, start and lateness for each stop.
+// With a date, each leg uses the speed profile for the time it departs.
+function simulateRoute(order, { start = OULU_CENTER, end = start, dayStart = 8 * 60, date = null } = {}) {
+  let time = dayStart
+  let location = start
+  let driveMinutes = 0
+  let distance = 0
+  let unknownDistanceLegs = 0
+  let lateMinutes = 0
+  let latePenalty = 0
+
+  const stops = order.map(stop => {
+    const travel = travelMinutes(location, stop.location, date && { date, minutes: time })
+    const legKm = distanceKm(location, stop.location)
+    const arrival = time + travel
+    const serviceStart = stop.windowStart !== null && stop.windowStart !== undefined
+      ? Math.max(arrival, stop.windowStart)
+      : arrival
+    const late = stop.windowEnd !== null && stop.windowEnd !== undefined
+      ? Math.max(0, serviceStart - stop.windowEnd)
+      : 0
+
+    driveMinutes += travel
+    lateMinutes += late
+    latePenalty += late * (stop.softWindow ? SOFT_LATE_PENALTY_PER_MINUTE : LATE_PENALTY_PER_MINUTE)
+    if (legKm === null) unknownDistanceLegs++
+    else distance += legKm
+
+    time = serviceStart + stop.duration
+    location = stop.location
+
+    return {
+      stop,
+      travelMinutes: travel,
+      distanceKm: legKm,
+      arrival,
+      waitMinutes: serviceStart - arrival,
+      start: serviceStart,
+      end: time,
+      lateMinutes: late
+    }
+  })
+
+  const returnTravel = order.length > 0 ? travelMinutes(location, end, date && { date, minutes: time }) : 0
+  const returnKm = order.length > 0 ? distanceKm(location, end) : 0
+  driveMinutes += returnTravel
+  if (returnKm === null) unknownDistanceLegs++
+  else distance += returnKm
+
+  return {
+    stops,
+    driveMinutes,
+    distanceKm: distance,
+    unknownDistanceLegs,
+    returnTravelMinutes: returnTravel,
+    endTime: time + returnTravel,
+    lateMinutes,
+    cost: driveMinutes + latePenalty
+  }
+}
+
+// Nearest-neighbour seed, reusing the geo utility's ordering
+function nearestNeighbourOrder(stops, start) {
+  const candidates = stops.map(stop => ({
+    latitude: stop.location?.lat,
+    longitude: stop.location?.lng,
+    area: stop.location?.area,
+    stop
+  }))
+  return optimizeRouteByDistance(candidates, start).map(c => c.stop)
+}
+
+// Seed that visits stops in order of their window (unconstrained stops last)
+function timeWindowOrder(stops) {
+  const key = s => (s.windowEnd ?? s.windowStart ?? Infinity)
+  return [...stops].sort((a, b) => key(a) - key(b))
+}
+
+// Apply 2-opt and or-opt moves until the route stops improving
+function improveRoute(order, options) {
+  let best = order
+  let bestCost = simulateRoute(best, options).cost
+  let improved = true
+
+  const tryCandidate = candidate => {
+    const cost = simulateRoute(candidate, options).cost
+    if (cost < bestCost) {
+      best = candidate
+      bestCost = cost
+      return true
+    }
+    return false
+  }
+
+  while (improved) {
+    improved = false
+
+    // 2-opt: reverse the segment i..j
+    for (let i = 0; i < best.length - 1 && !improved; i++) {
+      for (let j = i + 1; j < best.length && !improved; j++) {
+        const candidate = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1)
+        ]
+        improved = tryCandidate(candidate)
+      }
+    }
+
+    // or-opt: move a segment of 1..3 stops to another position
+    for (let len = 1; len <= OR_OPT_MAX_SEGMENT && !improved; len++) {
+      for (let i = 0; i + len <= best.length && !improved; i++) {
+        const segment = best.slice(i, i + len)
+        const rest = [...best.slice(0, i), ...best.slice(i + len)]
+        for (let k = 0; k <= rest.length && !improved; k++) {
+          if (k === i) continue
+          const candidate = [...rest.slice(0, k), ...segment, ...rest.slice(k)]
+          improved = tryCandidate(candidate)
+        }
+      }
+    }
+  }
+
+  return best
+}
+
+/**
+ * Order stops for a day and compute ETAs.
+ * Each stop: { id, location: { lat, lng, area }, duration, windowStart, windowEnd }
+ * with times in minutes since midnight.
+ */
+function optimizeRoute(stops, options = {}) {
+  const routeOptions = { start: OULU_CENTER, dayStart: 8 * 60, ...options }
+  if (!routeOptions.end) routeOptions.end = routeOptions.start
+
+  if (!stops || stops.length === 0) return simulateRoute([], routeOptions)
+
+  const seeds = [nearestNeighbourOrder(stops, routeOptions.start), timeWindowOrder(stops)]
+  const bestSeed = seeds.reduce((best, seed) =>
+    simulateRoute(seed, routeOptions).cost < simulateRoute(best, routeOptions).cost ? seed : best
+  )
+
+  return simulateRoute(improveRoute(bestSeed, routeOptions), routeOptions)
+}
+
+// Turn a patient's optional visit window columns into minutes
+function patientWindow(patient) {
+  const window = getVisitWindow(patient)
+  return {
+    windowStart: window.earliest,
+    windowEnd: window.latest,
+    softWindow: !window.hard,
+    visitWindow: window
+  }
+}
+
+// Visits in these states are over and are not routed again
+const SETTLED_STATUSES = ['cancelled', 'completed']
+
+// Load a professional's visits for a date as route stops. A joint visit is pinned
+// to its booked time with a hard window, since the partner comes then.
+async function loadDayStops(professionalId, date) {
+  const { data: schedules, error } = await supabase
+    .from('schedules')
+    .select('*, patients (*)')
+    .eq('professional_id', professionalId)
+    .eq('date', date)
+    .order('start_time', { ascending: true })
+
+  if (error) throw error
+
+  return (schedules || [])
+    .filter(s => !SETTLED_STATUSES.includes(s.status))
+    .map(schedule => {
+      const patient = schedule.patients || {}
+      const pinned = Boolean(schedule.partner_professional_id && schedule.start_time)
+      return {
+        id: schedule.id,
+        schedule,
+        patient,
+        location: { lat: patient.latitude, lng: patient.longitude, area: patient.area },
+        // A joint visit covers only this professional's share, so it keeps its booked length
+        duration: schedule.partner_professional_id && schedule.start_time && schedule.end_time
+          ? timeToMinutes(schedule.end_time) - timeToMinutes(schedule.start_time)
+          : getVisitDuration(patient, date),
+        ...patientWindow(patient),
+        ...(pinned && {
+          pinned,
+          windowStart: timeToMinutes(schedule.start_time),
+          windowEnd: timeToMinutes(schedule.start_time),
+          softWindow: false
+        })
+      }
+    })
+}
+
+// Working hours for routing (see availability.js): { dayStart, dayEnd }; without hours
+// the day starts at 08:00 and has no end
+async function loadDayHours(professionalId, date) {
+  const { hours } = await getDayAvailability(professionalId, date)
+  return hours
+    ? { dayStart: timeToMinutes(hours.start_time), dayEnd: timeToMinutes(hours.end_time) }
+    : { dayStart: 8 * 60, dayEnd: null }
+}
+
+// Load a professional's configured start and end of the day (home or base)
+async function loadDayEnds(professionalId) {
+  const { data: professional } = await supabase
+    .from('professionals')
+    .select('*')
+    .eq('id', professionalId)
+    .single()
+
+  return resolveProfessionalLocations(professional)
+}
+
+// Shape a simulated route for API responses
+function formatRoute(route, date = null) {
+  const round1 = n => Math.round(n * 10) / 10
+
+  return {
+    stops: route.stops.map((s, index) => ({
+      order: index + 1,
+      schedule_id: s.stop.schedule?.id ?? s.stop.id,
+      patient_id: s.stop.patient?.id ?? null,
+      patient_name: s.stop.patient?.name ?? null,
+      address: s.stop.patient?.address ?? null,
+      eta: minutesToTime(s.arrival),
+      start_time: minutesToTime(s.start),
+      end_time: minutesToTime(s.end),
+      travel_minutes: s.travelMinutes,
+      distance_km: s.distanceKm === null ? null : round1(s.distanceKm),
+      wait_minutes: s.waitMinutes,
+      late_minutes: s.lateMinutes,
+      window: {
+        earliest: s.stop.windowStart === null ? null : minutesToTime(s.stop.windowStart),
+        latest: s.stop.windowEnd === null ? null : minutesToTime(s.stop.windowEnd),
+        mode: s.stop.softWindow ? 'soft' : 'hard'
+      },
+      window_violations: s.stop.visitWindow ? checkVisitWindow(s.stop.visitWindow, date, s.start) : []
+    })),
+    totalDistanceKm: round1(route.distanceKm),
+    unknownDistanceLegs: route.unknownDistanceLegs,
+    totalDriveMinutes: route.driveMinutes,
+    returnTravelMinutes: route.returnTravelMinutes,
+    endTime: minutesToTime(route.endTime),
+    lateMinutes: route.lateMinutes
+  }
+}
+
+// Load, optimize and format a professional's route for a date
+// Start and end default to the professional's configured locations, then Oulu city center.
+async function planProfessionalRoute(professionalId, date, { start = null, end = null } = {}) {
+  const stops = await loadDayStops(professionalId, date)
+  const { dayStart, dayEnd } = await loadDayHours(professionalId, date)
+  const configured = await loadDayEnds(professionalId)
+  const startLocation = start || configured.start || OULU_CENTER
+  const endLocation = end || (start ? start : configured.end) || startLocation
+  await primeTravelTimes([startLocation, endLocation, ...stops.map(s => s.location)])
+  const route = optimizeRoute(stops, { start: startLocation, end: endLocation, dayStart, date })
+
+  return {
+    professional_id: professionalId,
+    date,
+    dayStart: minutesToTime(dayStart),
+    dayEnd: dayEnd === null ? null : minutesToTime(dayEnd),
+    start: startLocation,
+    end: endLocation,
+    ...formatRoute(route, date),
+    route
+  }
+}
+
+// The active assignment behind a schedule entry: same patient, professional, date and
+// care plan, at the entry's time (or the only one that day). Null when there is none.
+async function findVisitAssignment(schedule) {
+  const { data, error } = await supabase
+    .from('patient_assignments')
+    .select('id, scheduled_visit_time, care_plan_id')
+    .eq('patient_id', schedule.patient_id)
+    .eq('professional_id', schedule.professional_id)
+    .eq('scheduled_visit_date', schedule.date)
+    .eq('status', 'active')
+
+  if (error) throw error
+
+  const rows = (data || []).filter(a => String(a.care_plan_id ?? '') === String(schedule.care_plan_id ?? ''))
+  const time = schedule.start_time ? schedule.start_time.slice(0, 5) : null
+  return rows.find(a => a.scheduled_visit_time && a.scheduled_visit_time.slice(0, 5) === time) ||
+    (rows.length === 1 ? rows[0] : null)
+}
+
+// Write a visit's times to its schedule row and its assignment (assignmentId, if any).
+// Returns { error, scheduleWritten } so a half-written visit can be put back too.
+async function writeVisitTimes(schedule, assignmentId, startTime, endTime) {
+  const { error: scheduleError } = await supabase
+    .from('schedules')
+    .update({ start_time: startTime, end_time: endTime, updated_at: new Date().toISOString() })
+    .eq('id', schedule.id)
+
+  if (scheduleError) return { error: scheduleError, scheduleWritten: false }
+  if (!assignmentId) return { error: null, scheduleWritten: true }
+
+  const { error: assignmentError } = await supabase
+    .from('patient_assignments')
+    .update({ scheduled_visit_time: startTime, updated_at: new Date().toISOString() })
+    .eq('id', assignmentId)
+
+  return { error: assignmentError || null, scheduleWritten: true }
+}
+
+// Why a route cannot be applied as it is, or null: a joint visit no longer at its
+// booked time, or a last visit ending after working hours (dayEnd, minutes or null)
+function findRouteProblem(route, dayEnd) {
+  const moved = route.stops.find(s => s.stop.pinned && s.start !== s.stop.windowStart)
+  if (moved) {
+    return `Joint visit ${moved.stop.schedule.id} cannot keep its time ${minutesToTime(moved.stop.windowStart)} in this order`
+  }
+
+  const last = route.stops[route.stops.length - 1]
+  if (last && dayEnd !== null && last.end > dayEnd) {
+    return `The last visit would end at ${minutesToTime(last.end)}, after working hours end at ${minutesToTime(dayEnd)}`
+  }
+  return null
+}
+
+// Re-order a professional's day and rewrite every visit's start/end time.
+// Joint visits keep their time, and an order that does not fit is refused with
+// code ROUTE_INFEASIBLE. If any write fails, rows already updated are put back
+// to their old times; rows that cannot be put back are listed under revertErrors.
+async function resequenceProfessionalDay(professionalId, date, { start = null, end = null, dryRun = false } = {}) {
+  const { route, ...plan } = await planProfessionalRoute(professionalId, date, { start, end })
+
+  const changes = route.stops.map((s, index) => {
+    const before = {
+      start_time: s.stop.schedule.start_time ? s.stop.schedule.start_time.slice(0, 5) : null,
+      end_time: s.stop.schedule.end_time ? s.stop.schedule.end_time.slice(0, 5) : null
+    }
+    const after = { start_time: minutesToTime(s.start), end_time: minutesToTime(s.end) }
+
+    return {
+      order: index + 1,
+      schedule_id: s.stop.schedule.id,
+      patient_id: s.stop.schedule.patient_id,
+      patient_name: s.stop.patient?.name ?? null,
+      before,
+      after,
+      changed: before.start_time !== after.start_time || before.end_time !== after.end_time
+    }
+  })
+
+  const result = {
+    ...plan,
+    dryRun,
+    applied: false,
+    changed: changes.filter(c => c.changed).length,
+    changes
+  }
+
+  const problem = findRouteProblem(route, plan.dayEnd === null ? null : timeToMinutes(plan.dayEnd))
+  if (problem) return { ...result, code: 'ROUTE_INFEASIBLE', error: problem }
+
+  if (dryRun) return result
+
+  // Find every visit's assignment before writing, while it still has the old time
+  const assignmentIds = new Map()
+  for (const [index, change] of changes.entries()) {
+    if (!change.changed) continue
+    const assignment = await findVisitAssignment(route.stops[index].stop.schedule)
+    assignmentIds.set(change.schedule_id, assignment?.id ?? null)
+  }
+
+  const written = []
+  for (const [index, change] of changes.entries()) {
+    if (!change.changed) continue
+
+    const schedule = route.stops[index].stop.schedule
+    const assignmentId = assignmentIds.get(change.schedule_id)
+    const { error, scheduleWritten } = await writeVisitTimes(schedule, assignmentId, change.after.start_time, change.after.end_time)
+
+    if (error) {
+      // The failing visit's schedule row may already carry its new times
+      if (scheduleWritten) written.push({ schedule, assignmentId, before: change.before })
+
+      const revertErrors = []
+      for (const done of written.reverse()) {
+        const { error: revertError } = await writeVisitTimes(done.schedule, done.assignmentId, done.before.start_time, done.before.end_time)
+        if (revertError) revertErrors.push(`schedule ${done.schedule.id}: ${revertError.message}`)
+      }
+
+      return {
+        ...result,
+        error: `Could not update schedule ${change.schedule_id}: ${error.message}`,
+        reverted: written.length - revertErrors.length,
+        ...(revertErrors.length > 0 && { revertErrors })
+      }
+    }
+
+    written.push({ schedule, assignmentId, before: change.before })
+  }
+
+  return { ...result, applied: true }
+}
+
+module.exports = {
+  optimizeRoute,
+  planProfessionalRoute,
+  resequenceProfessionalDay,
+  loadDayStops,
+  formatRoute,
+  simulateRoute,
+  LATE_PENALTY_PER_MINUTE
+}
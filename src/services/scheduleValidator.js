@@ -0,0 +1,187 @@
+/**
+ * Schedule Validator Service
+ *
+ * Checks a schedule entry before it is written: the professional's other visits
+ * that day (overlap, or too little time to drive between them), their working
+ * hours on the date, and the patient's other visits. The two halves of a
+ * joint visit (see careNeeds.js) do not conflict with each other.
+ */
+
+const { supabase } = require('../config/supabase')
+const {
+  travelBetween,
+  patientLocation,
+  timeToMinutes
+} = require('./timeSlotOptimizer')
+const { getDayAvailability } = require('./availability')
+const { primeTravelTimes } = require('./travelTime')
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/
+
+// Fields whose change needs the entry re-validated
+const SCHEDULE_TIMING_FIELDS = ['professional_id', 'patient_id', 'date', 'start_time', 'end_time', 'status']
+
+function describeVisit(visit) {
+  return `${visit.start_time}-${visit.end_time}`
+}
+
+// Conflict entries carry the clashing row so callers can show or fix it
+function conflictEntry(visit) {
+  return {
+    id: visit.id,
+    patient_id: visit.patient_id,
+    professional_id: visit.professional_id,
+    date: visit.date,
+    start_time: visit.start_time,
+    end_time: visit.end_time
+  }
+}
+
+function isActiveVisit(visit) {
+  return visit.status !== 'cancelled' && visit.start_time && visit.end_time
+}
+
+/**
+ * Find conflicts for an entry given the day's data; pure so it can be unit tested.
+ * professionalVisits and patientVisits are schedule rows (with patients for locations),
+ * workingHours the professional's hours on the date or null (offReason says why, see availability.js).
+ */
+function findScheduleConflicts(entry, { professionalVisits = [], patientVisits = [], workingHours = null, offReason = null, location = null }) {
+  const conflicts = []
+  const start = timeToMinutes(entry.start_time)
+  const end = timeToMinutes(entry.end_time)
+  const departure = minutes => ({ date: entry.date, minutes })
+  const isPartnerVisit = v => entry.partner_professional_id && String(v.professional_id) === String(entry.partner_professional_id)
+
+  if (!workingHours) {
+    conflicts.push({ type: 'no_working_hours', message: offReason || 'Professional has no working hours on this weekday' })
+  } else if (start < timeToMinutes(workingHours.start_time) || end > timeToMinutes(workingHours.end_time)) {
+    conflicts.push({
+      type: 'outside_working_hours',
+      message: `Visit is outside working hours ${workingHours.start_time}-${workingHours.end_time}`
+    })
+  }
+
+  for (const visit of professionalVisits.filter(isActiveVisit)) {
+    const visitStart = timeToMinutes(visit.start_time)
+    const visitEnd = timeToMinutes(visit.end_time)
+
+    if (visitStart < end && start < visitEnd) {
+      conflicts.push({
+        type: 'professional_overlap',
+        message: `Professional already has a visit ${describeVisit(visit)}`,
+        schedule: conflictEntry(visit)
+      })
+      continue
+    }
+
+    // Enough time to drive from the earlier visit to the later one
+    const visitLocation = patientLocation(visit.patients)
+    const [before, after] = visitEnd <= start
+      ? [{ end: visitEnd, location: visitLocation }, { start, location }]
+      : [{ end, location }, { start: visitStart, location: visitLocation }]
+    const travel = travelBetween(before.location, after.location, departure(before.end))
+
+    if (after.start - before.end < travel) {
+      conflicts.push({
+        type: 'travel_time',
+        message: `Only ${after.start - before.end} min between this visit and ${describeVisit(visit)}, ` +
+          `travel takes about ${travel} min`,
+        schedule: conflictEntry(visit)
+      })
+    }
+  }
+
+  for (const visit of patientVisits.filter(isActiveVisit)) {
+    if (isPartnerVisit(visit)) continue
+    if (timeToMinutes(visit.start_time) < end && start < timeToMinutes(visit.end_time)) {
+      conflicts.push({
+        type: 'patient_overlap',
+        message: `Patient already has a visit ${describeVisit(visit)}`,
+        schedule: conflictEntry(visit)
+      })
+    }
+  }
+
+  return conflicts
+}
+
+/**
+ * Load the day's data and check an entry (the merged row for updates).
+ * excludeId leaves the entry's own row out when it is being updated.
+ */
+async function validateScheduleEntry(entry, { excludeId = null } = {}) {
+  if (entry.status === 'cancelled' || !entry.professional_id || !entry.date || !entry.start_time || !entry.end_time) {
+    return []
+  }
+
+  const select = 'id, patient_id, professional_id, date, start_time, end_time, status, patients (area, latitude, longitude)'
+  const others = rows => (rows || []).filter(row => excludeId === null || String(row.id) !== String(excludeId))
+
+  const { data: professionalVisits, error: profError } = await supabase
+    .from('schedules')
+    .select(select)
+    .eq('professional_id', entry.professional_id)
+    .eq('date', entry.date)
+
+  if (profError) throw profError
+
+  let patientVisits = []
+  if (entry.patient_id) {
+    const { data, error } = await supabase
+      .from('schedules')
+      .select(select)
+      .eq('patient_id', entry.patient_id)
+      .eq('date', entry.date)
+      .neq('professional_id', entry.professional_id)
+
+    if (error) throw error
+    patientVisits = data
+  }
+
+  const availability = await getDayAvailability(entry.professional_id, entry.date)
+
+  let location = null
+  if (entry.patient_id) {
+    const { data: patient } = await supabase
+      .from('patients')
+      .select('area, latitude, longitude')
+      .eq('id', entry.patient_id)
+      .single()
+    location = patientLocation(patient)
+  }
+
+  // Same travel times as the slot finder, not just estimates
+  await primeTravelTimes([location, ...others(professionalVisits).map(v => patientLocation(v.patients))].map(l => l?.coords))
+
+  return findScheduleConflicts(entry, {
+    professionalVisits: others(professionalVisits),
+    patientVisits: others(patientVisits),
+    workingHours: availability.hours,
+    offReason: availability.reason,
+    location
+  })
+}
+
+// Times given must be HH:MM (or HH:MM:SS) and start must come before end;
+// returns an error message or null
+function validateScheduleTimes(entry) {
+  for (const field of ['start_time', 'end_time']) {
+    if (entry[field] !== undefined && entry[field] !== null && !TIME_PATTERN.test(entry[field])) {
+      return `${field} must be a time (HH:MM)`
+    }
+  }
+  if (entry.start_time && entry.end_time && timeToMinutes(entry.end_time) <= timeToMinutes(entry.start_time)) {
+    return 'end_time must be after start_time'
+  }
+  return null
+}
+
+module.exports = {
+  findScheduleConflicts,
+  validateScheduleEntry,
+  validateScheduleTimes,
+  conflictEntry,
+  isActiveVisit,
+  SCHEDULE_TIMING_FIELDS
+}
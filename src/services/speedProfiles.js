@@ -0,0 +1,119 @@
+/**
+ * Speed Profiles Service
+ *
+ * Driving speed by departure time for travel estimates. Hour bands (optionally
+ * limited to weekdays) set the speed, the first matching band wins; seasons
+ * (date ranges) scale it, e.g. slower winter driving. Loaded from a JSON config
+ * file (SPEED_PROFILES_PATH, default src/config/speedProfiles.json).
+ *
+ * A departure is { date: 'YYYY-MM-DD', minutes } with minutes since midnight.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { getWeekday, timeToMinutes } = require('./timeUtils')
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/speedProfiles.json')
+
+// Used when the config does not name a default speed
+const FALLBACK_SPEED_KMH = 30
+
+let profiles = null
+
+/**
+ * Build profiles from plain data: { defaultSpeedKmh, bands, seasons }
+ */
+function buildSpeedProfiles({ defaultSpeedKmh = FALLBACK_SPEED_KMH, bands = [], seasons = [] } = {}) {
+  return {
+    defaultSpeedKmh,
+    bands: bands.map(b => ({
+      name: b.name,
+      weekdays: b.weekdays || null,
+      start: timeToMinutes(b.startTime),
+      end: timeToMinutes(b.endTime),
+      speedKmh: b.speedKmh
+    })),
+    seasons: seasons.map(s => ({
+      name: s.name,
+      startDate: s.startDate,
+      endDate: s.endDate,
+      speedFactor: s.speedFactor
+    }))
+  }
+}
+
+function loadSpeedProfilesFromFile(filePath = process.env.SPEED_PROFILES_PATH || DEFAULT_CONFIG_PATH) {
+  return buildSpeedProfiles(JSON.parse(fs.readFileSync(filePath, 'utf8')))
+}
+
+function getSpeedProfiles() {
+  if (!profiles) profiles = loadSpeedProfilesFromFile()
+  return profiles
+}
+
+function setSpeedProfiles(newProfiles) {
+  profiles = newProfiles
+}
+
+/**
+ * Whether a date falls in a season. 'MM-DD' bounds repeat every year (and may wrap
+ * over New Year); 'YYYY-MM-DD' bounds are a one-off range.
+ */
+function isInSeason(date, season) {
+  if (season.startDate.length === 10) {
+    return date >= season.startDate && date <= season.endDate
+  }
+
+  const monthDay = date.slice(5)
+  if (season.startDate <= season.endDate) {
+    return monthDay >= season.startDate && monthDay <= season.endDate
+  }
+  return monthDay >= season.startDate || monthDay <= season.endDate
+}
+
+/**
+ * Speed for a departure: { speedKmh, profiles: [matched names] }.
+ * Without a departure the default speed applies.
+ */
+function getTravelSpeed(departure = null) {
+  const current = getSpeedProfiles()
+  if (!departure || !departure.date || departure.minutes === null || departure.minutes === undefined) {
+    return { speedKmh: current.defaultSpeedKmh, profiles: [] }
+  }
+
+  const weekday = getWeekday(departure.date)
+  const matched = []
+
+  const band = current.bands.find(b =>
+    (!b.weekdays || b.weekdays.includes(weekday)) &&
+    departure.minutes >= b.start && departure.minutes < b.end
+  )
+  let speedKmh = band ? band.speedKmh : current.defaultSpeedKmh
+  if (band) matched.push(band.name)
+
+  for (const season of current.seasons) {
+    if (isInSeason(departure.date, season)) {
+      speedKmh *= season.speedFactor
+      matched.push(season.name)
+    }
+  }
+
+  return { speedKmh, profiles: matched }
+}
+
+/**
+ * How much longer than at the default speed a trip takes (1 = no change)
+ */
+function getSlowdownFactor(departure = null) {
+  return getSpeedProfiles().defaultSpeedKmh / getTravelSpeed(departure).speedKmh
+}
+
+module.exports = {
+  buildSpeedProfiles,
+  loadSpeedProfilesFromFile,
+  getSpeedProfiles,
+  setSpeedProfiles,
+  getTravelSpeed,
+  getSlowdownFactor,
+  FALLBACK_SPEED_KMH
+}
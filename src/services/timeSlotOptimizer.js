@@ -4,114 +4,250 @@
  */
 
 const { supabase } = require('../config/supabase')
-const { calculateTravelTime, calculateDistance, getTravelTimeBetweenLocations } = require('./geoUtils')
-
-// Care type to specialization mapping
-const CARE_SPECIALTY_MAP = {
-  'wound dressing': ['Wound Care', 'Wound Care Specialist', 'Post-operative Care', 'Nursing Care'],
-  'wound care': ['Wound Care', 'Wound Care Specialist', 'Post-operative Care', 'Nursing Care'],
-  'post-operative care': ['Post-operative Care', 'Wound Care', 'Nursing Care', 'Acute Care'],
-  'iv therapy': ['IV Therapy Specialist', 'Nursing Care', 'Acute Care'],
-  'medication administration': ['Medication Administration', 'Medication Management', 'Nursing Care'],
-  'palliative care': ['Palliative Care', 'Elderly Care', 'Nursing Care'],
-  'respiratory care': ['Respiratory Care', 'Pulmonology', 'Nursing Care'],
-  'diabetic care': ['Diabetic Care', 'Chronic Disease Management', 'Endocrinology'],
-  'elderly care': ['Elderly Care', 'Home Health Aide', 'Nursing Care', 'Geriatric Care'],
-  'home health aide': ['Home Health Aide', 'Nursing Care', 'Elderly Care'],
-  'nursing care': ['Nursing Care', 'Home Health Aide', 'Medication Administration'],
-  'physical therapy': ['Physical Therapy', 'Rehabilitation', 'Occupational Therapy'],
-  'chronic disease management': ['Chronic Disease Management', 'Nursing Care'],
-  'cardiac care': ['Cardiac Care', 'Cardiology', 'Cardiovascular Assessment'],
-  'general checkup': ['Home Health Aide', 'Nursing Care', 'General Practice']
+const { getTravelTimeBetweenLocations } = require('./geoUtils')
+const { primeTravelTimes } = require('./travelTime')
+const { resolveProfessionalLocations } = require('./professionalLocations')
+const {
+  getVisitWindow,
+  checkVisitWindow,
+  hasVisitWindow,
+  applyVisitWindow,
+  describeVisitWindow,
+  isWeekend
+} = require('./visitWindows')
+const {
+  getCareTypeDuration,
+  getDefaultCareDuration,
+  qualifiesForCare,
+  getRequiredSkills,
+  describeSkillRequirement
+} = require('./careTypes')
+const {
+  getNeededCareTypes,
+  getVisitDuration,
+  splitCareNeeds,
+  getCareNeeds,
+  getPairVisitDuration
+} = require('./careNeeds')
+const { getDayAvailability } = require('./availability')
+const { getWeekday, timeToMinutes, minutesToTime, addMinutes } = require('./timeUtils')
+
+// Default daily visit limit for professionals without a configured capacity
+const DEFAULT_MAX_PATIENTS_PER_DAY = 4
+
+// Get care duration (the patient's estimate, else the care type's default)
+function getCareDuration(careNeeded, estimatedCareDuration = null) {
+  if (estimatedCareDuration && estimatedCareDuration > 0) {
+    return estimatedCareDuration
+  }
+  return getCareTypeDuration(careNeeded)
 }
 
-// Care duration by type (in minutes)
-const CARE_DURATION = {
-  'Wound Dressing': 45,
-  'Wound Care Specialist': 45,
-  'Post-operative Care': 60,
-  'IV Therapy Specialist': 45,
-  'Medication Administration': 30,
-  'Palliative Care': 60,
-  'Respiratory Care': 45,
-  'Diabetic Care': 40,
-  'Elderly Care': 50,
-  'Home Health Aide': 45,
-  'Nursing Care': 50,
-  'Physical Therapy': 60,
-  'Chronic Disease Management': 45,
-  'Home Visit - General Checkup': 30,
-  'Cardiac Care': 45,
-  'default': 45
+// Get travel time (coordinates first, then the shared zone model); departure = { date, minutes }
+function getTravelTime(from, to, fromCoords = null, toCoords = null, departure = null) {
+  return getTravelTimeBetweenLocations(
+    { lat: fromCoords?.lat, lng: fromCoords?.lng, area: from },
+    { lat: toCoords?.lat, lng: toCoords?.lng, area: to },
+    departure
+  )
 }
 
-// Zone-based travel times (fallback)
-const TRAVEL_TIME = {
-  'Keskusta (City Center)': { 'Keskusta (City Center)': 0, 'Raksila': 15, 'Tuira': 20, 'Meri-Oulu': 25, 'Pateniemi': 30, 'Pohjois-Oulu': 25, 'Kontinkangas': 20, 'Kaakkuri': 15, 'Myllyoja': 10 },
-  'Raksila': { 'Keskusta (City Center)': 15, 'Raksila': 0, 'Tuira': 10, 'Meri-Oulu': 20, 'Pateniemi': 25, 'Pohjois-Oulu': 20, 'Kontinkangas': 15, 'Kaakkuri': 20, 'Myllyoja': 10 },
-  'Tuira': { 'Keskusta (City Center)': 20, 'Raksila': 10, 'Tuira': 0, 'Meri-Oulu': 15, 'Pateniemi': 20, 'Pohjois-Oulu': 15, 'Kontinkangas': 20, 'Kaakkuri': 25, 'Myllyoja': 20 }
+// Check skill match against the care type catalogue (exact care type lookup)
+function checkSkillMatch(patientCareNeeded, professionalSpecializations) {
+  return qualifiesForCare(patientCareNeeded, professionalSpecializations)
 }
 
-// Get care duration
-function getCareDuration(careNeeded, estimatedCareDuration = null) {
-  if (estimatedCareDuration && estimatedCareDuration > 0) {
-    return estimatedCareDuration
+// Structured SKILL_MISMATCH error when a professional cannot provide the care, null when they can.
+// careNeeded is one care type or a list of them; an empty care need has no skill requirement.
+function checkSkillRequirement(careNeeded, professionalSpecializations, professionalId = null) {
+  const careTypes = (Array.isArray(careNeeded) ? careNeeded : [careNeeded]).filter(Boolean)
+  const unmet = careTypes.filter(careType => !checkSkillMatch(careType, professionalSpecializations))
+  if (unmet.length === 0) return null
+
+  const held = new Set((professionalSpecializations || []).map(s => s.specialization.toLowerCase()))
+  const missingSkills = [...new Set(unmet.flatMap(getRequiredSkills))]
+  return {
+    code: 'SKILL_MISMATCH',
+    error: `Professional is not qualified for ${unmet.map(careType =>
+      `${careType} (requires ${describeSkillRequirement(careType)})`).join('; ')}`,
+    care_needed: careTypes.join(', '),
+    ...(careTypes.length > 1 && { unmet_needs: unmet }),
+    professional_id: professionalId,
+    missing_skills: missingSkills.filter(skill => !held.has(skill.toLowerCase())),
+    professional_skills: (professionalSpecializations || []).map(s => s.specialization)
+  }
+}
+
+async function loadSpecializations(professionalId) {
+  const { data, error } = await supabase
+    .from('professional_specializations')
+    .select('specialization, years_experience, certification_level')
+    .eq('professional_id', professionalId)
+
+  if (error) throw error
+  return data || []
+}
+
+// Load a professional's specializations and check them against one or more care needs
+async function verifyProfessionalSkills(careNeeded, professionalId) {
+  if (!careNeeded || careNeeded.length === 0) return null
+  return checkSkillRequirement(careNeeded, await loadSpecializations(professionalId), professionalId)
+}
+
+// Same check for a manual assignment, looking up the patient's care needs first
+async function verifyAssignmentSkills(patientId, professionalId) {
+  const { data: patient, error } = await supabase
+    .from('patients')
+    .select('*')
+    .eq('id', patientId)
+    .single()
+
+  if (error) throw error
+  return verifyProfessionalSkills(getNeededCareTypes(patient), professionalId)
+}
+
+/**
+ * Read a skill override from a request. Only supervisors may override a mismatch,
+ * and they must say why. Returns { override } (null when none was asked for) or
+ * { status, error } to send back.
+ */
+function resolveSkillOverride(justification, profile, userId = null) {
+  if (justification === undefined || justification === null) return { override: null }
+
+  if (profile?.role !== 'supervisor') {
+    return { status: 403, error: 'Only supervisors can override a skill mismatch' }
+  }
+  if (typeof justification !== 'string' || justification.trim() === '') {
+    return { status: 400, error: 'skill_override_justification must be a non-empty string' }
   }
-  return CARE_DURATION[careNeeded] || CARE_DURATION['default']
+
+  return { override: { justification: justification.trim(), byId: userId } }
 }
 
-// Get travel time
-function getTravelTime(from, to, fromCoords = null, toCoords = null) {
-  if (fromCoords?.lat && fromCoords?.lng && toCoords?.lat && toCoords?.lng) {
-    return calculateTravelTime(fromCoords.lat, fromCoords.lng, toCoords.lat, toCoords.lng)
+// Columns recording an applied override on the assignment or schedule row
+function skillOverrideFields(override) {
+  return {
+    skill_override_justification: override.justification,
+    skill_override_by_id: override.byId
   }
-  if (!from || !to) return 15
-  const routeMap = TRAVEL_TIME[from]
-  return routeMap ? (routeMap[to] || 20) : 20
 }
 
-// Check skill match
-function checkSkillMatch(patientCareNeeded, professionalSpecializations) {
-  if (!patientCareNeeded || !professionalSpecializations || professionalSpecializations.length === 0) {
-    return false
+// Slot search granularity in minutes
+const SLOT_STEP_MINUTES = 15
+
+// Travel time between two timeline locations ({ area, coords })
+function travelBetween(from, to, departure = null) {
+  return getTravelTime(from?.area, to?.area, from?.coords, to?.coords, departure)
+}
+
+// Start times to try: every step from the start of the day, plus extra starts off that grid
+function candidateStarts(dayStart, dayEnd, duration, step, extraStarts) {
+  const starts = new Set()
+  for (let start = dayStart; start + duration <= dayEnd; start += step) starts.add(start)
+  for (const start of extraStarts) {
+    if (start >= dayStart && start + duration <= dayEnd) starts.add(start)
   }
+  return [...starts].sort((a, b) => a - b)
+}
 
-  const careNeededLower = patientCareNeeded.toLowerCase()
-  const profSpecs = professionalSpecializations.map(s => s.specialization.toLowerCase())
+// Find every feasible start time (in minutes) for a visit within a day's timeline.
+// With a date, each leg uses the speed profile for the time it departs. With an
+// origin/destination, the first and last leg of the day must fit in working hours.
+// extraStarts are checked too, e.g. a visit's current time that is off the step grid.
+function findFeasibleSlots({
+  dayStart,
+  dayEnd,
+  visits = [],
+  duration,
+  location = null,
+  step = SLOT_STEP_MINUTES,
+  date = null,
+  origin = null,
+  destination = null,
+  extraStarts = []
+}) {
+  const timeline = [...visits].sort((a, b) => a.start - b.start)
+  const slots = []
+
+  for (const start of candidateStarts(dayStart, dayEnd, duration, step, extraStarts)) {
+    const end = start + duration
+
+    // Visit must not overlap an existing visit
+    if (timeline.some(v => v.start < end && start < v.end)) continue
+
+    // Must be reachable from the previous visit in time
+    const previous = timeline.filter(v => v.end <= start).pop()
+    if (previous && previous.end + travelBetween(previous.location, location, date && { date, minutes: previous.end }) > start) continue
+    if (!previous && origin && dayStart + travelBetween(origin, location, date && { date, minutes: dayStart }) > start) continue
+
+    // Must leave enough time to reach the next visit
+    const next = timeline.find(v => v.start >= end)
+    if (next && end + travelBetween(location, next.location, date && { date, minutes: end }) > next.start) continue
+    if (!next && destination && end + travelBetween(location, destination, date && { date, minutes: end }) > dayEnd) continue
+
+    slots.push(start)
+  }
 
-  if (profSpecs.some(spec => spec === careNeededLower)) return true
+  return slots
+}
 
-  for (const [careType, validSpecs] of Object.entries(CARE_SPECIALTY_MAP)) {
-    if (careNeededLower.includes(careType)) {
-      const hasValidSpec = validSpecs.some(validSpec => 
-        profSpecs.some(profSpec => 
-          profSpec.includes(validSpec.toLowerCase()) || validSpec.toLowerCase().includes(profSpec)
-        )
-      )
-      if (hasValidSpec) return true
-    }
+// Build a timeline location from a patient row
+function patientLocation(patient) {
+  if (!patient) return null
+  return {
+    area: patient.area,
+    coords: { lat: patient.latitude, lng: patient.longitude }
   }
+}
 
-  return false
+// Timeline location for a resolved start/end point ({ lat, lng, area })
+function pointLocation(point) {
+  if (!point) return null
+  return { area: point.area, coords: { lat: point.lat, lng: point.lng } }
 }
 
-// Calculate available time slots
-async function calculateAvailableTimeSlots(professionalId, visitDate, existingAssignments = []) {
-  try {
-    const dateObj = new Date(visitDate)
-    const dayOfWeek = dateObj.getDay() === 0 ? 7 : dateObj.getDay()
+// Resolve a professional's capacity for one weekday.
+// Per-weekday values on working_hours override the professional's defaults.
+function resolveDailyCapacity(professional = null, workingHours = null) {
+  return {
+    maxPatients: workingHours?.max_patients ?? professional?.max_patients_per_day ?? DEFAULT_MAX_PATIENTS_PER_DAY,
+    maxCareMinutes: workingHours?.max_care_minutes ?? professional?.max_care_minutes_per_day ?? null
+  }
+}
 
-    // Get working hours
-    const { data: workingHours, error: whError } = await supabase
-      .from('working_hours')
-      .select('start_time, end_time')
-      .eq('professional_id', professionalId)
-      .eq('weekday', dayOfWeek)
+// Check a day's bookings against capacity; returns a reason string when the visit does not fit
+function checkCapacity(capacity, patientCountOnDay, careMinutesOnDay, visitDuration) {
+  if (patientCountOnDay >= capacity.maxPatients) {
+    return `Professional has ${patientCountOnDay}/${capacity.maxPatients} patients`
+  }
+  if (capacity.maxCareMinutes !== null && careMinutesOnDay + visitDuration > capacity.maxCareMinutes) {
+    return `Professional has ${careMinutesOnDay}/${capacity.maxCareMinutes} care minutes booked, ` +
+      `a ${visitDuration} min visit does not fit`
+  }
+  return null
+}
+
+// Calculate available time slots. startTime ('HH:MM') is checked as well as the
+// 15-minute grid, so a visit's own time can be tested exactly.
+async function calculateAvailableTimeSlots(professionalId, visitDate, existingAssignments = [], { patient = null, duration = null, startTime = null } = {}) {
+  try {
+    // Get professional-level capacity defaults and day start/end locations
+    // (missing columns fall back to the global default / no first and last leg)
+    const { data: professional } = await supabase
+      .from('professionals')
+      .select('*')
+      .eq('id', professionalId)
       .single()
 
-    if (whError || !workingHours) {
-      return { available: false, reason: 'No working hours for this day', patientCountOnDay: 0, maxCapacity: 4 }
+    // Get the day's working hours (weekly template, date exceptions, holidays, absences)
+    const availability = await getDayAvailability(professionalId, visitDate)
+    if (!availability.hours) {
+      return { available: false, reason: availability.reason, patientCountOnDay: 0, maxCapacity: 0 }
     }
+    const workingHours = availability.hours
+
+    const capacity = resolveDailyCapacity(professional, workingHours)
+    const capacityInfo = { maxCapacity: capacity.maxPatients, maxCareMinutes: capacity.maxCareMinutes }
 
     // Get assigned patients from DB
     const { data: assignedPatients, error: assignError } = await supabase
@@ -122,7 +258,7 @@ async function calculateAvailableTimeSlots(professionalId, visitDate, existingAs
       .eq('status', 'active')
 
     if (assignError) {
-      return { available: false, reason: 'Error checking capacity', patientCountOnDay: 0, maxCapacity: 4 }
+      return { available: false, reason: 'Error checking capacity', patientCountOnDay: 0, ...capacityInfo }
     }
 
     // Filter memory assignments
@@ -133,40 +269,102 @@ async function calculateAvailableTimeSlots(professionalId, visitDate, existingAs
     const dbCount = assignedPatients ? assignedPatients.length : 0
     const memoryCount = memoryAssignmentsForDay.length
     const currentPatientCountOnDay = dbCount + memoryCount
-    const MAX_PATIENTS_PER_DAY = 4
 
-    if (currentPatientCountOnDay >= MAX_PATIENTS_PER_DAY) {
-      return {
-        available: false,
-        reason: `Professional has ${currentPatientCountOnDay}/${MAX_PATIENTS_PER_DAY} patients`,
-        patientCountOnDay: currentPatientCountOnDay,
-        maxCapacity: MAX_PATIENTS_PER_DAY
-      }
+    // Get the day's existing visits to build the timeline
+    const { data: scheduledVisits, error: scheduleError } = await supabase
+      .from('schedules')
+      .select('id, patient_id, start_time, end_time, status, patients (area, latitude, longitude)')
+      .eq('professional_id', professionalId)
+      .eq('date', visitDate)
+
+    if (scheduleError) {
+      return { available: false, reason: 'Error loading existing visits', patientCountOnDay: currentPatientCountOnDay, ...capacityInfo }
     }
 
-    // Parse working hours
-    const [startHour, startMin] = workingHours.start_time.split(':').map(Number)
-    const [endHour, endMin] = workingHours.end_time.split(':').map(Number)
-    const dayStart = startHour * 60 + startMin
-    const dayEnd = endHour * 60 + endMin
+    const timeline = (scheduledVisits || [])
+      .filter(v => v.status !== 'cancelled' && v.start_time)
+      .map(v => {
+        const start = timeToMinutes(v.start_time)
+        return {
+          start,
+          end: v.end_time ? timeToMinutes(v.end_time) : start + getDefaultCareDuration(),
+          location: patientLocation(v.patients)
+        }
+      })
 
-    // Find available slot (simplified)
-    const slotTime = dayStart + (currentPatientCountOnDay * 120) // 2 hours per patient
-    
-    if (slotTime + 60 > dayEnd) {
-      return { available: false, reason: 'No time slots available', patientCountOnDay: currentPatientCountOnDay }
+    // In-memory assignments (e.g. earlier entries of a bulk run) occupy time too
+    for (const a of memoryAssignmentsForDay) {
+      if (!a.scheduled_visit_time) continue
+      const start = timeToMinutes(a.scheduled_visit_time)
+      timeline.push({
+        start,
+        end: start + (a.duration || getDefaultCareDuration()),
+        location: a.location || null
+      })
     }
 
-    const hours = Math.floor(slotTime / 60)
-    const mins = slotTime % 60
-    const suggestedTime = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`
+    const careMinutesOnDay = timeline.reduce((sum, v) => sum + (v.end - v.start), 0)
+    const visitDuration = duration || (patient ? getVisitDuration(patient, visitDate) : getDefaultCareDuration())
+
+    const bookingInfo = {
+      patientCountOnDay: currentPatientCountOnDay,
+      careMinutesOnDay,
+      ...capacityInfo
+    }
+
+    const capacityReason = checkCapacity(capacity, currentPatientCountOnDay, careMinutesOnDay, visitDuration)
+    if (capacityReason) {
+      return { available: false, reason: capacityReason, ...bookingInfo }
+    }
+
+    // Patients who take no weekend visits under a hard window cannot be booked at all
+    const visitWindow = getVisitWindow(patient)
+    if (visitWindow.hard && visitWindow.noWeekends && isWeekend(visitDate)) {
+      return { available: false, reason: 'Patient does not accept weekend visits', ...bookingInfo }
+    }
+
+    const location = patientLocation(patient)
+    const dayEnds = resolveProfessionalLocations(professional)
+    const origin = pointLocation(dayEnds.start)
+    const destination = pointLocation(dayEnds.end)
+    await primeTravelTimes([location, origin, destination, ...timeline.map(v => v.location)].map(l => l?.coords))
+
+    const feasible = findFeasibleSlots({
+      dayStart: timeToMinutes(workingHours.start_time),
+      dayEnd: timeToMinutes(workingHours.end_time),
+      visits: timeline,
+      duration: visitDuration,
+      location,
+      date: visitDate,
+      origin,
+      destination,
+      extraStarts: startTime ? [timeToMinutes(startTime)] : []
+    })
+
+    if (feasible.length === 0) {
+      return { available: false, reason: 'No time slots available', ...bookingInfo }
+    }
+
+    const { slots, best, violations } = applyVisitWindow(visitWindow, visitDate, feasible)
+    const windowInfo = hasVisitWindow(visitWindow) ? { visitWindow: describeVisitWindow(visitWindow) } : {}
+
+    if (slots.length === 0) {
+      return {
+        available: false,
+        reason: `No time slots within the patient's visit window (${describeVisitWindow(visitWindow)})`,
+        ...windowInfo,
+        ...bookingInfo
+      }
+    }
 
     return {
       available: true,
-      suggestedTime,
-      slots: [suggestedTime],
-      patientCountOnDay: currentPatientCountOnDay,
-      maxCapacity: MAX_PATIENTS_PER_DAY
+      suggestedTime: minutesToTime(best),
+      slots: slots.map(minutesToTime),
+      duration: visitDuration,
+      ...windowInfo,
+      windowViolations: violations,
+      ...bookingInfo
     }
   } catch (err) {
     console.error('Error calculating slots:', err)
@@ -174,8 +372,65 @@ async function calculateAvailableTimeSlots(professionalId, visitDate, existingAs
   }
 }
 
-// Smart assign patient
-async function smartAssignPatient(patientId, professionalId, date, assignedById = null) {
+// Find what a new visit would clash with: the patient's active assignments,
+// their other visits that day, and earlier entries of the same batch
+async function findAssignmentConflicts(patientId, date, startTime, endTime, existingAssignments = []) {
+  const conflicts = []
+
+  const { data: activeAssignments, error: assignError } = await supabase
+    .from('patient_assignments')
+    .select('id, professional_id, scheduled_visit_date, scheduled_visit_time')
+    .eq('patient_id', patientId)
+    .eq('status', 'active')
+
+  if (assignError) throw assignError
+
+  for (const a of activeAssignments || []) {
+    conflicts.push({
+      type: 'existing_assignment',
+      message: 'Patient already has an active assignment',
+      assignment: a
+    })
+  }
+
+  const { data: patientVisits, error: scheduleError } = await supabase
+    .from('schedules')
+    .select('id, professional_id, start_time, end_time, status')
+    .eq('patient_id', patientId)
+    .eq('date', date)
+
+  if (scheduleError) throw scheduleError
+
+  const start = timeToMinutes(startTime)
+  const end = timeToMinutes(endTime)
+  for (const v of patientVisits || []) {
+    if (v.status === 'cancelled' || !v.start_time || !v.end_time) continue
+    if (timeToMinutes(v.start_time) < end && start < timeToMinutes(v.end_time)) {
+      conflicts.push({
+        type: 'patient_overlap',
+        message: `Patient already has a visit ${v.start_time}-${v.end_time}`,
+        schedule: v
+      })
+    }
+  }
+
+  for (const a of existingAssignments) {
+    if (a.patient_id === patientId) {
+      conflicts.push({
+        type: 'duplicate_in_batch',
+        message: 'Patient appears earlier in the same batch',
+        assignment: a
+      })
+    }
+  }
+
+  return conflicts
+}
+
+// Smart assign patient.
+// With dryRun the same validation and slot search run, but nothing is written;
+// the would-be rows and any conflicts are returned instead.
+async function smartAssignPatient(patientId, professionalId, date, assignedById = null, { dryRun = false, existingAssignments = [], skillOverride = null } = {}) {
   try {
     // Get patient details
     const { data: patient, error: patientError } = await supabase
@@ -186,11 +441,27 @@ async function smartAssignPatient(patientId, professionalId, date, assignedById
 
     if (patientError) throw patientError
 
+    // The professional must be qualified for the care, unless a supervisor overrides it
+    const skillMismatch = await verifyProfessionalSkills(getNeededCareTypes(patient, date), professionalId)
+    if (skillMismatch && !skillOverride) {
+      return { success: false, ...(dryRun && { dryRun: true }), ...skillMismatch }
+    }
+    const overrideFields = skillMismatch ? skillOverrideFields(skillOverride) : {}
+
     // Get available slot
-    const slots = await calculateAvailableTimeSlots(professionalId, date)
+    const slots = await calculateAvailableTimeSlots(professionalId, date, existingAssignments, { patient })
     
     if (!slots.available) {
-      return { success: false, error: slots.reason }
+      return {
+        success: false,
+        ...(dryRun && { dryRun: true }),
+        error: slots.reason,
+        patientCountOnDay: slots.patientCountOnDay,
+        maxCapacity: slots.maxCapacity,
+        careMinutesOnDay: slots.careMinutesOnDay,
+        maxCareMinutes: slots.maxCareMinutes,
+        ...(slots.visitWindow && { visitWindow: slots.visitWindow })
+      }
     }
 
     // Create assignment
@@ -201,7 +472,34 @@ async function smartAssignPatient(patientId, professionalId, date, assignedById
       scheduled_visit_date: date,
       scheduled_visit_time: slots.suggestedTime,
       status: 'active',
-      assignment_date: new Date().toISOString()
+      assignment_date: new Date().toISOString(),
+      ...overrideFields
+    }
+
+    const scheduleData = {
+      patient_id: patientId,
+      professional_id: professionalId,
+      date,
+      start_time: slots.suggestedTime,
+      end_time: addMinutes(slots.suggestedTime, slots.duration),
+      status: 'scheduled'
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        assignment: assignmentData,
+        schedule: scheduleData,
+        suggestedTime: slots.suggestedTime,
+        duration: slots.duration,
+        location: patientLocation(patient),
+        windowViolations: slots.windowViolations,
+        ...(skillMismatch && { skillOverride: { ...skillOverride, missing_skills: skillMismatch.missing_skills } }),
+        conflicts: await findAssignmentConflicts(
+          patientId, date, scheduleData.start_time, scheduleData.end_time, existingAssignments
+        )
+      }
     }
 
     const { data, error } = await supabase
@@ -212,36 +510,215 @@ async function smartAssignPatient(patientId, professionalId, date, assignedById
 
     if (error) throw error
 
-    // Create schedule entry
-    await supabase
+    // Create schedule entry; the assignment is only kept if this succeeds too
+    const { data: schedule, error: scheduleError } = await supabase
       .from('schedules')
-      .insert([{
+      .insert([scheduleData])
+      .select()
+      .single()
+
+    if (scheduleError) {
+      const revert = await revertAssignment({ assignmentId: data.id })
+      return {
+        success: false,
+        error: `Schedule entry could not be created: ${scheduleError.message}`,
+        reverted: [revert]
+      }
+    }
+
+    return {
+      success: true,
+      assignment: data,
+      schedule,
+      suggestedTime: slots.suggestedTime,
+      duration: slots.duration,
+      location: patientLocation(patient),
+      windowViolations: slots.windowViolations,
+      ...(skillMismatch && { skillOverride: { ...skillOverride, missing_skills: skillMismatch.missing_skills } })
+    }
+  } catch (err) {
+    console.error('Smart assign error:', err)
+    return { success: false, error: err.message }
+  }
+}
+
+// Smart assign a joint visit: two professionals visit together and split the
+// patient's care needs between them (each need goes to the first who qualifies).
+// Both get an assignment and schedule entry at a start time free for both.
+async function smartAssignPair(patientId, professionalId, partnerId, date, assignedById = null, { dryRun = false, skillOverride = null } = {}) {
+  try {
+    if (String(professionalId) === String(partnerId)) {
+      return { success: false, error: 'partner_professional_id must differ from professional_id' }
+    }
+
+    const { data: patient, error: patientError } = await supabase
+      .from('patients')
+      .select('*')
+      .eq('id', patientId)
+      .single()
+
+    if (patientError) throw patientError
+
+    const primarySpecs = await loadSpecializations(professionalId)
+    const partnerSpecs = await loadSpecializations(partnerId)
+    const split = splitCareNeeds(getCareNeeds(patient, date), primarySpecs, partnerSpecs)
+
+    // Together they must cover every need, unless a supervisor overrides it
+    const skillMismatch = split.uncovered.length > 0
+      ? checkSkillRequirement(split.uncovered.map(n => n.care_type), [...primarySpecs, ...partnerSpecs], professionalId)
+      : null
+    if (skillMismatch && !skillOverride) {
+      return { success: false, ...(dryRun && { dryRun: true }), ...skillMismatch, professional_id: [professionalId, partnerId] }
+    }
+    const overrideFields = skillMismatch ? skillOverrideFields(skillOverride) : {}
+
+    const duration = getPairVisitDuration(patient, split)
+    const primarySlots = await calculateAvailableTimeSlots(professionalId, date, [], { patient, duration })
+    const partnerSlots = await calculateAvailableTimeSlots(partnerId, date, [], { patient, duration })
+
+    for (const [id, slots] of [[professionalId, primarySlots], [partnerId, partnerSlots]]) {
+      if (!slots.available) {
+        return { success: false, ...(dryRun && { dryRun: true }), error: `Professional ${id}: ${slots.reason}` }
+      }
+    }
+
+    // Common start closest to the primary professional's suggestion
+    const common = primarySlots.slots.filter(slot => partnerSlots.slots.includes(slot))
+    if (common.length === 0) {
+      return { success: false, ...(dryRun && { dryRun: true }), error: 'No time slot is free for both professionals' }
+    }
+    const target = timeToMinutes(primarySlots.suggestedTime)
+    const time = common.reduce((best, slot) =>
+      Math.abs(timeToMinutes(slot) - target) < Math.abs(timeToMinutes(best) - target) ? slot : best
+    )
+
+    const visits = [
+      { professional_id: professionalId, partner_id: partnerId, needs: split.primary },
+      { professional_id: partnerId, partner_id: professionalId, needs: split.partner }
+    ].map(v => ({
+      care_needs: v.needs.map(n => n.care_type),
+      assignment: {
         patient_id: patientId,
-        professional_id: professionalId,
+        professional_id: v.professional_id,
+        partner_professional_id: v.partner_id,
+        assigned_by_id: assignedById,
+        scheduled_visit_date: date,
+        scheduled_visit_time: time,
+        status: 'active',
+        assignment_date: new Date().toISOString(),
+        ...overrideFields
+      },
+      schedule: {
+        patient_id: patientId,
+        professional_id: v.professional_id,
+        partner_professional_id: v.partner_id,
         date,
-        start_time: slots.suggestedTime,
-        end_time: addMinutes(slots.suggestedTime, getCareDuration(patient.care_needed, patient.estimated_care_duration)),
+        start_time: time,
+        end_time: addMinutes(time, duration),
         status: 'scheduled'
-      }])
+      }
+    }))
+
+    const result = {
+      suggestedTime: time,
+      duration,
+      location: patientLocation(patient),
+      windowViolations: checkVisitWindow(getVisitWindow(patient), date, timeToMinutes(time)),
+      ...(skillMismatch && { skillOverride: { ...skillOverride, missing_skills: skillMismatch.missing_skills } })
+    }
+
+    if (dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        visits,
+        ...result,
+        conflicts: await findAssignmentConflicts(patientId, date, time, addMinutes(time, duration))
+      }
+    }
+
+    // Create both visits; if any row fails, everything created so far is removed
+    const created = []
+    for (const visit of visits) {
+      const { data: assignment, error } = await supabase
+        .from('patient_assignments')
+        .insert([visit.assignment])
+        .select()
+        .single()
+
+      let schedule = null
+      let failure = error
+      if (!failure) {
+        created.push({ assignmentId: assignment.id })
+        const { data, error: scheduleError } = await supabase
+          .from('schedules')
+          .insert([visit.schedule])
+          .select()
+          .single()
+        failure = scheduleError
+        schedule = data
+        if (!failure) created[created.length - 1].scheduleId = schedule.id
+      }
+
+      if (failure) {
+        const reverted = []
+        for (const row of [...created].reverse()) reverted.push(await revertAssignment(row))
+        return { success: false, error: `Joint visit could not be created: ${failure.message}`, reverted }
+      }
 
-    return { success: true, assignment: data, suggestedTime: slots.suggestedTime }
+      visit.assignment = assignment
+      visit.schedule = schedule
+    }
+
+    return { success: true, visits, ...result }
   } catch (err) {
-    console.error('Smart assign error:', err)
+    console.error('Smart assign pair error:', err)
     return { success: false, error: err.message }
   }
 }
 
-// Bulk assign patients
-async function bulkAssignPatients(assignments, assignedById) {
+// Undo a created assignment and its schedule entry (schedule first, it references the visit)
+async function revertAssignment({ assignmentId = null, scheduleId = null }) {
+  const result = { assignment_id: assignmentId, schedule_id: scheduleId, success: true, errors: [] }
+
+  if (scheduleId) {
+    const { error } = await supabase.from('schedules').delete().eq('id', scheduleId)
+    if (error) result.errors.push(`schedule ${scheduleId}: ${error.message}`)
+  }
+
+  if (assignmentId) {
+    const { error } = await supabase.from('patient_assignments').delete().eq('id', assignmentId)
+    if (error) result.errors.push(`assignment ${assignmentId}: ${error.message}`)
+  }
+
+  result.success = result.errors.length === 0
+  return result
+}
+
+// Bulk assign patients.
+// Each item creates its assignment and schedule entry together. With atomic the
+// whole batch is all-or-nothing: the first failure stops the run and every row
+// created so far is deleted again. Items may carry a skillOverride (see resolveSkillOverride).
+async function bulkAssignPatients(assignments, assignedById, { dryRun = false, atomic = false } = {}) {
   const results = []
   const existingAssignments = []
+  const created = []
+  const reverted = []
+  let aborted = false
+
+  for (const { skillOverride = null, ...assignment } of assignments) {
+    if (aborted) {
+      results.push({ ...assignment, success: false, skipped: true, error: 'Skipped: an earlier item in the atomic batch failed' })
+      continue
+    }
 
-  for (const assignment of assignments) {
+    // In a dry run nothing reaches the database, so earlier entries are passed in memory
     const result = await smartAssignPatient(
       assignment.patient_id,
       assignment.professional_id,
       assignment.date,
-      assignedById
+      assignedById,
+      dryRun ? { dryRun, existingAssignments, skillOverride } : { skillOverride }
     )
     
     results.push({
@@ -249,39 +726,94 @@ async function bulkAssignPatients(assignments, assignedById) {
       ...result
     })
 
+    if (result.reverted) reverted.push(...result.reverted)
+
     if (result.success) {
       existingAssignments.push({
+        patient_id: assignment.patient_id,
         professional_id: assignment.professional_id,
         scheduled_visit_date: assignment.date,
-        scheduled_visit_time: result.suggestedTime
+        scheduled_visit_time: result.suggestedTime,
+        duration: result.duration,
+        location: result.location
       })
+
+      if (!dryRun) {
+        created.push({
+          patient_id: assignment.patient_id,
+          assignment_id: result.assignment.id,
+          schedule_id: result.schedule.id
+        })
+      }
+    } else if (atomic) {
+      aborted = true
+    }
+  }
+
+  // Roll back the whole batch, newest first. Rows that could not be deleted stay in created.
+  const rollbackErrors = []
+  if (aborted && !dryRun) {
+    const revertsById = new Map()
+    for (const row of [...created].reverse()) {
+      const revert = await revertAssignment({ assignmentId: row.assignment_id, scheduleId: row.schedule_id })
+      reverted.push(revert)
+      revertsById.set(row.assignment_id, revert)
+      rollbackErrors.push(...revert.errors)
+    }
+    created.splice(0, created.length, ...created.filter(row => !revertsById.get(row.assignment_id).success))
+
+    for (const r of results) {
+      if (!r.success) continue
+      const revert = revertsById.get(r.assignment?.id)
+      r.rolledBack = Boolean(revert?.success)
+      if (r.rolledBack) {
+        r.success = false
+      } else {
+        r.rollbackErrors = revert ? revert.errors : ['Row was not found for rollback']
+      }
     }
   }
 
   return {
+    ...(dryRun && { dryRun: true }),
+    ...(rollbackErrors.length > 0 && { rollbackErrors }),
+    atomic,
+    committed: !dryRun && !aborted,
     total: assignments.length,
     successful: results.filter(r => r.success).length,
     failed: results.filter(r => !r.success).length,
+    created,
+    reverted,
     results
   }
 }
 
-// Helper: Add minutes to time string
-function addMinutes(timeString, minutes) {
-  const [h, m] = timeString.split(':').map(Number)
-  const totalMins = h * 60 + m + minutes
-  const newH = Math.floor(totalMins / 60)
-  const newM = totalMins % 60
-  return `${newH.toString().padStart(2, '0')}:${newM.toString().padStart(2, '0')}`
-}
-
 module.exports = {
   calculateAvailableTimeSlots,
   smartAssignPatient,
+  smartAssignPair,
   bulkAssignPatients,
+  revertAssignment,
   getCareDuration,
   getTravelTime,
   checkSkillMatch,
-  CARE_SPECIALTY_MAP,
-  CARE_DURATION
+  getRequiredSkills,
+  checkSkillRequirement,
+  loadSpecializations,
+  verifyProfessionalSkills,
+  verifyAssignmentSkills,
+  resolveSkillOverride,
+  skillOverrideFields,
+  findFeasibleSlots,
+  travelBetween,
+  patientLocation,
+  pointLocation,
+  resolveDailyCapacity,
+  checkCapacity,
+  getWeekday,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes,
+  SLOT_STEP_MINUTES,
+  DEFAULT_MAX_PATIENTS_PER_DAY
 }
@@ -0,0 +1,45 @@
+/**
+ * Time Utilities
+ * Shared helpers for 'HH:MM' times and 'YYYY-MM-DD' dates
+ *
+ * Dates are calendar days without a time zone, so they are handled in UTC.
+ */
+
+// ISO weekday (1 = Monday ... 7 = Sunday) of a YYYY-MM-DD date
+function getWeekday(dateString) {
+  const day = new Date(`${dateString.slice(0, 10)}T00:00:00Z`).getUTCDay()
+  return day === 0 ? 7 : day
+}
+
+// YYYY-MM-DD date a number of days later (or earlier when negative)
+function addDays(dateString, days) {
+  const d = new Date(`${dateString.slice(0, 10)}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().slice(0, 10)
+}
+
+// Convert 'HH:MM' or 'HH:MM:SS' to minutes since midnight
+function timeToMinutes(timeString) {
+  const [h, m] = timeString.split(':').map(Number)
+  return h * 60 + m
+}
+
+// Convert minutes since midnight to 'HH:MM'
+function minutesToTime(totalMins) {
+  const h = Math.floor(totalMins / 60)
+  const m = totalMins % 60
+  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`
+}
+
+// Add minutes to a time string
+function addMinutes(timeString, minutes) {
+  return minutesToTime(timeToMinutes(timeString) + minutes)
+}
+
+module.exports = {
+  getWeekday,
+  addDays,
+  timeToMinutes,
+  minutesToTime,
+  addMinutes
+}
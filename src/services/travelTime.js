@@ -0,0 +1,225 @@
+/**
+ * Travel Time Service
+ *
+ * Provider interface behind getTravelTimeBetweenLocations. Routing providers are
+ * asynchronous HTTP services, while the schedulers need travel times
+ * synchronously, so callers prime the cache for the locations they are about to
+ * compare and geoUtils reads from it, falling back to the Haversine estimate.
+ *
+ * Providers (TRAVEL_TIME_PROVIDER):
+ * - haversine (default): no routing service, estimates only
+ * - osrm: OSRM table service at TRAVEL_TIME_URL
+ * - valhalla: Valhalla sources_to_targets service at TRAVEL_TIME_URL
+ */
+
+// How long routed times stay cached
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000
+
+// Give up on the routing service after this long and use the estimate
+const DEFAULT_TIMEOUT_MS = 5000
+
+// Most legs kept in the cache; the oldest go first once expired ones are swept out
+const DEFAULT_CACHE_MAX_ENTRIES = 100000
+
+const cache = new Map()
+
+let providerOverride = null
+
+function hasCoords(location) {
+  return Boolean(location && location.lat && location.lng)
+}
+
+function locationKey(location) {
+  return `${Number(location.lat).toFixed(5)},${Number(location.lng).toFixed(5)}`
+}
+
+function pairKey(from, to) {
+  return `${locationKey(from)}|${locationKey(to)}`
+}
+
+function cacheTtl() {
+  return parseInt(process.env.TRAVEL_TIME_CACHE_TTL_MS, 10) || DEFAULT_CACHE_TTL_MS
+}
+
+function cacheMaxEntries() {
+  return parseInt(process.env.TRAVEL_TIME_CACHE_MAX_ENTRIES, 10) || DEFAULT_CACHE_MAX_ENTRIES
+}
+
+// Store a leg. A full cache first drops expired legs, then the oldest tenth,
+// so the sweep does not run again on every following write.
+function cacheLeg(key, leg) {
+  const limit = cacheMaxEntries()
+  if (!cache.has(key) && cache.size >= limit) {
+    const now = Date.now()
+    for (const [oldKey, entry] of cache) {
+      if (entry.expiresAt < now) cache.delete(oldKey)
+    }
+    // Maps keep insertion order, so the first keys are the oldest
+    const keep = limit - Math.ceil(limit / 10)
+    for (const oldKey of cache.keys()) {
+      if (cache.size <= keep) break
+      cache.delete(oldKey)
+    }
+  }
+  cache.set(key, leg)
+}
+
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController()
+  const timer = setTimeout(
+    () => controller.abort(),
+    parseInt(process.env.TRAVEL_TIME_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  )
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * OSRM table provider; returns { minutes[i][j], km[i][j] }
+ */
+function createOsrmProvider({ baseUrl, profile = 'driving' }) {
+  return {
+    name: 'osrm',
+    async matrix(locations) {
+      const coords = locations.map(l => `${l.lng},${l.lat}`).join(';')
+      const response = await fetchWithTimeout(
+        `${baseUrl.replace(/\/$/, '')}/table/v1/${profile}/${coords}?annotations=duration,distance`
+      )
+
+      if (!response.ok) throw new Error(`Routing service error: ${response.status}`)
+
+      const data = await response.json()
+      if (data.code !== 'Ok') throw new Error(`Routing service error: ${data.code}`)
+
+      return {
+        minutes: data.durations.map(row => row.map(sec => (sec === null ? null : sec / 60))),
+        km: data.distances ? data.distances.map(row => row.map(m => (m === null ? null : m / 1000))) : null
+      }
+    }
+  }
+}
+
+/**
+ * Valhalla sources_to_targets provider; returns { minutes[i][j], km[i][j] }
+ */
+function createValhallaProvider({ baseUrl, costing = 'auto' }) {
+  return {
+    name: 'valhalla',
+    async matrix(locations) {
+      const points = locations.map(l => ({ lat: l.lat, lon: l.lng }))
+      const response = await fetchWithTimeout(`${baseUrl.replace(/\/$/, '')}/sources_to_targets`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sources: points, targets: points, costing })
+      })
+
+      if (!response.ok) throw new Error(`Routing service error: ${response.status}`)
+
+      const data = await response.json()
+      const rows = data.sources_to_targets || []
+
+      return {
+        minutes: rows.map(row => row.map(cell => (cell.time === null ? null : cell.time / 60))),
+        km: rows.map(row => row.map(cell => cell.distance))
+      }
+    }
+  }
+}
+
+function createProviderFromEnv(env = process.env) {
+  const name = env.TRAVEL_TIME_PROVIDER || 'haversine'
+  if (name === 'haversine') return null
+
+  if (!env.TRAVEL_TIME_URL) {
+    throw new Error(`TRAVEL_TIME_URL is required for the ${name} travel time provider`)
+  }
+
+  if (name === 'osrm') return createOsrmProvider({ baseUrl: env.TRAVEL_TIME_URL, profile: env.TRAVEL_TIME_PROFILE })
+  if (name === 'valhalla') return createValhallaProvider({ baseUrl: env.TRAVEL_TIME_URL, costing: env.TRAVEL_TIME_PROFILE })
+
+  throw new Error(`Unknown travel time provider: ${name}`)
+}
+
+// Active provider (null means estimates only)
+function getProvider() {
+  if (providerOverride !== null) return providerOverride || null
+  return createProviderFromEnv()
+}
+
+/**
+ * Replace the configured provider (false forces estimates only; null restores configuration)
+ */
+function setTravelTimeProvider(provider) {
+  providerOverride = provider
+  cache.clear()
+}
+
+function getTravelTimeProviderName() {
+  const provider = getProvider()
+  return provider ? provider.name : 'haversine'
+}
+
+/**
+ * Routed leg from the cache: { minutes, km } or null when not primed
+ */
+function getCachedTravelLeg(from, to) {
+  if (!hasCoords(from) || !hasCoords(to)) return null
+
+  const entry = cache.get(pairKey(from, to))
+  if (!entry) return null
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(pairKey(from, to))
+    return null
+  }
+  return { minutes: entry.minutes, km: entry.km }
+}
+
+/**
+ * Fetch routed times between all given locations that are not cached yet.
+ * Failures, including a misconfigured provider, are logged and leave callers
+ * on the Haversine estimate.
+ */
+async function primeTravelTimes(locations) {
+  let provider = null
+
+  try {
+    provider = getProvider()
+    if (!provider) return { provider: 'haversine', primed: 0 }
+
+    const unique = [...new Map(
+      (locations || []).filter(hasCoords).map(l => [locationKey(l), { lat: Number(l.lat), lng: Number(l.lng) }])
+    ).values()]
+
+    const missing = unique.some(a => unique.some(b => a !== b && !getCachedTravelLeg(a, b)))
+    if (unique.length < 2 || !missing) return { provider: provider.name, primed: 0 }
+
+    const { minutes, km } = await provider.matrix(unique)
+    const expiresAt = Date.now() + cacheTtl()
+    let primed = 0
+
+    unique.forEach((from, i) => {
+      unique.forEach((to, j) => {
+        if (i === j || minutes[i][j] === null || minutes[i][j] === undefined) return
+        cacheLeg(pairKey(from, to), { minutes: minutes[i][j], km: km ? km[i][j] : null, expiresAt })
+        primed++
+      })
+    })
+
+    return { provider: provider.name, primed }
+  } catch (err) {
+    console.error('Travel time provider error, using estimates:', err.message)
+    return { provider: provider ? provider.name : 'haversine', primed: 0, error: err.message }
+  }
+}
+
+module.exports = {
+  primeTravelTimes,
+  getCachedTravelLeg,
+  setTravelTimeProvider,
+  getTravelTimeProviderName,
+  createOsrmProvider,
+  createValhallaProvider
+}
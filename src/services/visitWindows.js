@@ -0,0 +1,167 @@
+/**
+ * Visit Windows Service
+ *
+ * A patient's time constraints for visits:
+ * - earliest_visit_time / latest_visit_time: allowed visit start range ('HH:MM')
+ * - preferred_visit_time: best start time, used to pick among allowed slots
+ * - no_weekend_visits: no visits on Saturday or Sunday
+ * - time_window_mode: 'hard' (default, never violated) or 'soft' (may be
+ *   violated when nothing else fits, and the violation is reported)
+ */
+
+const { getWeekday, timeToMinutes, minutesToTime } = require('./timeUtils')
+
+const TIME_WINDOW_MODES = ['hard', 'soft']
+
+const WINDOW_FIELDS = [
+  'earliest_visit_time',
+  'latest_visit_time',
+  'preferred_visit_time',
+  'no_weekend_visits',
+  'time_window_mode'
+]
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/
+
+function isWeekend(date) {
+  return getWeekday(date) >= 6
+}
+
+/**
+ * A patient's window in minutes: { earliest, latest, preferred, noWeekends, hard }
+ */
+function getVisitWindow(patient) {
+  return {
+    earliest: patient?.earliest_visit_time ? timeToMinutes(patient.earliest_visit_time) : null,
+    latest: patient?.latest_visit_time ? timeToMinutes(patient.latest_visit_time) : null,
+    preferred: patient?.preferred_visit_time ? timeToMinutes(patient.preferred_visit_time) : null,
+    noWeekends: Boolean(patient?.no_weekend_visits),
+    hard: (patient?.time_window_mode || 'hard') === 'hard'
+  }
+}
+
+function hasVisitWindow(window) {
+  return window.earliest !== null || window.latest !== null || window.preferred !== null || window.noWeekends
+}
+
+/**
+ * Validate window fields (after merging with stored values); returns an error message or null
+ */
+function validateVisitWindowFields(fields) {
+  for (const key of ['earliest_visit_time', 'latest_visit_time', 'preferred_visit_time']) {
+    const value = fields[key]
+    if (value !== undefined && value !== null && !TIME_PATTERN.test(value)) {
+      return `${key} must be a time in HH:MM format`
+    }
+  }
+
+  if (fields.no_weekend_visits !== undefined && fields.no_weekend_visits !== null &&
+      typeof fields.no_weekend_visits !== 'boolean') {
+    return 'no_weekend_visits must be true or false'
+  }
+
+  if (fields.time_window_mode !== undefined && fields.time_window_mode !== null &&
+      !TIME_WINDOW_MODES.includes(fields.time_window_mode)) {
+    return `time_window_mode must be one of: ${TIME_WINDOW_MODES.join(', ')}`
+  }
+
+  const window = getVisitWindow(fields)
+  if (window.earliest !== null && window.latest !== null && window.earliest > window.latest) {
+    return 'earliest_visit_time must not be after latest_visit_time'
+  }
+  if (window.preferred !== null &&
+      ((window.earliest !== null && window.preferred < window.earliest) ||
+       (window.latest !== null && window.preferred > window.latest))) {
+    return 'preferred_visit_time must be within the visit window'
+  }
+
+  return null
+}
+
+/**
+ * Ways a visit starting at `start` (minutes) on `date` breaks the window
+ */
+function checkVisitWindow(window, date, start) {
+  const violations = []
+
+  if (window.noWeekends && date && isWeekend(date)) {
+    violations.push({ type: 'weekend', message: 'Patient does not accept weekend visits' })
+  }
+  if (window.earliest !== null && start < window.earliest) {
+    violations.push({
+      type: 'too_early',
+      minutes: window.earliest - start,
+      message: `Starts ${window.earliest - start} min before the earliest time ${minutesToTime(window.earliest)}`
+    })
+  }
+  if (window.latest !== null && start > window.latest) {
+    violations.push({
+      type: 'too_late',
+      minutes: start - window.latest,
+      message: `Starts ${start - window.latest} min after the latest time ${minutesToTime(window.latest)}`
+    })
+  }
+
+  return violations
+}
+
+// Minutes outside the window, for ranking soft-window slots
+function windowDeviation(window, start) {
+  if (window.earliest !== null && start < window.earliest) return window.earliest - start
+  if (window.latest !== null && start > window.latest) return start - window.latest
+  return 0
+}
+
+/**
+ * Apply a window to candidate starts (minutes, ascending).
+ * Returns { slots, best, violations }: hard windows drop slots outside the window,
+ * soft windows keep them; best is in the window if possible, then closest to the
+ * preferred time (or earliest), and violations describe best.
+ */
+function applyVisitWindow(window, date, starts) {
+  const slots = window.hard
+    ? starts.filter(start => checkVisitWindow(window, date, start).length === 0)
+    : [...starts]
+
+  if (slots.length === 0) return { slots, best: null, violations: [] }
+
+  const rank = start => [
+    windowDeviation(window, start),
+    window.preferred !== null ? Math.abs(start - window.preferred) : 0,
+    start
+  ]
+  const best = slots.reduce((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)]
+    for (let i = 0; i < ra.length; i++) {
+      if (ra[i] !== rb[i]) return ra[i] < rb[i] ? a : b
+    }
+    return a
+  })
+
+  return { slots, best, violations: checkVisitWindow(window, date, best) }
+}
+
+/**
+ * Human-readable window, e.g. '07:00-08:30, preferred 07:30, no weekends (hard)'
+ */
+function describeVisitWindow(window) {
+  const parts = []
+  if (window.earliest !== null || window.latest !== null) {
+    parts.push(`${window.earliest !== null ? minutesToTime(window.earliest) : 'any'}-${window.latest !== null ? minutesToTime(window.latest) : 'any'}`)
+  }
+  if (window.preferred !== null) parts.push(`preferred ${minutesToTime(window.preferred)}`)
+  if (window.noWeekends) parts.push('no weekends')
+  return `${parts.join(', ')} (${window.hard ? 'hard' : 'soft'})`
+}
+
+module.exports = {
+  getVisitWindow,
+  hasVisitWindow,
+  validateVisitWindowFields,
+  checkVisitWindow,
+  applyVisitWindow,
+  describeVisitWindow,
+  isWeekend,
+  TIME_WINDOW_MODES,
+  WINDOW_FIELDS
+}
@@ -0,0 +1,128 @@
+/**
+ * Zone Model Service
+ *
+ * Single source of zone names, shapes and the zone-to-zone travel matrix used as
+ * the fallback when coordinates are missing. The model starts from a JSON config
+ * file (ZONES_CONFIG_PATH, default src/config/zones.json) and is replaced by the
+ * zones / zone_travel_times tables once those hold data, so another city's
+ * districts can be added without code changes.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { supabase } = require('../config/supabase')
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../config/zones.json')
+
+// Used when neither the model nor the config names a default
+const FALLBACK_TRAVEL_MINUTES = 15
+
+let model = null
+
+/**
+ * Build a model from plain data: { zones: [{ name, centroid, polygon }], travelTimes, defaultTravelMinutes }
+ */
+function buildZoneModel({ zones = [], travelTimes = {}, defaultTravelMinutes = FALLBACK_TRAVEL_MINUTES, source = 'config' }) {
+  return {
+    source,
+    defaultTravelMinutes,
+    zones: zones.map(z => ({
+      id: z.id ?? null,
+      name: z.name,
+      centroid: z.centroid && z.centroid.lat !== null && z.centroid.lat !== undefined ? z.centroid : null,
+      polygon: z.polygon || null
+    })),
+    travelTimes
+  }
+}
+
+/**
+ * Load the model from a JSON config file
+ */
+function loadZoneModelFromFile(filePath = process.env.ZONES_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  return buildZoneModel({ ...config, source: 'config' })
+}
+
+function getZoneModel() {
+  if (!model) model = loadZoneModelFromFile()
+  return model
+}
+
+function setZoneModel(newModel) {
+  model = newModel
+}
+
+/**
+ * Travel minutes between two zones; checks the reverse direction before the default
+ */
+function getZoneTravelTime(fromZone, toZone) {
+  const current = getZoneModel()
+  if (!fromZone || !toZone) return current.defaultTravelMinutes
+
+  const forward = current.travelTimes[fromZone]?.[toZone]
+  if (forward !== undefined && forward !== null) return forward
+
+  const reverse = current.travelTimes[toZone]?.[fromZone]
+  if (reverse !== undefined && reverse !== null) return reverse
+
+  return current.defaultTravelMinutes
+}
+
+/**
+ * Load zones and travel times from the database; returns null when the tables are empty
+ */
+async function loadZoneModelFromDatabase() {
+  const { data: zones, error: zonesError } = await supabase
+    .from('zones')
+    .select('*')
+    .order('name', { ascending: true })
+
+  if (zonesError) throw zonesError
+  if (!zones || zones.length === 0) return null
+
+  const { data: rows, error: timesError } = await supabase
+    .from('zone_travel_times')
+    .select('from_zone, to_zone, minutes')
+
+  if (timesError) throw timesError
+
+  const travelTimes = {}
+  for (const row of rows || []) {
+    if (!travelTimes[row.from_zone]) travelTimes[row.from_zone] = {}
+    travelTimes[row.from_zone][row.to_zone] = row.minutes
+  }
+
+  const fileModel = loadZoneModelFromFile()
+
+  return buildZoneModel({
+    source: 'database',
+    defaultTravelMinutes: fileModel.defaultTravelMinutes,
+    travelTimes,
+    zones: zones.map(z => ({
+      id: z.id,
+      name: z.name,
+      centroid: { lat: z.centroid_lat, lng: z.centroid_lng },
+      polygon: z.polygon
+    }))
+  })
+}
+
+/**
+ * Replace the in-memory model with the database one when the database has zones
+ */
+async function refreshZoneModelFromDatabase() {
+  const databaseModel = await loadZoneModelFromDatabase()
+  setZoneModel(databaseModel || loadZoneModelFromFile())
+  return getZoneModel()
+}
+
+module.exports = {
+  buildZoneModel,
+  loadZoneModelFromFile,
+  getZoneModel,
+  setZoneModel,
+  getZoneTravelTime,
+  refreshZoneModelFromDatabase,
+  FALLBACK_TRAVEL_MINUTES
+}